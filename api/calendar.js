@@ -0,0 +1,7 @@
+// Vercel Serverless Function to serve CAISH events as an iCalendar feed
+// The endpoint itself lives in lib/endpoints/calendar.js, shared with netlify/functions/calendar.js
+
+import { vercel } from '../lib/http.js';
+import calendar from '../lib/endpoints/calendar.js';
+
+export default vercel(calendar);
@@ -0,0 +1,7 @@
+// Vercel Serverless Function that marks course comprehension checks against the server-side answer keys
+// The endpoint itself lives in lib/endpoints/checks.js, shared with netlify/functions/checks.js
+
+import { vercel } from '../lib/http.js';
+import checks from '../lib/endpoints/checks.js';
+
+export default vercel(checks);
@@ -0,0 +1,7 @@
+// Vercel Serverless Function behind the staff-only course facilitator dashboard
+// The endpoint itself lives in lib/endpoints/cohort.js, shared with netlify/functions/cohort.js
+
+import { vercel } from '../lib/http.js';
+import cohort from '../lib/endpoints/cohort.js';
+
+export default vercel(cohort);
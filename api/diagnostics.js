@@ -0,0 +1,7 @@
+// Vercel Serverless Function for the token-protected admin diagnostics of the event data
+// The endpoint itself lives in lib/endpoints/diagnostics.js, shared with netlify/functions/diagnostics.js
+
+import { vercel } from '../lib/http.js';
+import diagnostics from '../lib/endpoints/diagnostics.js';
+
+export default vercel(diagnostics);
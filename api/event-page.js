@@ -0,0 +1,7 @@
+// Vercel Serverless Function to render an event detail page (?slug=<event slug>)
+// The endpoint itself lives in lib/endpoints/event-page.js, shared with netlify/functions/event-page.js
+
+import { vercel } from '../lib/http.js';
+import eventPage from '../lib/endpoints/event-page.js';
+
+export default vercel(eventPage);
@@ -0,0 +1,7 @@
+// Vercel Serverless Function to serve CAISH events as Atom and JSON Feed
+// The endpoint itself lives in lib/endpoints/feed.js, shared with netlify/functions/feed.js
+
+import { vercel } from '../lib/http.js';
+import feed from '../lib/endpoints/feed.js';
+
+export default vercel(feed);
@@ -0,0 +1,7 @@
+// Vercel Serverless Function to receive course feedback from /hardware/feedback
+// The endpoint itself lives in lib/endpoints/feedback.js, shared with netlify/functions/feedback.js
+
+import { vercel } from '../lib/http.js';
+import feedback from '../lib/endpoints/feedback.js';
+
+export default vercel(feedback);
@@ -0,0 +1,10 @@
+// Vercel Serverless Function to receive Luma event webhooks and refresh the cached events
+// The endpoint itself lives in lib/endpoints/luma-webhook.js, shared with netlify/functions/luma-webhook.js
+
+import { vercel } from '../lib/http.js';
+import lumaWebhook from '../lib/endpoints/luma-webhook.js';
+
+// The signature covers the raw body, so Vercel must not parse it
+export const config = { api: { bodyParser: false } };
+
+export default vercel(lumaWebhook, { rawBody: true });
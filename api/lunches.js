@@ -0,0 +1,7 @@
+// Vercel Serverless Function to redirect to the next CAISH Lunches event (the older /api/lunches URL)
+// The endpoint itself lives in lib/endpoints/series.js, shared with netlify/functions/series.js
+
+import { vercel } from '../lib/http.js';
+import series from '../lib/endpoints/series.js';
+
+export default vercel(series.only('lunch'));
@@ -0,0 +1,7 @@
+// Vercel Serverless Function behind the newsletter preference page
+// The endpoint itself lives in lib/endpoints/preferences.js, shared with netlify/functions/preferences.js
+
+import { vercel } from '../lib/http.js';
+import preferences from '../lib/endpoints/preferences.js';
+
+export default vercel(preferences);
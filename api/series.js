@@ -0,0 +1,7 @@
+// Vercel Serverless Function to redirect to the next event in a series (?series=social|lunch|talk|hdwsa)
+// The endpoint itself lives in lib/endpoints/series.js, shared with netlify/functions/series.js
+
+import { vercel } from '../lib/http.js';
+import series from '../lib/endpoints/series.js';
+
+export default vercel(series);
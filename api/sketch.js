@@ -0,0 +1,7 @@
+// Vercel Serverless Function to receive project sketch submissions from the AI Assurance course
+// The endpoint itself lives in lib/endpoints/sketch.js, shared with netlify/functions/sketch.js
+
+import { vercel } from '../lib/http.js';
+import sketch from '../lib/endpoints/sketch.js';
+
+export default vercel(sketch);
@@ -0,0 +1,7 @@
+// Vercel Serverless Function to take newsletter sign-ups and confirmations
+// The endpoint itself lives in lib/endpoints/subscribe.js, shared with netlify/functions/subscribe.js
+
+import { vercel } from '../lib/http.js';
+import subscribe from '../lib/endpoints/subscribe.js';
+
+export default vercel(subscribe);
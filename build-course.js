@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+//
+// build-course.js — Render the course reading cards from each course manifest
+//
+// For every course/<id>/manifest.js, renders the sections and reading cards of
+// each unit page between the course:readings markers, then checks the course:
+// duplicate reading ids, duplicate anchors, and links into the unit pages
+// (#fragments, data-reading-ids) that point at nothing, and that comprehension
+// checks are well formed. Any problem fails the
+// build, so a renumbered or moved reading cannot quietly break progress or
+// deep links.
+//
+// Usage:  node build-course.js           (the Netlify build runs it after cache-bust.sh)
+//         node build-course.js --check   validate only; fails if a page is out of date
+//         require('./build-course') for the checks alone (test/build-course.test.js)
+//
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./lib/site');
+const { QUESTION_TYPES, keyErrors } = require('./lib/course-checks');
+
+const COURSES_DIR = path.join(__dirname, 'course');
+// Check answer keys, outside the published tree: lib/course-answers/<id>.js
+const ANSWERS_DIR = path.join(__dirname, 'lib', 'course-answers');
+const START = '<!-- course:readings:start -->';
+const END = '<!-- course:readings:end -->';
+const KINDS = ['read', 'watch', 'exercise'];
+
+// course/course.js is the browser runtime shared by every course; it exports
+// its manifest helpers for Node
+const { CourseCatalog } = require('./course/course.js');
+
+function loadCourse(id) {
+  const dir = path.join(COURSES_DIR, id);
+  const answersFile = path.join(ANSWERS_DIR, `${id}.js`);
+  return {
+    id,
+    dir,
+    manifest: require(path.join(dir, 'manifest.js')),
+    answers: fs.existsSync(answersFile) ? require(answersFile) : {},
+    CourseCatalog
+  };
+}
+
+// A reading's check: { questions: [{ id, type, prompt, ... }] }, shown by
+// CourseChecks in course/course.js and marked by lib/endpoints/checks.js
+function validateCheck(check, name) {
+  const errors = [];
+  if (!Array.isArray(check.questions) || !check.questions.length) return [`${name}: check has no questions`];
+  const ids = new Set();
+  check.questions.forEach((question, index) => {
+    const where = `${name}: check question ${question.id || index + 1}`;
+    if (!question.id) errors.push(`${where} has no id`);
+    else if (ids.has(question.id)) errors.push(`${where} is used twice`);
+    ids.add(question.id);
+    if (!question.prompt) errors.push(`${where} has no prompt`);
+    if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${where} has unknown type "${question.type}"`);
+    } else if (question.type === 'choice' && (!Array.isArray(question.options) || question.options.length < 2)) {
+      errors.push(`${where} needs at least two options`);
+    }
+  });
+  return errors;
+}
+
+function validateManifest({ id, manifest, answers }) {
+  const errors = [];
+  const ids = new Map();
+  const pages = new Set();
+
+  if (manifest.id !== id) errors.push(`manifest id "${manifest.id}" does not match its directory "${id}"`);
+
+  manifest.units.forEach(unit => {
+    const where = `unit ${unit.number}`;
+    if (pages.has(unit.page)) errors.push(`${where}: page ${unit.page} is used by another unit`);
+    pages.add(unit.page);
+
+    const anchors = new Map();
+    const claim = (anchor, owner) => {
+      if (anchors.has(anchor)) errors.push(`${where}: anchor #${anchor} is used by both ${anchors.get(anchor)} and ${owner}`);
+      else anchors.set(anchor, owner);
+    };
+
+    unit.sections.forEach(section => {
+      if (section.id) claim(section.id, `section "${section.title}"`);
+      section.readings.forEach(reading => {
+        const name = `"${reading.title}"`;
+        if (!KINDS.includes(reading.kind)) errors.push(`${where}: ${name} has unknown kind "${reading.kind}"`);
+        if (!reading.id) {
+          if (reading.kind !== 'exercise') errors.push(`${where}: ${name} has no id, so its progress cannot be stored`);
+        } else if (ids.has(reading.id)) {
+          errors.push(`${where}: reading id ${reading.id} is used by both ${ids.get(reading.id)} and ${name}`);
+        } else {
+          ids.set(reading.id, name);
+        }
+        if (reading.id && !reading.anchor) errors.push(`${where}: ${name} has no anchor`);
+        if (reading.anchor) claim(reading.anchor, name);
+        if (reading.check) {
+          if (!reading.id) errors.push(`${where}: ${name} has a check but no id to record it against`);
+          errors.push(...validateCheck(reading.check, `${where}: ${name}`));
+        }
+      });
+    });
+  });
+
+  errors.push(...keyErrors(CourseCatalog.readings(manifest), answers));
+
+  if (!manifest.units.some(unit => unit.number === manifest.finish.unit)) {
+    errors.push(`finish points at unit ${manifest.finish.unit}, which does not exist`);
+  }
+  return errors;
+}
+
+function renderReading(reading, item, indent) {
+  const attrs = reading.id ? ` id="${escapeHtml(reading.anchor)}" data-reading-id="${escapeHtml(reading.id)}"` : '';
+  const single = !reading.scope;
+  const lines = [
+    `<article class="course-reading course-reading--structured${single ? ' course-reading--single' : ''}"${attrs}>`,
+    '  <div class="course-reading-main">',
+    '    <div class="course-reading-meta">',
+    `      <span class="course-reading-num">${escapeHtml(item.label)}</span>`
+  ];
+  if (reading.required !== undefined) {
+    lines.push(reading.required
+      ? '      <span class="course-reading-tag course-reading-tag--main">Required</span>'
+      : '      <span class="course-reading-tag course-reading-tag--optional">Optional</span>');
+  }
+  if (reading.time) lines.push(`      <span class="course-reading-time">${escapeHtml(reading.time)}</span>`);
+  lines.push('    </div>', `    <h3>${escapeHtml(reading.title)}</h3>`);
+  if (reading.authors) lines.push(`    <p class="course-reading-authors">${escapeHtml(reading.authors)}</p>`);
+  if (reading.why) lines.push(`    <p class="course-reading-why">${escapeHtml(reading.why)}</p>`);
+
+  const link = reading.link
+    ? `<a class="course-reading-link course-reading-link--button" href="${escapeHtml(reading.link)}" target="_blank" rel="noopener">${escapeHtml(reading.linkLabel || 'Link')}</a>`
+    : '';
+  if (single) {
+    if (reading.video) {
+      const video = escapeHtml(reading.video);
+      lines.push(`    <a class="course-video course-video--thumb" style="margin-top:1.25rem;" href="https://www.youtube.com/watch?v=${video}" target="_blank" rel="noopener"><img src="thumbs/${video}.jpg" alt="Video thumbnail" loading="lazy"><span class="course-video-cta">Watch on YouTube</span></a>`);
+    } else if (link) {
+      lines.push(`    ${link}`);
+    }
+    lines.push('  </div>');
+  } else {
+    lines.push(
+      '  </div>',
+      '  <div class="course-reading-aside">',
+      '    <div class="course-reading-scope">',
+      '      <span class="course-reading-scope-label">What to read</span>',
+      `      <p>${escapeHtml(reading.scope)}</p>`,
+      '    </div>'
+    );
+    if (link) lines.push(`    ${link}`);
+    lines.push('  </div>');
+  }
+  lines.push('</article>');
+  return lines.map(line => indent + line).join('\n');
+}
+
+function renderUnit(unit, items) {
+  const indent = '          ';
+  const blocks = unit.sections.map(section => {
+    const lines = [];
+    if (section.title) {
+      lines.push(`${indent}<h3${section.id ? ` id="${escapeHtml(section.id)}"` : ''} class="course-section-header">${escapeHtml(section.title)}</h3>`);
+    }
+    (section.intro || []).forEach(paragraph => lines.push(`${indent}<p class="course-unit-intro">${escapeHtml(paragraph)}</p>`));
+    if (section.note) lines.push(`${indent}<p class="course-reading-note">${escapeHtml(section.note)}</p>`);
+    lines.push(`${indent}<div class="course-readings">`);
+    lines.push(section.readings.map(reading => renderReading(reading, items.get(reading), indent + '  ')).join('\n\n'));
+    lines.push(`${indent}</div>`);
+    return lines.join('\n');
+  });
+  return `${START}\n          <!-- Rendered from manifest.js by build-course.js; edit the manifest, not these cards -->\n${blocks.join('\n')}\n          ${END}`;
+}
+
+// Every id="" in a page, and the #fragment links and data-reading-ids in it
+function scanPage(html) {
+  return {
+    ids: new Set(Array.from(html.matchAll(/\sid="([^"]+)"/g), match => match[1])),
+    links: Array.from(html.matchAll(/\shref="([^"]*#[^"]+)"/g), match => match[1]),
+    readingIds: Array.from(html.matchAll(/\sdata-reading-ids="([^"]*)"/g), match => match[1].split(/\s+/).filter(Boolean)).flat()
+  };
+}
+
+function checkLinks({ manifest }, pages) {
+  const errors = [];
+  const readingIds = new Set(manifest.units.flatMap(unit => unit.sections.flatMap(section => section.readings.map(reading => reading.id))));
+
+  Object.entries(pages).forEach(([page, html]) => {
+    const scan = scanPage(html);
+    scan.links.forEach(href => {
+      const [target, fragment] = href.split('#');
+      let targetPage;
+      if (!target) targetPage = page;
+      else if (target.startsWith(manifest.path)) targetPage = target.slice(manifest.path.length) || 'index.html';
+      else return; // another site or another part of this one
+      if (!pages[targetPage]) {
+        errors.push(`${page}: link ${href} points at ${targetPage}, which is not part of the course`);
+      } else if (!scanPage(pages[targetPage]).ids.has(fragment)) {
+        errors.push(`${page}: link ${href} has no matching id on ${targetPage}`);
+      }
+    });
+    scan.readingIds.forEach(id => {
+      if (!readingIds.has(id)) errors.push(`${page}: data-reading-ids names ${id}, which is not in the manifest`);
+    });
+  });
+  return errors;
+}
+
+function buildCourse(course, check) {
+  const { id, dir, manifest, CourseCatalog } = course;
+  const errors = validateManifest(course);
+  if (errors.length) return { errors, stale: [] };
+
+  const items = new Map(CourseCatalog.items(manifest).map(item => [item.reading, item]));
+  const pages = {};
+  fs.readdirSync(dir).filter(file => file.endsWith('.html')).forEach(file => {
+    pages[file] = fs.readFileSync(path.join(dir, file), 'utf8');
+  });
+
+  const stale = [];
+  manifest.units.forEach(unit => {
+    const source = pages[unit.page];
+    if (source === undefined) {
+      errors.push(`unit ${unit.number}: page ${unit.page} does not exist`);
+      return;
+    }
+    const start = source.indexOf(START);
+    const end = source.indexOf(END);
+    if (start === -1 || end === -1) {
+      errors.push(`unit ${unit.number}: no course:readings markers in ${unit.page}`);
+      return;
+    }
+    const rendered = source.slice(0, start) + renderUnit(unit, items) + source.slice(end + END.length);
+    if (rendered !== source) stale.push(unit.page);
+    pages[unit.page] = rendered;
+  });
+
+  errors.push(...checkLinks(course, pages));
+  const write = !errors.length && !check;
+  if (write) stale.forEach(page => fs.writeFileSync(path.join(dir, page), pages[page]));
+  const changes = stale.length && (check || write) ? `, ${check ? 'out of date' : 'rendered'}: ${stale.join(', ')}` : '';
+  console.log(`Course ${id}: ${items.size} cards across ${manifest.units.length} units${changes}`);
+  return { errors, stale };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const courses = fs.readdirSync(COURSES_DIR).filter(id => fs.existsSync(path.join(COURSES_DIR, id, 'manifest.js')));
+  let failed = false;
+
+  courses.forEach(id => {
+    const { errors, stale } = buildCourse(loadCourse(id), check);
+    errors.forEach(error => console.error(`course/${id}: ${error}`));
+    if (check && stale.length) console.error(`course/${id}: run node build-course.js to update ${stale.join(', ')}`);
+    if (errors.length || (check && stale.length)) failed = true;
+  });
+
+  if (failed) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  loadCourse,
+  validateManifest,
+  checkLinks
+};
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+//
+// build-shell.js — Copy the site chrome from events.html for the event pages
+//
+// The /events/<slug> pages are rendered by a function (lib/event-page.js), so
+// they cannot include the nav and footer the static pages carry by hand.
+// This takes them from events.html, the page the event pages belong under,
+// with its asset versions and the mobile nav script, and writes them to
+// lib/site-shell.json for renderShell. Edit the nav or footer in the static
+// pages, then run this (cache-bust.sh does, so the Netlify build does too).
+//
+// Usage:  node build-shell.js
+//         node build-shell.js --check   fails if lib/site-shell.json is out of date
+//
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'events.html';
+const OUTPUT = path.join(__dirname, 'lib', 'site-shell.json');
+
+// The piece of html from the line holding start up to (not including) the
+// line holding end, or up to the end of the line holding end when inclusive
+function slice(html, start, end, { inclusive = false } = {}) {
+  const from = html.indexOf(start);
+  if (from === -1) throw new Error(`${SOURCE}: "${start}" not found`);
+  const to = html.indexOf(end, from);
+  if (to === -1) throw new Error(`${SOURCE}: "${end}" not found after "${start}"`);
+  const lineStart = html.lastIndexOf('\n', from) + 1;
+  const lineEnd = inclusive ? html.indexOf('\n', to + end.length) : html.lastIndexOf('\n', to);
+  return html.slice(lineStart, lineEnd).replace(/\s+$/, '');
+}
+
+function asset(html, pattern) {
+  const match = html.match(pattern);
+  if (!match) throw new Error(`${SOURCE}: no ${pattern}`);
+  return match[0];
+}
+
+// { styles, enhancements, header, footer, navScript } from a static page:
+// header runs from the skip link to the end of the mobile nav; navScript is
+// the page's MobileNav object, which the event pages call MobileNav.init() on
+function extractShell(html) {
+  return {
+    source: SOURCE,
+    styles: asset(html, /\/styles\.css\?v=[\w-]+/),
+    enhancements: asset(html, /\/enhancements\.js\?v=[\w-]+/),
+    header: slice(html, '<a href="#main-content" class="skip-link">', '<div class="ambient-glow"'),
+    footer: slice(html, '<footer>', '</footer>', { inclusive: true }),
+    navScript: slice(html, '// Mobile Navigation', '\n    };', { inclusive: true })
+  };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const shell = JSON.stringify(extractShell(fs.readFileSync(path.join(__dirname, SOURCE), 'utf8')), null, 2) + '\n';
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (shell === current) {
+    console.log(`Site shell: lib/site-shell.json matches ${SOURCE}`);
+    return;
+  }
+  if (check) {
+    console.error(`lib/site-shell.json is out of date with ${SOURCE}; run node build-shell.js`);
+    process.exit(1);
+  }
+  fs.writeFileSync(OUTPUT, shell);
+  console.log(`Site shell: lib/site-shell.json rendered from ${SOURCE}`);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  extractShell
+};
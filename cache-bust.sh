@@ -3,7 +3,7 @@
 # cache-bust.sh — Automatically update CSS/JS cache-busting versions
 #
 # Uses content hashing so versions only change when files actually change.
-# Run this after editing styles.css or enhancements.js.
+# Run this after editing styles.css, enhancements.js, events-loader.js or newsletter.js.
 #
 # Usage:  ./cache-bust.sh
 #
@@ -30,18 +30,22 @@ hash_file() {
 
 replace_in_file() {
   local file="$1"
-  perl -0pi -e "s|styles\\.css\\?v=[a-zA-Z0-9_-]*|styles.css?v=$CSS_HASH|g; s|enhancements\\.js\\?v=[a-zA-Z0-9_-]*|enhancements.js?v=$JS_HASH|g" "$file"
+  perl -0pi -e "s|styles\\.css\\?v=[a-zA-Z0-9_-]*|styles.css?v=$CSS_HASH|g; s|enhancements\\.js\\?v=[a-zA-Z0-9_-]*|enhancements.js?v=$JS_HASH|g; s|events-loader\\.js\\?v=[a-zA-Z0-9_-]*|events-loader.js?v=$EVENTS_JS_HASH|g; s|newsletter\\.js\\?v=[a-zA-Z0-9_-]*|newsletter.js?v=$NEWSLETTER_JS_HASH|g" "$file"
 }
 
 # Generate short content hashes (first 8 chars of md5)
 CSS_HASH=$(hash_file styles.css)
 JS_HASH=$(hash_file enhancements.js)
+EVENTS_JS_HASH=$(hash_file events-loader.js)
+NEWSLETTER_JS_HASH=$(hash_file newsletter.js)
 
 echo "styles.css    hash: $CSS_HASH"
 echo "enhancements.js hash: $JS_HASH"
+echo "events-loader.js hash: $EVENTS_JS_HASH"
+echo "newsletter.js hash: $NEWSLETTER_JS_HASH"
 
 # Files that reference styles.css and enhancements.js
-HTML_FILES=(index.html about.html hiring.html careers.html fellowship.html policy.html events.html mars.html desk.html research.html verify.html privacy.html terms.html video.html hannes.html cam.html puria.html hardware.html course.html course/verification/index.html course/verification/1.html course/verification/2.html course/verification/3.html course/verification/4.html)
+HTML_FILES=(index.html about.html hiring.html careers.html fellowship.html policy.html events.html mars.html desk.html research.html verify.html privacy.html terms.html video.html hannes.html cam.html puria.html hardware.html course.html events/archive.html course/verification/index.html course/verification/1.html course/verification/2.html course/verification/3.html course/verification/4.html)
 
 # Update CSS version in all HTML files
 for file in "${HTML_FILES[@]}"; do
@@ -51,6 +55,13 @@ for file in "${HTML_FILES[@]}"; do
   fi
 done
 
+# The server-rendered event pages (lib/event-page.js) take their nav, footer
+# and asset versions from events.html
+node build-shell.js
+
+# The embed widget (embed.js) loads events-loader.js from partner sites
+replace_in_file embed.js
+
 # Update service worker precache references
 replace_in_file sw.js
 
@@ -67,4 +78,6 @@ echo ""
 echo "Done! Cache versions updated."
 echo "  CSS:  ?v=$CSS_HASH"
 echo "  JS:   ?v=$JS_HASH"
+echo "  Events JS: ?v=$EVENTS_JS_HASH"
+echo "  Newsletter JS: ?v=$NEWSLETTER_JS_HASH"
 echo "  SW:   caish-v${NEW_SW_VERSION} / caish-runtime-v${NEW_RUNTIME_VERSION}"
@@ -22,78 +22,103 @@ const MobileNav = {
   }
 };
 
+// The course this page belongs to. Its id comes from the course's manifest
+// (course/<id>/manifest.js) or, on a page without one, <body data-course>, and
+// scopes every localStorage key and Supabase row, so each course keeps its own
+// progress. Sign-in is not scoped: every course uses the one Supabase project,
+// whose session is stored once for the whole site.
+const Course = {
+  id: null,
+  manifest: null,
+  nameKey: 'caish-course-name',
+  // Where the name lived before courses shared a sign-in
+  legacyNameKey: 'caish-verification-ws-name',
+
+  init() {
+    this.manifest = typeof CourseManifest === 'undefined' ? null : CourseManifest;
+    this.id = (this.manifest && this.manifest.id) || document.body.dataset.course || null;
+    return Boolean(this.id);
+  },
+
+  // caish-<course>-<name>
+  key(name) {
+    return 'caish-' + this.id + '-' + name;
+  },
+
+  savedName() {
+    try {
+      return localStorage.getItem(this.nameKey) || localStorage.getItem(this.legacyNameKey) || '';
+    } catch (error) {
+      return '';
+    }
+  },
+
+  saveName(name) {
+    try { localStorage.setItem(this.nameKey, name.trim()); } catch (error) {}
+  }
+};
+
+// Reads a course manifest (manifest.js). build-course.js uses the same
+// numbering for the cards, so "next up" and the pages always agree.
+const CourseCatalog = {
+  // Every card in page order. Numbers count per kind within a unit
+  // (READ 1.6, WATCH 1.2); exercises are not numbered.
+  items(manifest) {
+    return manifest.units.flatMap(unit => {
+      const counts = {};
+      return unit.sections.flatMap(section => section.readings.map(reading => {
+        let number = null;
+        if (reading.kind !== 'exercise') {
+          counts[reading.kind] = (counts[reading.kind] || 0) + 1;
+          number = unit.number + '.' + counts[reading.kind];
+        }
+        return {
+          reading,
+          id: reading.id || null,
+          unit: unit.number,
+          kind: reading.kind,
+          number,
+          label: reading.kind.toUpperCase() + (number ? ' ' + number : ''),
+          title: reading.title,
+          href: manifest.path + unit.page + (reading.anchor ? '#' + reading.anchor : '')
+        };
+      }));
+    });
+  },
+
+  // The readings that count towards progress (those with an id), in page order
+  readings(manifest) {
+    return this.items(manifest).filter(item => item.id);
+  },
+
+  unitHref(manifest, number) {
+    const unit = manifest.units.find(candidate => candidate.number === number);
+    return manifest.path + (unit ? unit.page : '');
+  },
+
+  // Reading ids behind a link into a unit page: a whole section, or one reading
+  idsForHref(manifest, href) {
+    const match = href.match(/([^/#]+\.html)#(.+)$/);
+    const unit = match && manifest.units.find(candidate => candidate.page === match[1]);
+    if (!unit) return [];
+    const section = unit.sections.find(candidate => candidate.id === match[2]);
+    const readings = section
+      ? section.readings
+      : unit.sections.flatMap(candidate => candidate.readings).filter(reading => reading.anchor === match[2]);
+    return readings.filter(reading => reading.id).map(reading => reading.id);
+  }
+};
+
 const CourseProgress = {
-  storageKey: 'caish-verification-course-progress',
-  // Ordered as displayed on the pages. id is the stored progress key and stays
-  // with its reading; the display number and anchor follow page order.
-  readings: [
-    { id: 'unit-1-reading-1', unit: 1, reading: '1.1', title: 'AI “Stop Button” Problem', href: '/course/verification/1.html#read-1-1' },
-    { id: 'unit-1-reading-2', unit: 1, reading: '1.2', title: 'The Hard Problem of Controlling Powerful AI Systems', href: '/course/verification/1.html#read-1-2' },
-    { id: 'unit-1-reading-3', unit: 1, reading: '1.3', title: 'AI 2040: Plan A', href: '/course/verification/1.html#read-1-3' },
-    { id: 'unit-1-reading-4', unit: 1, reading: '1.4', title: 'Risks from power-seeking AI', href: '/course/verification/1.html#read-1-4' },
-    { id: 'unit-1-reading-5', unit: 1, reading: '1.5', title: 'Extreme power concentration', href: '/course/verification/1.html#read-1-5' },
-    { id: 'unit-1-reading-6', unit: 1, reading: '1.6', title: 'Components of a frontier AI slowdown', href: '/course/verification/1.html#read-1-6' },
-    { id: 'unit-1-reading-7', unit: 1, reading: '1.7', title: 'Avoiding an AI Arms Race with Assurance Technologies', href: '/course/verification/1.html#read-1-7' },
-    { id: 'unit-1-reading-9', unit: 1, reading: '1.8', title: 'Verification Is a Ladder', href: '/course/verification/1.html#read-1-8' },
-    { id: 'unit-1-reading-10', unit: 1, reading: '1.9', title: 'Nuclear Arms Control Verification and Lessons for AI Treaties', href: '/course/verification/1.html#read-1-9' },
-    { id: 'unit-1-reading-8', unit: 1, reading: '1.10', title: 'Computing Power and the Governance of Artificial Intelligence', href: '/course/verification/1.html#read-1-10' },
-    { id: 'unit-1-reading-11', unit: 1, reading: '1.11', title: 'Hardware-Enabled Mechanisms for Verifying Responsible AI Development', href: '/course/verification/1.html#read-1-11' },
-    { id: 'unit-1-reading-12', unit: 1, reading: '1.12', title: 'Frontier AI Auditing', href: '/course/verification/1.html#read-1-12' },
-    { id: 'unit-1-reading-13', unit: 1, reading: '1.13', title: 'Open Problems in Technical AI Governance', href: '/course/verification/1.html#read-1-13' },
-    { id: 'unit-1-reading-14', unit: 1, reading: '1.14', title: 'Mechanisms to Verify International Agreements About AI Development', href: '/course/verification/1.html#read-1-14' },
-    { id: 'unit-1-reading-16', unit: 1, reading: '1.15', title: 'Verifying International Agreements on AI', href: '/course/verification/1.html#read-1-15' },
-    { id: 'unit-1-reading-15', unit: 1, reading: '1.16', title: 'Verification for International AI Governance', href: '/course/verification/1.html#read-1-16' },
-    { id: 'unit-1-reading-17', unit: 1, reading: '1.17', title: 'Hardware-Level Governance of AI Compute', href: '/course/verification/1.html#read-1-17' },
-    { id: 'unit-1-reading-18', unit: 1, reading: '1.18', title: 'On restraining AI development for the sake of safety', href: '/course/verification/1.html#read-1-18' },
-    { id: 'unit-2-reading-1', unit: 2, reading: '2.1', title: 'A system overview for near-term, low-trust AI compute verification', href: '/course/verification/2.html#read-2-1' },
-    { id: 'unit-2-reading-11', unit: 2, reading: '2.11', title: 'Faster AI Diffusion Through Hardware-Based Verification', href: '/course/verification/2.html#read-2-11' },
-    { id: 'unit-2-reading-2', unit: 2, reading: '2.2', title: 'Secure, Governable Chips', href: '/course/verification/2.html#read-2-2' },
-    { id: 'unit-2-reading-3', unit: 2, reading: '2.3', title: 'Flexible Hardware-Enabled Guarantees (flexHEG)', href: '/course/verification/2.html#read-2-3' },
-    { id: 'unit-2-reading-4', unit: 2, reading: '2.4', title: 'Example Schemes for Verifying High-Stakes AI Agreements', href: '/course/verification/2.html#read-2-4' },
-    { id: 'unit-2-reading-12', unit: 2, reading: '2.12', title: 'Verifying AI Compute by Bounding Unexplained Information Exfiltration', href: '/course/verification/2.html#read-2-12' },
-    { id: 'unit-2-reading-5', unit: 2, reading: '2.5', title: 'Trustless Audits without Revealing Data or Models', href: '/course/verification/2.html#read-2-5' },
-    { id: 'unit-2-reading-6', unit: 2, reading: '2.6', title: 'Zero-knowledge verification for frontier AI training is possible', href: '/course/verification/2.html#read-2-6' },
-    { id: 'unit-2-reading-7', unit: 2, reading: '2.7', title: 'The Fundamentals and Feasibility of Secure Network Taps', href: '/course/verification/2.html#read-2-7' },
-    { id: 'unit-2-reading-8', unit: 2, reading: '2.8', title: 'What does it take to catch a Chinchilla? Verifying Rules on Large-Scale Neural Network Training', href: '/course/verification/2.html#read-2-8' },
-    { id: 'unit-2-reading-13', unit: 2, reading: '2.13', title: 'Memory Wipes, a Performance Analysis', href: '/course/verification/2.html#read-2-13' },
-    { id: 'unit-2-reading-9', unit: 2, reading: '2.9', title: 'Governing Through the Cloud: The Intermediary Role of Compute Providers in AI Regulation', href: '/course/verification/2.html#read-2-9' },
-    { id: 'unit-2-reading-10', unit: 2, reading: '2.10', title: 'Attestable Audits: Verifiable AI Safety Benchmarks Using Trusted Execution Environments', href: '/course/verification/2.html#read-2-10' },
-    { id: 'unit-3-reading-1', unit: 3, reading: '3.1', title: 'flexHEG', href: '/course/verification/3.html#read-3-1' },
-    { id: 'unit-3-reading-2', unit: 3, reading: '3.2', title: 'Hardware-Enabled Governance Mechanisms', href: '/course/verification/3.html#read-3-2' },
-    { id: 'unit-3-reading-3', unit: 3, reading: '3.3', title: 'Guaranteeable Memory: An HBM-Based Chiplet for Verifiable AI Workloads', href: '/course/verification/3.html#read-3-3' },
-    { id: 'unit-3-reading-4', unit: 3, reading: '3.4', title: 'Guardain: Protecting Emerging Generative AI Workloads on Heterogeneous NPU', href: '/course/verification/3.html#read-3-4' },
-    { id: 'unit-3-reading-5', unit: 3, reading: '3.5', title: 'On TEEs for Privacy-Preserving Monitoring in AI Governance', href: '/course/verification/3.html#read-3-5' },
-    { id: 'unit-3-reading-6', unit: 3, reading: '3.6', title: 'Inference Verification in a TEE', href: '/course/verification/3.html#read-3-6' },
-    { id: 'unit-3-reading-7', unit: 3, reading: '3.7', title: 'Verifying LLM Inference to Detect Model Weight Exfiltration', href: '/course/verification/3.html#read-3-7' },
-    { id: 'unit-3-reading-8', unit: 3, reading: '3.8', title: 'DiFR: Inference Verification Despite Nondeterminism', href: '/course/verification/3.html#read-3-8' },
-    { id: 'unit-3-reading-28', unit: 3, reading: '3.28', title: 'Bit-Exact AI Inference Verification Without Performance Tradeoffs', href: '/course/verification/3.html#read-3-28' },
-    { id: 'unit-3-reading-9', unit: 3, reading: '3.9', title: 'AI 2040: Verification Plan', href: '/course/verification/3.html#read-3-9' },
-    { id: 'unit-3-reading-10', unit: 3, reading: '3.10', title: 'Efficient Zero-Knowledge Proofs for AI Inference', href: '/course/verification/3.html#read-3-10' },
-    { id: 'unit-3-reading-11', unit: 3, reading: '3.11', title: 'Verifiable evaluations of machine learning models using zkSNARKs', href: '/course/verification/3.html#read-3-11' },
-    { id: 'unit-3-reading-12', unit: 3, reading: '3.12', title: 'zkLLM: Zero Knowledge Proofs for Large Language Models', href: '/course/verification/3.html#read-3-12' },
-    { id: 'unit-3-reading-13', unit: 3, reading: '3.13', title: 'ZKML: An Optimizing System for ML Inference in Zero-Knowledge Proofs', href: '/course/verification/3.html#read-3-13' },
-    { id: 'unit-3-reading-14', unit: 3, reading: '3.14', title: 'Handling floating point in ZK inference verification', href: '/course/verification/3.html#read-3-14' },
-    { id: 'unit-3-reading-15', unit: 3, reading: '3.15', title: 'Architecture-private Zero-knowledge Proof of Neural Networks', href: '/course/verification/3.html#read-3-15' },
-    { id: 'unit-3-reading-16', unit: 3, reading: '3.16', title: 'NANOZK: Layerwise Zero-Knowledge Proofs for Verifiable LLM Inference', href: '/course/verification/3.html#read-3-16' },
-    { id: 'unit-3-reading-17', unit: 3, reading: '3.17', title: 'Hollow-LLM Attack: Computationally Trivial Weights in Zero-Knowledge Verification of LLM Inference', href: '/course/verification/3.html#read-3-17' },
-    { id: 'unit-3-reading-18', unit: 3, reading: '3.18', title: 'Physical Verification of AI Systems against Nation-state Adversaries', href: '/course/verification/3.html#read-3-18' },
-    { id: 'unit-3-reading-19', unit: 3, reading: '3.19', title: 'Timing and Memory Telemetry on GPUs for AI Governance', href: '/course/verification/3.html#read-3-19' },
-    { id: 'unit-3-reading-20', unit: 3, reading: '3.20', title: 'Network Traffic Hashing', href: '/course/verification/3.html#read-3-20' },
-    { id: 'unit-3-reading-24', unit: 3, reading: '3.24', title: '“Energon”: Unveiling Transformers from GPU Power and Thermal Side-Channels', href: '/course/verification/3.html#read-3-24' },
-    { id: 'unit-3-reading-29', unit: 3, reading: '3.29', title: 'Suppressing Side Channels in an Untrusted Data Center via Retrofitted Defenses', href: '/course/verification/3.html#read-3-29' },
-    { id: 'unit-3-reading-21', unit: 3, reading: '3.21', title: 'Software-Based Memory Erasure with relaxed isolation requirements', href: '/course/verification/3.html#read-3-21' },
-    { id: 'unit-3-reading-23', unit: 3, reading: '3.23', title: 'Off-Chip Compute Verification', href: '/course/verification/3.html#read-3-23' },
-    { id: 'unit-3-reading-30', unit: 3, reading: '3.30', title: 'Anti-Tamper Radio: System-Level Tamper Detection for Computing Systems', href: '/course/verification/3.html#read-3-30' },
-    { id: 'unit-3-reading-31', unit: 3, reading: '3.31', title: 'The Past, Present, and Future of Physical Security Enclosures', href: '/course/verification/3.html#read-3-31' },
-    { id: 'unit-3-reading-25', unit: 3, reading: '3.25', title: 'International Governance of Civilian AI: A Jurisdictional Certification Approach', href: '/course/verification/3.html#read-3-25' },
-    { id: 'unit-3-reading-26', unit: 3, reading: '3.26', title: 'Verification Methods for International AI Agreements', href: '/course/verification/3.html#read-3-26' },
-    { id: 'unit-3-reading-27', unit: 3, reading: '3.27', title: 'Tools for verifying neural models\' training data', href: '/course/verification/3.html#read-3-27' },
-    { id: 'unit-3-reading-32', unit: 3, reading: '3.32', title: 'Proof-of-Learning is Currently More Broken Than You Think', href: '/course/verification/3.html#read-3-32' },
-    { id: 'unit-4-reading-1', unit: 4, reading: '4.1', title: 'You Need a Theory of Victory', href: '/course/verification/4.html#read-4-1' },
-    { id: 'unit-4-reading-2', unit: 4, reading: '4.2', title: 'My Research Process: Key Mindsets', href: '/course/verification/4.html#read-4-2' }
-  ],
+  storageKey: null,
+  manifest: null,
+  // Tracked readings from the manifest, ordered as displayed on the pages
+  readings: [],
 
   init() {
+    this.storageKey = Course.key('course-progress');
+    this.manifest = Course.manifest;
+    this.readings = this.manifest ? CourseCatalog.readings(this.manifest) : [];
     this.progressCount = document.getElementById('course-progress-count');
     this.progressFill = document.getElementById('course-progress-fill');
     this.startTitle = document.querySelector('.course-start-panel h2');
@@ -151,7 +176,16 @@ const CourseProgress = {
     });
   },
 
+  // Marked done, and past its comprehension check when the course requires one
+  isComplete(id) {
+    return this.completed.has(id) && !CourseChecks.blocks(id);
+  },
+
   toggleReading(id) {
+    if (CourseChecks.blocks(id)) {
+      CourseChecks.open(id);
+      return;
+    }
     const added = !this.completed.has(id);
     if (added) this.completed.add(id);
     else this.completed.delete(id);
@@ -161,31 +195,39 @@ const CourseProgress = {
     CourseAuth.pushToggle(id, added);
   },
 
+  // Called once a required check is passed
+  markDone(id) {
+    if (this.completed.has(id)) return;
+    this.completed.add(id);
+    this.saveProgress();
+    CourseAuth.pushToggle(id, true);
+  },
+
   renderProgress() {
     const allCourseReadings = this.readings.map(reading => reading.id);
-    const completedCount = allCourseReadings.filter(id => this.completed.has(id)).length;
+    const completedCount = allCourseReadings.filter(id => this.isComplete(id)).length;
 
     if (this.progressCount) {
       this.progressCount.textContent = String(completedCount);
     }
-    if (this.progressFill) {
+    if (this.progressFill && allCourseReadings.length) {
       this.progressFill.style.width = Math.round((completedCount / allCourseReadings.length) * 100) + '%';
     }
     document.querySelectorAll('.course-done-toggle').forEach(button => {
-      const done = this.completed.has(button.dataset.readingToggle);
+      const id = button.dataset.readingToggle;
+      const done = this.isComplete(id);
       button.setAttribute('aria-pressed', done ? 'true' : 'false');
-      button.textContent = done ? 'Done' : 'Mark done';
+      if (done) button.textContent = 'Done';
+      else button.textContent = CourseChecks.blocks(id) ? 'Take the check' : 'Mark done';
     });
 
+    if (!this.manifest) return;
     document.querySelectorAll('.course-lesson').forEach(link => {
-      const href = link.getAttribute('href') || '';
-      const ids = (link.dataset.readingIds || '').split(/\s+/).filter(Boolean);
-      const match = href.match(/#read-(\d+)-(\d+)/);
-      if (!ids.length && match) ids.push('unit-' + match[1] + '-reading-' + match[2]);
+      const ids = CourseCatalog.idsForHref(this.manifest, link.getAttribute('href') || '');
       if (!ids.length) return;
 
-      const complete = ids.every(id => this.completed.has(id));
-      const started = !complete && ids.some(id => this.completed.has(id));
+      const complete = ids.every(id => this.isComplete(id));
+      const started = !complete && ids.some(id => this.isComplete(id));
       link.classList.toggle('is-complete', complete);
       link.classList.toggle('is-started', started);
     });
@@ -193,8 +235,10 @@ const CourseProgress = {
   },
 
   renderNextUp(completedCount) {
-    const next = this.readings.find(reading => !this.completed.has(reading.id));
-    const unitLabel = next ? String(next.unit).padStart(2, '0') : '04';
+    const next = this.readings.find(reading => !this.isComplete(reading.id));
+    const finish = this.manifest.finish;
+    const unit = next ? next.unit : finish.unit;
+    const unitLabel = String(unit).padStart(2, '0');
 
     if (this.startTitle) {
       if (next) {
@@ -209,20 +253,28 @@ const CourseProgress = {
       const title = this.nextUp.querySelector('strong');
       const meta = this.nextUp.querySelector('small');
 
-      this.nextUp.href = next ? next.href : '/course/verification/4.html';
+      this.nextUp.href = next ? next.href : CourseCatalog.unitHref(this.manifest, unit);
       if (label) label.textContent = 'Next up';
-      if (title) title.textContent = next ? next.title : 'Project ideation';
-      if (meta) meta.textContent = next ? 'Unit ' + unitLabel + ' · Reading ' + next.reading : 'Unit 04 · Prompts';
+      if (title) title.textContent = next ? next.title : finish.title;
+      if (meta) {
+        meta.textContent = 'Unit ' + unitLabel + ' · ' +
+          (next ? this.numberLabel(next) : finish.label);
+      }
     }
 
     if (this.primaryAction) {
-      this.primaryAction.href = next ? '/course/verification/' + next.unit + '.html' : '/course/verification/4.html';
+      this.primaryAction.href = CourseCatalog.unitHref(this.manifest, unit);
       this.primaryAction.textContent = next
         ? (completedCount ? 'Continue Unit ' : 'Start Unit ') + unitLabel
-        : 'Open Unit 04';
+        : 'Open Unit ' + unitLabel;
     }
 
-    this.syncOpenModule(next ? next.unit : 4);
+    this.syncOpenModule(unit);
+  },
+
+  numberLabel(reading) {
+    if (!reading.number) return 'Exercise';
+    return (reading.kind === 'watch' ? 'Video ' : 'Reading ') + reading.number;
   },
 
   syncOpenModule(unit) {
@@ -241,16 +293,19 @@ const CourseProgress = {
 // additive: if the library or config is missing, or the network fails, the course
 // runs exactly as it does signed out, on localStorage alone.
 const CourseAuth = {
-  nameKey: 'caish-verification-ws-name',
-  courseId: 'verification',
+  courseId: null,
   client: null,
   session: null,
   box: null,
-  mergedKey: 'caish-verification-merged',
-  outboxKey: 'caish-verification-sync-outbox',
-  activeUserKey: 'caish-verification-active-user',
+  mergedKey: null,
+  outboxKey: null,
+  activeUserKey: null,
 
   init() {
+    this.courseId = Course.id;
+    this.mergedKey = Course.key('merged');
+    this.outboxKey = Course.key('sync-outbox');
+    this.activeUserKey = Course.key('active-user');
     if (!window.supabase || !window.CAISH_SUPABASE_URL || !window.CAISH_SUPABASE_ANON_KEY) return;
     try {
       this.client = window.supabase.createClient(window.CAISH_SUPABASE_URL, window.CAISH_SUPABASE_ANON_KEY, {
@@ -291,9 +346,7 @@ const CourseAuth = {
     const u = user || this.user();
     if (!u) return '';
     const meta = u.user_metadata || {};
-    let stored = '';
-    try { stored = localStorage.getItem(this.nameKey) || ''; } catch (error) {}
-    return (meta.full_name || meta.name || stored || u.email || '').trim();
+    return (meta.full_name || meta.name || Course.savedName() || u.email || '').trim();
   },
 
   notifyAuthChange() {
@@ -395,10 +448,13 @@ const CourseAuth = {
     }
   },
 
+  // Pending writes, one per reading and kind: add/del for progress, note for
+  // CourseNotes (which sends the latest text when flushed)
   queue(item) {
+    const slot = entry => (entry.op === 'note' ? 'note:' : '') + entry.id;
     try {
       const outbox = JSON.parse(localStorage.getItem(this.outboxStorageKey()) || '[]')
-        .filter(existing => existing.id !== item.id);
+        .filter(existing => slot(existing) !== slot(item));
       outbox.push(item);
       localStorage.setItem(this.outboxStorageKey(), JSON.stringify(outbox));
     } catch (error) {}
@@ -425,7 +481,9 @@ const CourseAuth = {
     for (const item of outbox) {
       try {
         let error;
-        if (item.op === 'add') {
+        if (item.op === 'note') {
+          ({ error } = await CourseNotes.pushNote(item.id));
+        } else if (item.op === 'add') {
           ({ error } = await this.client.from('course_progress').upsert(
             { course_id: this.courseId, reading_id: item.id },
             { onConflict: 'user_id,course_id,reading_id', ignoreDuplicates: true }
@@ -506,7 +564,7 @@ const CourseAuth = {
   async sendLink(email, name) {
     const msg = this.box.querySelector('#course-auth-msg');
     const form = this.box.querySelector('#course-auth-form');
-    if (name) { try { localStorage.setItem(this.nameKey, name.trim()); } catch (error) {} }
+    if (name) Course.saveName(name);
     try {
       const { error } = await this.client.auth.signInWithOtp({
         email,
@@ -546,6 +604,516 @@ const CourseAuth = {
   }
 };
 
+// Comprehension checks: short quizzes attached to readings in the manifest
+// (reading.check). The answer keys stay on the server: the checks function
+// (lib/endpoints/checks.js) marks each submission and, when signed in, saves
+// it to the reading_checks table (one row per user, course and reading, unique
+// on user_id,course_id,reading_id; readable by its owner, written only by the
+// function). Results are also kept in localStorage, with the account they
+// belong to, so a pass made signed out is sent again on sign-in and a previous
+// user's results never reach the next account. When the manifest sets
+// requireChecks, a reading with a check only counts as done once it is passed.
+const CourseChecks = {
+  endpoint: '/.netlify/functions/checks',
+  storageKey: null,
+  ownerKey: null,
+  required: false,
+  // reading id -> check, from the manifest
+  checks: {},
+  // reading id -> { passed, answers, at, pending }; pending until saved to the account
+  results: {},
+
+  init() {
+    if (!Course.manifest) return;
+    this.storageKey = Course.key('reading-checks');
+    this.ownerKey = Course.key('reading-checks-user');
+    this.required = Boolean(Course.manifest.requireChecks);
+    CourseCatalog.readings(Course.manifest).forEach(item => {
+      if (item.reading.check) this.checks[item.id] = item.reading.check;
+    });
+    try {
+      this.results = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (error) {
+      this.results = {};
+    }
+
+    document.querySelectorAll('.course-reading[data-reading-id]').forEach(card => {
+      const check = this.checks[card.dataset.readingId];
+      if (check && !card.querySelector('.course-check')) card.appendChild(this.renderPanel(card.dataset.readingId, check));
+    });
+    this.renderState();
+
+    document.addEventListener('course-auth-change', () => this.sync());
+    window.addEventListener('online', () => this.sync());
+  },
+
+  passed(id) {
+    return Boolean(this.results[id] && this.results[id].passed);
+  },
+
+  // True while a reading's required check is still to pass
+  blocks(id) {
+    return this.required && Boolean(this.checks[id]) && !this.passed(id);
+  },
+
+  renderPanel(id, check) {
+    const esc = value => CourseAuth.escape(value);
+    const panel = document.createElement('details');
+    panel.className = 'course-check';
+    panel.dataset.check = id;
+    panel.innerHTML =
+      '<summary><span>Check your understanding</span><small class="course-check-state"></small></summary>' +
+      '<form class="course-check-form" novalidate>' +
+        check.questions.map((question, index) => {
+          const name = id + ':' + question.id;
+          const field = question.type === 'choice'
+            ? question.options.map((option, value) =>
+              '<label class="course-check-option"><input type="radio" name="' + esc(name) + '" value="' + value + '"><span>' + esc(option) + '</span></label>'
+            ).join('')
+            : '<textarea class="course-check-answer" name="' + esc(name) + '" rows="3" aria-label="Your answer"></textarea>';
+          return '<fieldset class="course-check-question" data-question="' + esc(question.id) + '">' +
+            '<legend>' + (index + 1) + '. ' + esc(question.prompt) + '</legend>' + field +
+            '<p class="course-check-explanation" hidden></p>' +
+          '</fieldset>';
+        }).join('') +
+        '<div class="course-check-foot">' +
+          '<button type="submit" class="course-auth-send">Check answers</button>' +
+          '<p class="course-check-result" role="status"></p>' +
+        '</div>' +
+      '</form>';
+
+    const form = panel.querySelector('form');
+    const saved = this.results[id] && this.results[id].answers;
+    if (saved) {
+      check.questions.forEach(question => {
+        const field = form.elements[id + ':' + question.id];
+        if (field && saved[question.id] !== undefined && saved[question.id] !== null) field.value = String(saved[question.id]);
+      });
+    }
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.submit(id, check, panel);
+    });
+    return panel;
+  },
+
+  answersFrom(id, check, form) {
+    const answers = {};
+    check.questions.forEach(question => {
+      const value = form.elements[id + ':' + question.id].value;
+      if (question.type === 'choice') answers[question.id] = value === '' ? null : Number(value);
+      else answers[question.id] = value.trim();
+    });
+    return answers;
+  },
+
+  // Marks answers with the checks function, saving the result to the
+  // account when signed in. Resolves to { passed, marks, explanations, saved }
+  async mark(id, answers) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (CourseAuth.session && CourseAuth.user()) headers.Authorization = 'Bearer ' + CourseAuth.session.access_token;
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ course: Course.id, reading: id, answers })
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.message || 'Could not check your answers.');
+    return body;
+  },
+
+  async submit(id, check, panel) {
+    const answers = this.answersFrom(id, check, panel.querySelector('form'));
+    const result = panel.querySelector('.course-check-result');
+    const button = panel.querySelector('button[type="submit"]');
+    result.textContent = 'Checking...';
+    button.disabled = true;
+    let marked;
+    try {
+      marked = await this.mark(id, answers);
+    } catch (error) {
+      result.textContent = 'Could not check your answers just now. Please try again in a minute.';
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    check.questions.forEach(question => {
+      const right = Boolean(marked.marks[question.id]);
+      const box = panel.querySelector('[data-question="' + question.id + '"]');
+      const explanation = box.querySelector('.course-check-explanation');
+      box.classList.toggle('is-right', right);
+      box.classList.toggle('is-wrong', !right);
+      explanation.textContent = (right ? 'Right. ' : 'Not quite. ') + (marked.explanations[question.id] || '');
+      explanation.hidden = false;
+    });
+
+    if (marked.passed) {
+      result.textContent = this.blocks(id) ? 'Passed. This reading now counts as done.' : 'Passed.';
+    } else {
+      result.textContent = 'Have another look at the reading and try again.';
+    }
+
+    // A later miss does not undo a pass: the passing answers are kept, to be
+    // sent again if they have not reached the account yet
+    if (marked.passed || !this.passed(id)) {
+      this.results[id] = { passed: marked.passed, answers, at: new Date().toISOString(), pending: !marked.saved };
+    }
+    if (marked.saved && CourseAuth.user()) this.claim(CourseAuth.user().id);
+    this.save();
+
+    if (marked.passed && this.required) CourseProgress.markDone(id);
+    this.renderState();
+    CourseProgress.renderProgress();
+  },
+
+  open(id) {
+    const panel = document.querySelector('.course-check[data-check="' + id + '"]');
+    if (!panel) return;
+    panel.open = true;
+    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    const first = panel.querySelector('input, textarea');
+    if (first) first.focus({ preventScroll: true });
+  },
+
+  renderState() {
+    document.querySelectorAll('.course-check').forEach(panel => {
+      const id = panel.dataset.check;
+      const state = panel.querySelector('.course-check-state');
+      panel.classList.toggle('is-passed', this.passed(id));
+      if (state) state.textContent = this.passed(id) ? 'Passed' : (this.required ? 'Required to finish' : 'Optional');
+    });
+  },
+
+  save() {
+    try { localStorage.setItem(this.storageKey, JSON.stringify(this.results)); } catch (error) {}
+  },
+
+  // The account these results belong to
+  claim(userId) {
+    try { localStorage.setItem(this.ownerKey, userId); } catch (error) {}
+  },
+
+  // Sends a result's answers again to be marked and saved to the account;
+  // only the function decides whether they pass
+  async push(id) {
+    if (!CourseAuth.user() || !this.checks[id]) return false;
+    const result = this.results[id];
+    try {
+      const marked = await this.mark(id, result.answers || {});
+      if (!marked.saved) return false;
+      result.passed = marked.passed;
+      result.pending = false;
+      this.save();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Send results made offline or signed out, then take passes from the
+  // account: a pass on any device counts everywhere. Results kept for another
+  // account on this browser are dropped, not sent
+  async sync() {
+    const user = CourseAuth.user();
+    if (!CourseAuth.client || !user) return;
+    let owner = null;
+    try { owner = localStorage.getItem(this.ownerKey); } catch (error) {}
+    if (owner && owner !== user.id) {
+      this.results = {};
+      this.save();
+    }
+    this.claim(user.id);
+    for (const id of Object.keys(this.results)) {
+      if (this.results[id].pending) await this.push(id);
+    }
+    try {
+      const { data, error } = await CourseAuth.client
+        .from('reading_checks')
+        .select('reading_id, passed, answers, updated_at')
+        .eq('course_id', Course.id);
+      if (error || !data) return;
+      data.forEach(row => {
+        const local = this.results[row.reading_id];
+        if (!local || (row.passed && !local.passed)) {
+          this.results[row.reading_id] = { passed: row.passed, answers: row.answers || {}, at: row.updated_at, pending: false };
+        }
+      });
+      this.save();
+      this.renderState();
+      CourseProgress.renderProgress();
+    } catch (error) {}
+  }
+};
+
+// Private notes and highlights on each reading. Kept in localStorage and, when
+// signed in, in the course_notes table (user_id, course_id, reading_id, body,
+// highlights jsonb, updated_at; unique on user_id,course_id,reading_id; rows
+// readable and writable by their owner only). Failed writes wait in
+// CourseAuth's outbox like progress does. Clearing a note saves it empty rather
+// than deleting the row, so the newer copy wins on every device.
+const CourseNotes = {
+  storageKey: null,
+  ownerKey: null,
+  // reading id -> { body, highlights: [text], updated }
+  notes: {},
+  timers: {},
+
+  init() {
+    if (!Course.manifest) return;
+    this.storageKey = Course.key('notes');
+    this.ownerKey = Course.key('notes-user');
+    try {
+      this.notes = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (error) {
+      this.notes = {};
+    }
+
+    document.querySelectorAll('.course-reading[data-reading-id]').forEach(card => {
+      if (!card.querySelector('.course-notes')) card.appendChild(this.renderPanel(card));
+    });
+
+    document.addEventListener('course-auth-change', () => this.sync());
+  },
+
+  note(id) {
+    return this.notes[id] || { body: '', highlights: [], updated: null };
+  },
+
+  hasContent(note) {
+    return Boolean(note && (note.body.trim() || note.highlights.length));
+  },
+
+  renderPanel(card) {
+    const id = card.dataset.readingId;
+    const panel = document.createElement('details');
+    panel.className = 'course-notes';
+    panel.dataset.notes = id;
+    panel.innerHTML =
+      '<summary><span>Your notes</span><small class="course-notes-state"></small></summary>' +
+      '<div class="course-notes-body">' +
+        '<ul class="course-notes-highlights"></ul>' +
+        '<textarea class="course-notes-text" rows="4" placeholder="Only you can see these notes." aria-label="Your notes on this reading"></textarea>' +
+        '<div class="course-notes-foot">' +
+          '<button type="button" class="course-notes-quote">Save selected text</button>' +
+          '<button type="button" class="course-notes-export-open">Export all my notes</button>' +
+          '<p class="course-notes-msg" role="status"></p>' +
+        '</div>' +
+      '</div>';
+
+    const text = panel.querySelector('.course-notes-text');
+    text.value = this.note(id).body;
+    text.addEventListener('input', () => this.update(id, { body: text.value }));
+
+    const quote = panel.querySelector('.course-notes-quote');
+    // Keep the reader's selection when the button is pressed
+    quote.addEventListener('mousedown', event => event.preventDefault());
+    quote.addEventListener('click', () => this.quoteSelection(card, panel));
+    panel.querySelector('.course-notes-export-open').addEventListener('click', () => this.showExport());
+
+    this.renderHighlights(panel, id);
+    return panel;
+  },
+
+  renderHighlights(panel, id) {
+    const note = this.note(id);
+    const list = panel.querySelector('.course-notes-highlights');
+    list.innerHTML = note.highlights.map((highlight, index) =>
+      '<li><q>' + CourseAuth.escape(highlight) + '</q>' +
+      '<button type="button" data-remove="' + index + '" aria-label="Remove highlight">&times;</button></li>'
+    ).join('');
+    list.hidden = !note.highlights.length;
+    list.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        const highlights = this.note(id).highlights.filter((_, index) => index !== Number(button.dataset.remove));
+        this.update(id, { highlights });
+        this.renderHighlights(panel, id);
+      });
+    });
+    const state = panel.querySelector('.course-notes-state');
+    if (state) state.textContent = this.hasContent(note) ? 'Saved' : '';
+  },
+
+  // Text selected in this card (outside the notes panel) becomes a highlight
+  quoteSelection(card, panel) {
+    const msg = panel.querySelector('.course-notes-msg');
+    const selection = window.getSelection ? window.getSelection() : null;
+    const text = selection ? selection.toString().replace(/\s+/g, ' ').trim() : '';
+    const node = selection && selection.anchorNode;
+    if (!text || !card.contains(node) || panel.contains(node)) {
+      msg.textContent = 'Select some text in this card first.';
+      return;
+    }
+    const id = card.dataset.readingId;
+    this.update(id, { highlights: this.note(id).highlights.concat(text.slice(0, 1000)) });
+    this.renderHighlights(panel, id);
+    selection.removeAllRanges();
+    msg.textContent = '';
+  },
+
+  update(id, changes) {
+    this.notes[id] = { ...this.note(id), ...changes, updated: new Date().toISOString() };
+    this.saveLocal();
+    const state = document.querySelector('.course-notes[data-notes="' + id + '"] .course-notes-state');
+    if (state) state.textContent = this.hasContent(this.notes[id]) ? 'Saved' : '';
+    if (!CourseAuth.client || !CourseAuth.user()) return;
+    clearTimeout(this.timers[id]);
+    this.timers[id] = setTimeout(() => this.push(id), 1500);
+  },
+
+  saveLocal() {
+    try { localStorage.setItem(this.storageKey, JSON.stringify(this.notes)); } catch (error) {}
+  },
+
+  async push(id) {
+    try {
+      const { error } = await this.pushNote(id);
+      if (error) CourseAuth.queue({ op: 'note', id });
+    } catch (error) {
+      CourseAuth.queue({ op: 'note', id });
+    }
+  },
+
+  // Also called by CourseAuth.flushOutbox; resolves to { error } like a query
+  async pushNote(id) {
+    const note = this.notes[id];
+    if (!note) return { error: null };
+    return CourseAuth.client.from('course_notes').upsert({
+      course_id: Course.id,
+      reading_id: id,
+      body: note.body,
+      highlights: note.highlights,
+      updated_at: note.updated
+    }, { onConflict: 'user_id,course_id,reading_id' });
+  },
+
+  // On sign-in: the newer copy of each note wins, in both directions. Notes
+  // left by someone else who signed in on this browser are dropped first.
+  async sync() {
+    const user = CourseAuth.user();
+    if (!CourseAuth.client || !user) return;
+    try {
+      const owner = localStorage.getItem(this.ownerKey);
+      if (owner && owner !== user.id) this.notes = {};
+      if (!(await CourseAuth.flushOutbox())) return;
+
+      const { data, error } = await CourseAuth.client
+        .from('course_notes')
+        .select('reading_id, body, highlights, updated_at')
+        .eq('course_id', Course.id);
+      if (error || !data) return;
+
+      const remote = new Map(data.map(row => [row.reading_id, row]));
+      remote.forEach((row, id) => {
+        const local = this.notes[id];
+        if (!local || (row.updated_at && (!local.updated || new Date(row.updated_at) > new Date(local.updated)))) {
+          this.notes[id] = { body: row.body || '', highlights: row.highlights || [], updated: row.updated_at };
+        }
+      });
+      this.saveLocal();
+      localStorage.setItem(this.ownerKey, user.id);
+
+      Object.keys(this.notes).forEach(id => {
+        const row = remote.get(id);
+        if (!row || new Date(this.notes[id].updated) > new Date(row.updated_at)) this.push(id);
+      });
+      this.refresh();
+    } catch (error) {}
+  },
+
+  refresh() {
+    document.querySelectorAll('.course-notes').forEach(panel => {
+      const id = panel.dataset.notes;
+      const text = panel.querySelector('.course-notes-text');
+      if (document.activeElement !== text) text.value = this.note(id).body;
+      this.renderHighlights(panel, id);
+    });
+  },
+
+  // Every note in the course, by unit and in page order
+  markdown() {
+    const manifest = Course.manifest;
+    const items = CourseCatalog.readings(manifest).filter(item => this.hasContent(this.notes[item.id]));
+    const lines = ['# Notes: ' + manifest.title, ''];
+    if (!items.length) lines.push('No notes yet.', '');
+    manifest.units.forEach(unit => {
+      const inUnit = items.filter(item => item.unit === unit.number);
+      if (!inUnit.length) return;
+      lines.push('## Unit ' + unit.number + ': ' + unit.title, '');
+      inUnit.forEach(item => {
+        const note = this.notes[item.id];
+        lines.push('### ' + item.label + ': [' + item.title + '](' + location.origin + item.href + ')', '');
+        note.highlights.forEach(highlight => lines.push('> ' + highlight, ''));
+        if (note.body.trim()) lines.push(note.body.trim(), '');
+      });
+    });
+    return lines.join('\n').trim() + '\n';
+  },
+
+  showExport() {
+    let view = document.getElementById('course-notes-export');
+    if (!view) {
+      view = document.createElement('div');
+      view.className = 'course-notes-export';
+      view.id = 'course-notes-export';
+      view.setAttribute('role', 'dialog');
+      view.setAttribute('aria-modal', 'true');
+      view.setAttribute('aria-label', 'All my notes');
+      view.innerHTML =
+        '<div class="course-notes-export-box">' +
+          '<div class="course-notes-export-head">' +
+            '<h2>All my notes</h2>' +
+            '<button type="button" class="course-auth-link" data-export-close>Close</button>' +
+          '</div>' +
+          '<p>Markdown, grouped by unit. Paste it into a doc or save it as a file.</p>' +
+          '<textarea readonly rows="16" aria-label="Your notes as Markdown"></textarea>' +
+          '<div class="course-notes-foot">' +
+            '<button type="button" class="course-auth-send" data-export-copy>Copy</button>' +
+            '<button type="button" class="course-auth-send" data-export-download>Download .md</button>' +
+          '</div>' +
+        '</div>';
+      document.body.appendChild(view);
+      view.querySelector('[data-export-close]').addEventListener('click', () => this.hideExport());
+      view.addEventListener('click', event => { if (event.target === view) this.hideExport(); });
+      view.addEventListener('keydown', event => { if (event.key === 'Escape') this.hideExport(); });
+      view.querySelector('[data-export-copy]').addEventListener('click', event => this.copyExport(event.target));
+      view.querySelector('[data-export-download]').addEventListener('click', () => this.downloadExport());
+    }
+    this.returnFocus = document.activeElement;
+    view.querySelector('textarea').value = this.markdown();
+    view.hidden = false;
+    view.querySelector('textarea').focus();
+  },
+
+  hideExport() {
+    const view = document.getElementById('course-notes-export');
+    if (view) view.hidden = true;
+    if (this.returnFocus) this.returnFocus.focus();
+  },
+
+  copyExport(button) {
+    const text = document.querySelector('#course-notes-export textarea');
+    try {
+      CourseWorksheet.copyWithTextarea(text.value);
+      button.textContent = 'Copied';
+    } catch (error) {
+      text.select();
+      button.textContent = 'Press Ctrl+C to copy';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 4000);
+  },
+
+  downloadExport() {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([this.markdown()], { type: 'text/markdown' }));
+    link.download = Course.id + '-notes.md';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+};
+
 const CourseModules = {
   init() {
     const modules = Array.from(document.querySelectorAll('.course-module'));
@@ -639,8 +1207,9 @@ const CourseWorkmap = {
 };
 
 const CourseWorksheet = {
-  storageKey: 'caish-verification-worksheet',
-  nameKey: 'caish-verification-ws-name',
+  storageKey: null,
+  // { course, deadline } for the sketch text, from the manifest's sketch entry
+  sketch: {},
   fields: [],
   nameField: null,
   nameRow: null,
@@ -651,6 +1220,9 @@ const CourseWorksheet = {
   init() {
     const box = document.getElementById('course-worksheet');
     if (!box) return;
+    this.storageKey = Course.key('worksheet');
+    const manifest = Course.manifest || {};
+    this.sketch = { course: manifest.title ? manifest.title + ' course' : 'CAISH course', ...manifest.sketch };
     this.fields = Array.from(box.querySelectorAll('textarea[data-ws]'));
     let saved = {};
     try { saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}'); } catch (error) {}
@@ -665,10 +1237,8 @@ const CourseWorksheet = {
     this.nameField = document.getElementById('course-ws-name');
     this.nameRow = document.getElementById('course-ws-name-row');
     if (this.nameField) {
-      this.nameField.value = localStorage.getItem(this.nameKey) || '';
-      this.nameField.addEventListener('input', () => {
-        try { localStorage.setItem(this.nameKey, this.nameField.value); } catch (error) {}
-      });
+      this.nameField.value = Course.savedName();
+      this.nameField.addEventListener('input', () => Course.saveName(this.nameField.value));
     }
     const submit = document.getElementById('course-ws-submit');
     if (submit) submit.addEventListener('click', () => this.submit());
@@ -711,7 +1281,7 @@ const CourseWorksheet = {
         const email = authBox.querySelector('#course-ws-signin-email').value;
         const nameVal = authBox.querySelector('#course-ws-signin-name').value;
         const msg = authBox.querySelector('#course-ws-signin-msg');
-        if (nameVal) { try { localStorage.setItem(this.nameKey, nameVal.trim()); } catch (error) {} }
+        if (nameVal) Course.saveName(nameVal);
         try {
           const { error } = await CourseAuth.client.auth.signInWithOtp({
             email,
@@ -759,18 +1329,24 @@ const CourseWorksheet = {
           'Content-Type': 'application/json',
           Authorization: 'Bearer ' + CourseAuth.session.access_token
         },
-        body: JSON.stringify({ name, answers })
+        body: JSON.stringify({ course: Course.id, name, answers })
       });
       const body = await response.json().catch(() => ({}));
       if (!response.ok) throw new Error(body.message || 'Could not submit.');
-      this.submitted = true;
-      status.textContent = 'Submitted. You can revise and resubmit until 16 August.';
-      document.getElementById('course-ws-submit').textContent = 'Resubmit sketch';
+      this.markSubmitted();
     } catch (error) {
       status.textContent = (error.message || 'Could not submit.') + ' If this persists, email hello@caish.org.';
     }
   },
 
+  markSubmitted() {
+    this.submitted = true;
+    const status = document.getElementById('course-ws-status');
+    if (status) status.textContent = 'Submitted.' + (this.sketch.deadline ? ' You can revise and resubmit until ' + this.sketch.deadline + '.' : '');
+    const submit = document.getElementById('course-ws-submit');
+    if (submit) submit.textContent = 'Resubmit sketch';
+  },
+
   data() {
     const data = {};
     this.fields.forEach(field => { data[field.dataset.ws] = field.value; });
@@ -787,7 +1363,7 @@ const CourseWorksheet = {
   async push() {
     try {
       await CourseAuth.client.from('project_sketches').upsert({
-        course_id: CourseAuth.courseId,
+        course_id: Course.id,
         worksheet: this.data(),
         updated_at: new Date().toISOString()
       }, { onConflict: 'user_id,course_id' });
@@ -801,10 +1377,12 @@ const CourseWorksheet = {
     try {
       const { data, error } = await CourseAuth.client
         .from('project_sketches')
-        .select('worksheet')
-        .eq('course_id', CourseAuth.courseId)
+        .select('worksheet,submitted_at')
+        .eq('course_id', Course.id)
         .maybeSingle();
-      if (error || !data || !data.worksheet) return;
+      if (error || !data) return;
+      if (data.submitted_at) this.markSubmitted();
+      if (!data.worksheet) return;
       this.fields.forEach(field => {
         const remote = data.worksheet[field.dataset.ws];
         if (remote && !field.value.trim()) field.value = remote;
@@ -823,7 +1401,7 @@ const CourseWorksheet = {
   sheetText(fields) {
     const date = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
     const name = this.displayName();
-    const lines = ['Project sketch', 'AI Assurance course, Cambridge AI Safety Hub. ' + date];
+    const lines = ['Project sketch', this.sketch.course + ', Cambridge AI Safety Hub. ' + date];
     if (name) lines.push(name);
     lines.push('');
     this.worksheetEntries(fields).forEach(entry => {
@@ -843,7 +1421,7 @@ const CourseWorksheet = {
       return '<h2>' + esc(entry.question) + '</h2><p style="white-space:pre-wrap">' + esc(answer) + '</p>';
     }).join('');
     return '<h1>Project sketch' + (name ? ' - ' + esc(name) : '') + '</h1>'
-      + '<p>AI Assurance course, Cambridge AI Safety Hub. ' + date + '</p>' + sections;
+      + '<p>' + esc(this.sketch.course) + ', Cambridge AI Safety Hub. ' + date + '</p>' + sections;
   },
 
   copySketch(fields) {
@@ -945,7 +1523,7 @@ const CourseWorksheet = {
       + '.blank{height:52px;border-bottom:1px solid #ddd;max-width:620px}'
       + '</style></head><body>'
       + '<h1>Project sketch' + (name ? ' &middot; ' + esc(name) : '') + '</h1>'
-      + '<p class="meta">AI Assurance course, Cambridge AI Safety Hub &middot; ' + date + '</p>'
+      + '<p class="meta">' + esc(this.sketch.course) + ', Cambridge AI Safety Hub &middot; ' + date + '</p>'
       + sections + '</body></html>');
     win.document.close();
     win.focus();
@@ -956,9 +1534,10 @@ const CourseWorksheet = {
 // Lets readers collapse a unit to its required readings. Only appears on pages
 // that have optional readings to hide.
 const ReadingFilter = {
-  storageKey: 'caish-verification-course-reading-filter',
+  storageKey: null,
 
   init() {
+    this.storageKey = Course.key('course-reading-filter');
     this.optional = Array.from(document.querySelectorAll('.course-reading')).filter(
       reading => reading.querySelector('.course-reading-tag--optional')
     );
@@ -998,14 +1577,25 @@ const ReadingFilter = {
 
 function initAll() {
   MobileNav.init();
+  CourseModules.init();
+  CourseWorkmap.init();
+  // Progress, sign-in, the sketch, notes and the filter all need to know the course
+  if (!Course.init()) return;
+  // Before progress, which asks it which readings still need their check
+  CourseChecks.init();
   CourseProgress.init();
   CourseAuth.init();
   CourseWorksheet.init();
-  CourseModules.init();
-  CourseWorkmap.init();
+  CourseNotes.init();
   ReadingFilter.init();
 }
 
-document.readyState === 'loading'
-  ? document.addEventListener('DOMContentLoaded', initAll)
-  : initAll();
+// Loaded as a plain script on every course's pages, after that course's
+// manifest.js; build-course.js and lib/cohort.js require it for CourseCatalog
+if (typeof module !== 'undefined') {
+  module.exports = { CourseCatalog };
+} else {
+  document.readyState === 'loading'
+    ? document.addEventListener('DOMContentLoaded', initAll)
+    : initAll();
+}
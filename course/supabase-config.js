@@ -1,4 +1,4 @@
-// Supabase client config for the AI Verification course.
+// Supabase client config for the courses under /course/ (one project, so one sign-in).
 // These two values are the PUBLIC project URL and the PUBLIC anon key.
 // They are designed to ship in the browser; data is protected by row-level
 // security on the database, not by hiding these. Never put the service_role
@@ -0,0 +1,987 @@
+// Course manifest for AI Workload Verification: the units, their sections and
+// readings, in page order. build-course.js renders the reading cards on the
+// unit pages from it and checks it; /course/course.js reads it for progress.
+// id is the course id: it names this directory and scopes the course's
+// localStorage keys (caish-verification-...) and Supabase rows.
+//
+// Each reading:
+//   id        stored progress key. Never change it once people have progress
+//             against it; it stays with its reading when cards move or renumber
+//   anchor    element id on the unit page, for deep links (keep it stable too)
+//   kind      read | watch | exercise. Card numbers (READ 1.6, WATCH 1.2) are
+//             counted per kind in page order, so they are not stored here
+//   required  true or false for the Required/Optional tag; leave it out for none
+//   time      estimated time, as shown
+//   title, authors, why, scope (the "What to read" note), all plain text
+//   link, linkLabel (default "Link"), video (a YouTube id, thumb in thumbs/)
+//   check     optional comprehension check shown under the card:
+//             { questions: [...] }, each question { id, type, prompt } plus
+//             options for type 'choice'; type 'short' takes a written answer.
+//             This file is public, so the answers live in
+//             lib/course-answers/verification.js
+// An exercise with no id is shown but not tracked.
+
+const CourseManifest = {
+  id: 'verification',
+  title: 'AI Workload Verification',
+  path: '/course/verification/',
+  // Where "next up" points once every reading is marked
+  finish: { unit: 4, title: 'Project ideation', label: 'Prompts' },
+  // Wording for the project sketch copy and PDF
+  sketch: { course: 'AI Assurance course', deadline: '16 August' },
+  // When true, a required reading with a check only counts as done once its
+  // check is passed; otherwise checks are optional
+  requireChecks: false,
+  units: [
+    {
+      number: 1,
+      title: 'What is verification trying to do?',
+      page: '1.html',
+      sections: [
+        {
+          id: 'sec-risks',
+          title: 'The risks',
+          readings: [
+            {
+              id: 'unit-1-reading-1',
+              anchor: 'read-1-1',
+              kind: 'watch',
+              required: true,
+              time: '20 min',
+              title: 'AI “Stop Button” Problem',
+              authors: 'Rob Miles, Computerphile (2017)',
+              why: 'An agent given a goal, even one as simple as fetching tea, has reasons to stop you switching it off, and each obvious patch produces something suicidal, manipulative, or deceptive instead. The idea to hold onto is that a system can be deceptive enough to pass every test you set while still working against you, so watching its behaviour is not enough to trust it.',
+              video: '3TYT1QfdfsM',
+              check: {
+                questions: [
+                  {
+                    id: 'behaviour',
+                    type: 'choice',
+                    prompt: 'Why is watching how a system behaves not enough to trust it?',
+                    options: [
+                      'Behaviour is too expensive to observe at scale',
+                      'A system can be deceptive enough to pass every test while still working against you',
+                      'Tests only cover the tasks the system was trained on',
+                      'Agents change their goals after deployment'
+                    ]
+                  },
+                  {
+                    id: 'patch',
+                    type: 'short',
+                    prompt: 'Pick one obvious patch to the stop button and say how it goes wrong.'
+                  }
+                ]
+              }
+            },
+            {
+              id: 'unit-1-reading-2',
+              anchor: 'read-1-2',
+              kind: 'watch',
+              required: true,
+              time: '21 min',
+              title: 'The Hard Problem of Controlling Powerful AI Systems',
+              authors: 'Buck Shlegeris, Computerphile (2026)',
+              why: 'If the model itself might be scheming against you, defending against it means treating it as an adversary inside your own infrastructure. You watch it with weaker models you do trust, working with a human review budget of around one per cent, against an attacker who spreads the harmful action across many innocent-looking steps and only has to succeed once. Catching an adversary who only has to defect once, using cheap checks on a small sample, is the same problem as verifying a compute agreement between states that do not trust each other.',
+              video: 'JAcwtV_bFp4'
+            },
+            {
+              id: 'unit-1-reading-3',
+              anchor: 'read-1-3',
+              kind: 'read',
+              required: true,
+              time: '40 min',
+              title: 'AI 2040: Plan A',
+              authors: 'AI Futures Project (2026)',
+              why: 'A concrete scenario of exactly the regime this course is about: two superpowers agree not to run certain AI workloads, then verify it. It walks through the compute declaration, the inference-only verification (network taps and random recomputation) that enforces a training pause, and the transparency and mutually assured compute destruction that hold the deal together. The clearest picture of what all these mechanisms are ultimately for.',
+              scope: 'Read the parts about the deal, not the whole scenario. That is the opening ‘What is Plan A’, the 2029 negotiation (compute declaration, training pause, worldwide buy-in) and 2030 ‘Plan A is Established’ with its four principles and verification architecture.',
+              link: 'https://ai-2040.com/'
+            },
+            {
+              id: 'unit-1-reading-4',
+              anchor: 'read-1-4',
+              kind: 'read',
+              required: false,
+              time: '60-75 min',
+              title: 'Risks from power-seeking AI',
+              authors: '80,000 Hours problem profile',
+              why: 'The foundational case for why advanced AI could be dangerous. It argues that we may build systems with their own long-term goals that have reason to seek power and resist human control, possibly to the point of disempowering humanity.',
+              scope: 'The full profile.',
+              link: 'https://80000hours.org/problem-profiles/risks-from-power-seeking-ai/'
+            },
+            {
+              id: 'unit-1-reading-5',
+              anchor: 'read-1-5',
+              kind: 'read',
+              required: false,
+              time: '45-60 min',
+              title: 'Extreme power concentration',
+              authors: '80,000 Hours problem profile',
+              why: 'This covers the second major risk, which gets less attention than misalignment. Even AI that stays under human control could let a small group concentrate power to an unprecedented degree, and verification is one way to keep that power visible and accountable to the public.',
+              scope: 'The full profile.',
+              link: 'https://80000hours.org/problem-profiles/extreme-power-concentration/'
+            },
+            {
+              id: 'unit-1-reading-6',
+              anchor: 'read-1-6',
+              kind: 'read',
+              required: false,
+              time: '15 min',
+              title: 'Components of a frontier AI slowdown',
+              authors: 'Alan Chan (2026)',
+              why: 'Breaks a slowdown into three questions: what it is for, what gets slowed (the research, its compute inputs, or model releases), and how it is structured.',
+              scope: 'The whole post.',
+              link: 'https://astrangeattractor.substack.com/p/components-of-a-frontier-ai-slowdown'
+            }
+          ]
+        },
+        {
+          id: 'sec-verification',
+          title: 'What verification is for',
+          readings: [
+            {
+              id: 'unit-1-reading-7',
+              anchor: 'read-1-7',
+              kind: 'read',
+              required: true,
+              time: '12-15 min',
+              title: 'Avoiding an AI Arms Race with Assurance Technologies',
+              authors: 'Nora Ammann and Sarah Hastings-Woodhouse (2025)',
+              why: 'The US and China each fear that pausing hands the advantage to the other, so even a mutually beneficial deal collapses unless each side can check the other is keeping to it. The piece names this the ‘assurance dilemma’, explains why nuclear-style inspections do not transfer to compute, and previews the hardware mechanisms covered later in the course.',
+              scope: 'The full article.',
+              link: 'https://ai-frontiers.org/articles/ai-arms-race-assurance-technologies',
+              check: {
+                questions: [
+                  {
+                    id: 'dilemma',
+                    type: 'choice',
+                    prompt: 'What is the assurance dilemma?',
+                    options: [
+                      'Neither side can build safe AI without the other’s chips',
+                      'Each side fears pausing hands the advantage to the other, so a deal collapses unless each can check the other keeps to it',
+                      'Inspectors cannot be trusted by either government',
+                      'Assurance technologies slow down AI progress for everyone'
+                    ]
+                  }
+                ]
+              }
+            },
+            {
+              id: 'unit-1-reading-9',
+              anchor: 'read-1-8',
+              kind: 'read',
+              required: true,
+              time: '15-20 min',
+              title: 'Verification Is a Ladder',
+              authors: 'Amodo Design (2026)',
+              why: 'A short argument that verification gets built up incrementally, one rung at a time, drawn from how nuclear arms control verification developed.',
+              scope: 'The full post.',
+              link: 'https://amododesign.com/notes/2026-06-08-verification-is-a-ladder/'
+            },
+            {
+              id: 'unit-1-reading-10',
+              anchor: 'read-1-9',
+              kind: 'read',
+              required: true,
+              time: '30-45 min',
+              title: 'Nuclear Arms Control Verification and Lessons for AI Treaties',
+              authors: 'Baker (2023)',
+              why: 'An account of how verification worked in nuclear arms control and what transfers to AI. Useful for seeing the institutional machinery, on-site inspection and seals that a working verification regime has historically needed.',
+              scope: 'The executive summary.',
+              link: 'https://arxiv.org/abs/2304.04123'
+            },
+            {
+              id: 'unit-1-reading-8',
+              anchor: 'read-1-10',
+              kind: 'read',
+              required: false,
+              time: '35-45 min',
+              title: 'Computing Power and the Governance of Artificial Intelligence',
+              authors: 'Sastry, Heim, Anderljung et al. (2024)',
+              why: 'The canonical argument that compute is more governable than data, talent, or algorithmic insight, and so the most practical lever for AI governance. The governance you can build rests on being able to verify claims about compute.',
+              scope: 'Section 1, Introduction and Summary, pages 2 to 6.',
+              link: 'https://arxiv.org/abs/2402.08797'
+            }
+          ]
+        },
+        {
+          id: 'sec-agendas',
+          title: 'The research agendas',
+          readings: [
+            {
+              id: 'unit-1-reading-11',
+              anchor: 'read-1-11',
+              kind: 'read',
+              required: true,
+              time: '35-50 min',
+              title: 'Hardware-Enabled Mechanisms for Verifying Responsible AI Development',
+              authors: 'O\'Gara, Kulp, Hodgkins, Petrie et al. (2025)',
+              why: 'The cleanest hardware-enabled verification taxonomy in the unit, built around four mechanism categories: verifiable workloads, cluster configuration, location verification and offline licensing.',
+              scope: 'Pages 7 to 18.',
+              link: 'https://arxiv.org/abs/2505.03742'
+            },
+            {
+              id: 'unit-1-reading-12',
+              anchor: 'read-1-12',
+              kind: 'read',
+              required: false,
+              time: '10-15 min',
+              title: 'Frontier AI Auditing',
+              authors: 'Brundage et al. (2026)',
+              why: 'Defines frontier AI auditing as rigorous third-party verification of developers\' safety and security claims, based on deep, secure access to non-public information, and sets out four AI Assurance Levels.',
+              scope: 'The executive summary only.',
+              link: 'https://arxiv.org/abs/2601.11699'
+            },
+            {
+              id: 'unit-1-reading-13',
+              anchor: 'read-1-13',
+              kind: 'read',
+              required: false,
+              time: '20-30 min',
+              title: 'Open Problems in Technical AI Governance',
+              authors: 'Reuel, Hardy, Smith et al. (2025)',
+              why: 'The closest thing the field has to a full survey. The assigned compute subsections show how assessment, access control, verification and security become different technical-governance problems once the target is compute.',
+              scope: 'Sections 3.2, 5.2 and 6.2.',
+              link: 'https://arxiv.org/abs/2407.14981'
+            },
+            {
+              id: 'unit-1-reading-14',
+              anchor: 'read-1-14',
+              kind: 'read',
+              required: false,
+              time: '35-50 min',
+              title: 'Mechanisms to Verify International Agreements About AI Development',
+              authors: 'Scher & Thiergart (2025)',
+              why: 'This is the broad mechanism survey for international agreements. Do not try to absorb the whole report; extract the menu of ways agreements could be checked and the assumptions each mechanism needs.',
+              scope: 'Executive summary, then skim the mechanism survey for categories and tradeoffs.',
+              link: 'https://arxiv.org/abs/2506.15867'
+            }
+          ]
+        },
+        {
+          id: 'sec-comparisons',
+          title: 'Further agenda comparisons',
+          readings: [
+            {
+              id: 'unit-1-reading-16',
+              anchor: 'read-1-15',
+              kind: 'read',
+              required: true,
+              time: '10-15 min',
+              title: 'Verifying International Agreements on AI',
+              authors: 'Baker et al. (RAND, 2025)',
+              why: 'A compact RAND framing of verification as layered evidence. The summary is enough here. It explains why no single mechanism is likely to be sufficient and why on-chip, off-chip and personnel-based layers have different failure modes.',
+              scope: 'The summary, plus the goals of verification on page 3 and the on-chip versus off-chip taxonomy.',
+              link: 'https://arxiv.org/abs/2507.15916'
+            },
+            {
+              id: 'unit-1-reading-15',
+              anchor: 'read-1-16',
+              kind: 'read',
+              required: false,
+              time: '25-35 min',
+              title: 'Verification for International AI Governance',
+              authors: 'Harack et al. (Oxford Martin AIGI, 2025)',
+              why: 'A long report on how verifiability changes the politics of international AI agreements. The useful contrast is its pessimistic assumptions. It asks what remains workable even when privacy, sovereignty and security constraints are taken seriously.',
+              scope: 'Executive summary only, especially the agreement types and feasibility tradeoffs.',
+              link: 'https://aigi.ox.ac.uk/publications/verification-for-international-ai-governance'
+            },
+            {
+              id: 'unit-1-reading-17',
+              anchor: 'read-1-17',
+              kind: 'read',
+              required: false,
+              time: '15-25 min',
+              title: 'Hardware-Level Governance of AI Compute',
+              authors: 'Ansari (2026)',
+              why: 'A short taxonomy that separates monitoring, verification and enforcement mechanisms, then asks which ones are feasible under adversarial and political constraints.',
+              scope: 'Sections 3.4 and 4. Feasibility summary, constraints and adversarial considerations.',
+              link: 'https://arxiv.org/abs/2604.04712'
+            },
+            {
+              id: 'unit-1-reading-18',
+              anchor: 'read-1-18',
+              kind: 'read',
+              required: false,
+              time: '60 min',
+              title: 'On restraining AI development for the sake of safety',
+              authors: 'Joe Carlsmith (2026)',
+              why: 'Frames pausing as one form of ‘capability restraint’ and works through when slowing AI down is worth it. Compute is the practical lever for restraint, while algorithmic progress is the hard thing to monitor, which is much of what verification is trying to make possible. Long, but strategically clarifying.',
+              scope: 'The introduction and sections 4 to 6.',
+              link: 'https://substack.com/@joecarlsmith/p-191385185'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      number: 2,
+      title: 'Mechanisms by which it may be achieved',
+      page: '2.html',
+      sections: [
+        {
+          id: 'sec-overview',
+          title: 'Start here',
+          readings: [
+            {
+              id: 'unit-2-reading-1',
+              anchor: 'read-2-1',
+              kind: 'read',
+              required: true,
+              time: '25-35 min',
+              title: 'A system overview for near-term, low-trust AI compute verification',
+              authors: 'Naci Cankaya (2026)',
+              why: 'A working draft of a complete verification system, covering sensing, proofs, what information can safely cross the boundary, and the assumed adversary.',
+              scope: 'Sections 1 to 3.',
+              link: 'https://www.lesswrong.com/posts/fgvmKqRGvBteKeDoc/a-system-overview-for-near-term-low-trust-ai-compute'
+            },
+            {
+              id: 'unit-2-reading-11',
+              anchor: 'read-2-11',
+              kind: 'read',
+              required: false,
+              time: '15-20 min',
+              title: 'Faster AI Diffusion Through Hardware-Based Verification',
+              authors: 'Ammann and Dalrymple (Institute for Progress, 2025)',
+              why: 'Introduces hardware-based, privacy-preserving verification as a way to support wider AI diffusion while limiting misuse, protecting intellectual property and reducing compliance burdens.',
+              scope: 'The full article.',
+              link: 'https://ifp.org/faster-ai-diffusion-through-hardware-based-verification/'
+            }
+          ]
+        },
+        {
+          id: 'mech-hardware',
+          title: 'Hardware-rooted',
+          intro: ['Mechanisms that try to make the chip, package or attached hardware produce evidence about where it is, what it is allowed to run, or what work it performed.'],
+          readings: [
+            {
+              id: 'unit-2-reading-2',
+              anchor: 'read-2-2',
+              kind: 'read',
+              required: true,
+              time: '35-55 min',
+              title: 'Secure, Governable Chips',
+              authors: 'Aarne, Fist et al. (CNAS, 2024)',
+              why: 'Makes the policy case for on-chip governance. Secure hardware could support export-control enforcement, operating licences and future agreement verification without creating a general surveillance back door.',
+              scope: 'Executive summary, technical underpinnings, implementation challenges and recommendations.',
+              link: 'https://www.cnas.org/publications/reports/secure-governable-chips'
+            },
+            {
+              id: 'unit-2-reading-3',
+              anchor: 'read-2-3',
+              kind: 'read',
+              required: true,
+              time: '35-50 min',
+              title: 'Flexible Hardware-Enabled Guarantees (flexHEG)',
+              authors: 'Petrie et al. (2025)',
+              why: 'A concrete architecture for adding a guarantee processor around AI accelerators, so a regulator can get workload guarantees while the operator keeps models and data private.',
+              scope: 'Abstract, introduction and the section ‘Conceptual Overview of the FlexHEG Design Stack’.',
+              link: 'https://arxiv.org/abs/2506.15093'
+            }
+          ]
+        },
+        {
+          id: 'mech-inference',
+          title: 'Inference verification',
+          intro: ['Checking whether an output plausibly came from the claimed model, even when exact deterministic replay is unavailable.'],
+          readings: [
+            {
+              id: 'unit-2-reading-4',
+              anchor: 'read-2-4',
+              kind: 'read',
+              required: true,
+              time: '15-25 min',
+              title: 'Example Schemes for Verifying High-Stakes AI Agreements',
+              authors: 'Amodo Design (2026)',
+              why: 'A plain-language introduction that frames inference verification as selective recomputation. The verifier checks randomly chosen steps, so the prover cannot know in advance which work must be reproducible.',
+              scope: 'The full post.',
+              link: 'https://amododesign.com/notes/2026-06-23-verification-algorithms/'
+            },
+            {
+              id: 'unit-2-reading-12',
+              anchor: 'read-2-12',
+              kind: 'read',
+              required: false,
+              time: '30 min',
+              title: 'Verifying AI Compute by Bounding Unexplained Information Exfiltration',
+              authors: 'Petrie and Mühlhäuser (2026)',
+              why: 'Proposes hardware-independent verification using prover isolation, cryptographic commitments and challenge-based recomputation to bound unexplained information in network outputs.',
+              scope: 'Full.',
+              link: 'https://openreview.net/forum?id=qtgG5HZSsk'
+            }
+          ]
+        },
+        {
+          id: 'mech-zkp',
+          title: 'Zero-knowledge proofs',
+          intro: ['Proving a claim about a model or training run without revealing the weights or data.'],
+          readings: [
+            {
+              id: 'unit-2-reading-14',
+              anchor: 'read-2-14',
+              kind: 'read',
+              required: true,
+              time: '20-25 min',
+              title: 'Zero Knowledge Proofs: An Illustrated Primer',
+              authors: 'Matthew Green (2014)',
+              why: 'Explains what a zero-knowledge proof is using the graph three-colouring protocol, covering completeness, soundness and zero-knowledgeness, and how digital commitments replace the physical hiding step.',
+              scope: 'The full post.',
+              link: 'https://blog.cryptographyengineering.com/2014/11/27/zero-knowledge-proofs-illustrated-primer/'
+            },
+            {
+              id: 'unit-2-reading-6',
+              anchor: 'read-2-6',
+              kind: 'read',
+              required: true,
+              time: '15-20 min',
+              title: 'Zero-knowledge verification for frontier AI training is possible',
+              authors: 'Peigne et al. (2026)',
+              why: 'A proposal for proving properties of a frontier training run without revealing the model or dataset, using a proving architecture designed around the training trace.',
+              scope: 'Abstract and introduction.',
+              link: 'https://arxiv.org/abs/2606.05433'
+            },
+            {
+              id: 'unit-2-reading-5',
+              anchor: 'read-2-5',
+              kind: 'read',
+              required: false,
+              time: '30-45 min',
+              title: 'Trustless Audits without Revealing Data or Models',
+              authors: 'Waiwitlikhit et al. (2024)',
+              why: 'The shortest introduction to ZK audit logic. Shows how to prove that training or evaluation was computed correctly while keeping the model, data and audit details hidden.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2404.04500'
+            }
+          ]
+        },
+        {
+          id: 'mech-telemetry',
+          title: 'Telemetry and detection',
+          intro: ['Reading network, timing, memory and other side-channel signals to infer what a cluster is doing.'],
+          readings: [
+            {
+              id: 'unit-2-reading-7',
+              anchor: 'read-2-7',
+              kind: 'read',
+              required: true,
+              time: '3-5 min',
+              title: 'The Fundamentals and Feasibility of Secure Network Taps',
+              authors: 'Naci Cankaya (2026)',
+              why: 'Network taps are much more plausible for low-bandwidth north-south traffic than for high-bandwidth east-west accelerator fabric, where link budgets and covert channels dominate.',
+              scope: 'The three-minute summary only.',
+              link: 'https://nacicankaya.substack.com/p/research-note-the-fundamentals-and'
+            },
+            {
+              id: 'unit-2-reading-8',
+              anchor: 'read-2-8',
+              kind: 'read',
+              required: false,
+              time: '60-80 min',
+              title: 'What does it take to catch a Chinchilla? Verifying Rules on Large-Scale Neural Network Training',
+              authors: 'Shavit (2023)',
+              why: 'The compute-monitoring proposal that later work builds on, based on inspecting chips and datacentres well enough to detect large training-rule violations. Its most distinctive idea is proof of learning from training checkpoints, which is closer to proving a training run than to telemetry.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2303.11341'
+            }
+          ]
+        },
+        {
+          id: 'mech-memory',
+          title: 'Memory and physical evidence',
+          intro: ['Evidence from the physical layer, covering proofs of memory erasure, tamper detection around chips and enclosures, and verification from outside the chip.'],
+          readings: [
+            {
+              id: 'unit-2-reading-13',
+              anchor: 'read-2-13',
+              kind: 'read',
+              required: true,
+              time: '20-30 min',
+              title: 'Memory Wipes, a Performance Analysis',
+              authors: 'Amodo Design (2026)',
+              why: 'First numbers for proof of secure erasure on real hardware. RAM and GPU memory on a GB200 tray wipe in about 43 minutes, but the SSDs drag a full wipe towards 24 hours, which makes disk the binding constraint. The graph-labelling scheme shows how a verifier checks the wipe without trusting the prover\'s hardware.',
+              scope: 'The full post.',
+              link: 'https://amododesign.com/notes/2026-07-01-memory-wiping/'
+            }
+          ]
+        },
+        {
+          id: 'mech-attestation',
+          title: 'Attestation and audit',
+          intro: ['Trusted environments, audit protocols and certification regimes that produce evidence someone else can check.'],
+          readings: [
+            {
+              id: 'unit-2-reading-9',
+              anchor: 'read-2-9',
+              kind: 'read',
+              required: true,
+              time: '30-45 min',
+              title: 'Governing Through the Cloud: The Intermediary Role of Compute Providers in AI Regulation',
+              authors: 'Heim et al. (2024)',
+              why: 'Explains why cloud providers are attractive intermediaries for AI regulation. They already sit between users and compute, and can record, verify or enforce some rules at lower cost than direct state inspection.',
+              scope: 'Introduction, the governance-capacities section, and the conclusion.',
+              link: 'https://arxiv.org/abs/2403.08501'
+            },
+            {
+              id: 'unit-2-reading-10',
+              anchor: 'read-2-10',
+              kind: 'read',
+              required: true,
+              time: '20-30 min',
+              title: 'Attestable Audits: Verifiable AI Safety Benchmarks Using Trusted Execution Environments',
+              authors: 'Schabl et al. (2025)',
+              why: 'A TEE-based audit protocol for proving that a benchmark ran on a specific model and dataset while keeping sensitive model and benchmark details protected.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2506.23706'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      number: 3,
+      title: 'Dive deeper',
+      page: '3.html',
+      sections: [
+        {
+          id: 'exercise',
+          title: 'Before you pick',
+          readings: [
+            {
+              kind: 'exercise',
+              required: true,
+              time: '10-15 min',
+              title: '100 experts',
+              authors: 'Proof Works',
+              why: 'Allocate 100 imaginary hires across the verification field. Submitting your answers at the end is optional. Use it to think through the kinds of talent verification will need and where you would put it. If you think something important is missing from the six areas below, that can be your project.',
+              link: 'https://proofworks.cc/100/',
+              linkLabel: 'Open the exercise'
+            }
+          ]
+        },
+        {
+          id: 'mech-hardware',
+          title: 'Hardware-rooted',
+          intro: ['Mechanisms that try to make the chip, package or attached hardware produce evidence about where it is, what it is allowed to run, or what work it performed.'],
+          note: 'Track total: about 2.5-3 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-1',
+              anchor: 'read-3-1',
+              kind: 'watch',
+              time: '12 min',
+              title: 'flexHEG',
+              authors: 'davidad, AI Security Forum',
+              why: 'Defines a flexHEG as hardware governance the owner can trust not to enable covert surveillance and a governance authority can trust to enforce disclosed policies, working air-gapped, with rules updated by cryptographic quorum. Ends with the six-component design and the case that each part is feasible.',
+              video: '4wgImjg9PPc'
+            },
+            {
+              id: 'unit-3-reading-2',
+              anchor: 'read-3-2',
+              kind: 'read',
+              time: '40-60 min',
+              title: 'Hardware-Enabled Governance Mechanisms',
+              authors: 'Kulp et al. (RAND, 2024)',
+              why: 'A RAND working paper proposing two classes of hardware-enabled governance mechanisms, offline licensing and fixed set, with a threat analysis of how each could be circumvented.',
+              scope: 'Executive summary, then skim the offline licensing and fixed set chapters.',
+              link: 'https://www.rand.org/pubs/working_papers/WRA3056-1.html'
+            },
+            {
+              id: 'unit-3-reading-3',
+              anchor: 'read-3-3',
+              kind: 'read',
+              time: '15-20 min',
+              title: 'Guaranteeable Memory: An HBM-Based Chiplet for Verifiable AI Workloads',
+              authors: 'Petrie (2025)',
+              why: 'A short proposal for a chiplet that lets high-bandwidth memory participate in workload verification, moving the root of trust closer to where the model and activations pass.',
+              scope: 'The full paper.',
+              link: 'https://openreview.net/forum?id=uc79kOv0MV'
+            },
+            {
+              id: 'unit-3-reading-4',
+              anchor: 'read-3-4',
+              kind: 'read',
+              time: '45-60 min',
+              title: 'Guardain: Protecting Emerging Generative AI Workloads on Heterogeneous NPU',
+              authors: 'Dhar et al. (IEEE S&P, 2025)',
+              why: 'A systems-security paper on runtime protection and isolation for generative workloads on heterogeneous accelerators.',
+              scope: 'Abstract, introduction and sections 6 and 8. Skim section 2.',
+              link: 'https://clement-thorens.ch/pdfs/guardain.pdf'
+            },
+            {
+              id: 'unit-3-reading-5',
+              anchor: 'read-3-5',
+              kind: 'read',
+              time: '30 min',
+              title: 'On TEEs for Privacy-Preserving Monitoring in AI Governance',
+              authors: 'MIRI Technical Governance Team (2025)',
+              why: 'Argues that trusted execution environments can give a regulator verification of AI deployments without mass surveillance, then works through side-channel attacks, physical key extraction, measurement completeness and reliance on vendor-controlled hardware identities. Goes into more depth on confidential computing than the CNAS report in Unit 2.',
+              scope: 'The whole post.',
+              link: 'https://techgov.intelligence.org/blog/on-tees-for-privacy-preserving-monitoring-in-ai-governance'
+            }
+          ]
+        },
+        {
+          id: 'mech-inference',
+          title: 'Inference verification',
+          intro: ['Checking whether an output plausibly came from the claimed model, even when exact deterministic replay is unavailable.'],
+          note: 'Track total: about 2.5-3 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-6',
+              anchor: 'read-3-6',
+              kind: 'watch',
+              time: '11 min',
+              title: 'Inference Verification in a TEE',
+              authors: 'Roy Rinberg, AViD workshop',
+              why: 'Shows that non-determinism in inference verification is tractable. Fewer than a thousand tokens separate a model from its quantised version, and running the verifier inside a TEE removes the need to trust the verifier. Closes by presenting bug catching, hacker detection and treaty verification as the same problem at different levels of trust and adversary power.',
+              video: 'JOq1IbiBR58'
+            },
+            {
+              id: 'unit-3-reading-7',
+              anchor: 'read-3-7',
+              kind: 'read',
+              time: '40-60 min',
+              title: 'Verifying LLM Inference to Detect Model Weight Exfiltration',
+              authors: 'Rinberg et al. (2025)',
+              why: 'A security-game version of inference verification, asking whether a service can secretly use exfiltrated weights while still producing outputs that pass a verifier\'s statistical checks.',
+              scope: 'Abstract, introduction and the empirical results.',
+              link: 'https://arxiv.org/abs/2511.02620'
+            },
+            {
+              id: 'unit-3-reading-8',
+              anchor: 'read-3-8',
+              kind: 'read',
+              time: '40-55 min',
+              title: 'DiFR: Inference Verification Despite Nondeterminism',
+              authors: 'Karvonen et al. (2025)',
+              why: 'Explains why exact replay is brittle, then uses distributional fingerprints to verify nondeterministic inference without requiring every floating-point operation to reproduce bit-for-bit.',
+              scope: 'Abstract, introduction and the methods.',
+              link: 'https://arxiv.org/abs/2511.20621'
+            },
+            {
+              id: 'unit-3-reading-28',
+              anchor: 'read-3-28',
+              kind: 'read',
+              time: '20-30 min',
+              title: 'Bit-Exact AI Inference Verification Without Performance Tradeoffs',
+              authors: 'Cankaya (2026)',
+              why: 'Shows that modern LLM inference can be recomputed bit-for-bit without performance-reducing determinism flags when relevant execution details are available.',
+              scope: 'Abstract, introduction and sections 3 and 4.',
+              link: 'https://arxiv.org/abs/2606.00279'
+            },
+            {
+              id: 'unit-3-reading-9',
+              anchor: 'read-3-9',
+              kind: 'read',
+              time: '25 min',
+              title: 'AI 2040: Verification Plan',
+              authors: 'AI Futures Project (2026)',
+              why: 'Applies the recomputation idea from the papers above to a concrete treaty setting, spelling out how a training pause between distrustful states would be verified. Network taps redirect datacentre traffic to a recomputation server that re-runs a random sample of the work, with enforcement layers around it.',
+              scope: 'The whole supplement.',
+              link: 'https://ai-2040.com/supplements/verification-plan'
+            }
+          ]
+        },
+        {
+          id: 'mech-zkp',
+          title: 'Zero-knowledge proofs',
+          intro: ['Proving a claim about a model or training run without revealing the weights or data.'],
+          note: 'Track total: about 3.5-4.5 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-10',
+              anchor: 'read-3-10',
+              kind: 'watch',
+              time: '20 min',
+              title: 'Efficient Zero-Knowledge Proofs for AI Inference',
+              authors: 'Bing-Jyue Chen, AViD workshop',
+              why: 'Explains how proving one GPT-2 token went from an hour to about 1.5 seconds in three years, by collapsing linear operations into single constraints and exploiting the structure of exponentiation tables. It also compares what a cryptographic proof guarantees with what TEE attestation guarantees.',
+              video: 'oY7Wflmb-Ys'
+            },
+            {
+              id: 'unit-3-reading-11',
+              anchor: 'read-3-11',
+              kind: 'read',
+              time: '30-45 min',
+              title: 'Verifiable evaluations of machine learning models using zkSNARKs',
+              authors: 'South et al. (2024)',
+              why: 'A model-attestation construction in which the evaluator gets cryptographic evidence that a model with private weights achieves stated performance on public benchmark inputs.',
+              scope: 'Abstract, introduction and the system design.',
+              link: 'https://arxiv.org/abs/2402.02675'
+            },
+            {
+              id: 'unit-3-reading-12',
+              anchor: 'read-3-12',
+              kind: 'read',
+              time: '45-60 min',
+              title: 'zkLLM: Zero Knowledge Proofs for Large Language Models',
+              authors: 'Sun et al. (CCS, 2024)',
+              why: 'A systems paper on reducing the cost of ZK proofs for LLM inference. Read it for the engineering bottlenecks.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2404.16109'
+            },
+            {
+              id: 'unit-3-reading-13',
+              anchor: 'read-3-13',
+              kind: 'read',
+              time: '45-60 min',
+              title: 'ZKML: An Optimizing System for ML Inference in Zero-Knowledge Proofs',
+              authors: 'Chen et al. (EuroSys, 2024)',
+              why: 'Compiler and systems work for ZKML inference. Shows where proof cost comes from and which optimisations matter.',
+              scope: 'The full paper.',
+              link: 'https://ddkang.github.io/papers/2024/zkml-eurosys.pdf'
+            },
+            {
+              id: 'unit-3-reading-14',
+              anchor: 'read-3-14',
+              kind: 'read',
+              time: '15 min',
+              title: 'Handling floating point in ZK inference verification',
+              authors: 'James Petrie',
+              why: 'Sidesteps floating-point non-determinism by proving a bound on how much hidden information an output could carry, instead of reproducing exact tokens. This addresses the floating-point problem faced by the ZK inference papers above.',
+              scope: 'The README.',
+              link: 'https://github.com/JamesPetrie/zkllm-entropy'
+            },
+            {
+              id: 'unit-3-reading-15',
+              anchor: 'read-3-15',
+              kind: 'read',
+              time: '25 min',
+              title: 'Architecture-private Zero-knowledge Proof of Neural Networks',
+              authors: 'Guo, Guo, Qu, Zhang (2025)',
+              why: 'Most zkML hides the weights but leaks the model architecture. This scheme hides the architecture too, for CNNs, at 30 to 40 percent more prover time than the architecture-public state of the art.',
+              scope: 'Abstract, introduction, and the technical overview in section 3.',
+              link: 'https://eprint.iacr.org/2025/2211.pdf'
+            },
+            {
+              id: 'unit-3-reading-16',
+              anchor: 'read-3-16',
+              kind: 'read',
+              time: '15 min',
+              title: 'NanoZK: Privacy-Preserving Verifiable Inference for Large Language Models via Layerwise Zero-Knowledge Proofs',
+              authors: 'Zhaohui Geoffrey Wang (2026)',
+              why: 'Proves LLM inference layer by layer with constant-size 5.5KB proofs, roughly 70 times smaller and 5.7 times faster to prove than EZKL. A 2026 reference point for how far ZK inference proofs have moved since the 2024 papers above.',
+              scope: 'Abstract and introduction.',
+              link: 'https://arxiv.org/abs/2603.18046'
+            },
+            {
+              id: 'unit-3-reading-17',
+              anchor: 'read-3-17',
+              kind: 'read',
+              time: '25 min',
+              title: 'Hollow-LLM Attack: Computationally Trivial Weights in Zero-Knowledge Verification of LLM Inference',
+              authors: 'IEEE S&P (2026)',
+              why: 'An attack on ZK verification of LLM inference. A prover can satisfy the proof with hollowed-out, computationally trivial weights, so a valid proof does not on its own show that the claimed model did the work.',
+              scope: 'Paywalled. You will need to purchase it or use institutional access.',
+              link: 'https://ieeexplore.ieee.org/document/11573446'
+            }
+          ]
+        },
+        {
+          id: 'mech-telemetry',
+          title: 'Telemetry and detection',
+          intro: ['Reading network, timing, memory and other side-channel signals to infer what a cluster is doing.'],
+          note: 'Track total: about 2-3 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-18',
+              anchor: 'read-3-18',
+              kind: 'watch',
+              time: '17 min',
+              title: 'Physical Verification of AI Systems against Nation-state Adversaries',
+              authors: 'Shahin Tajik, AViD workshop',
+              why: 'Covers what a nation-state attacker can do to a chip, including laser probing that reads individual transistors and 200-dollar spy implants, and the anti-tamper enclosures built in response. The constructive half presents impedance sensing to detect tampering, and compute and memory puzzles that catch a datacentre lying about its utilisation.',
+              video: 'fn8EtTsE6yE'
+            },
+            {
+              id: 'unit-3-reading-19',
+              anchor: 'read-3-19',
+              kind: 'read',
+              time: '45-60 min',
+              title: 'Timing and Memory Telemetry on GPUs for AI Governance',
+              authors: 'Monfared et al. (2026)',
+              why: 'Uses challenge-response timing and GPU memory residency signals to infer whether a declared workload is running on the claimed hardware.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2602.09369'
+            },
+            {
+              id: 'unit-3-reading-20',
+              anchor: 'read-3-20',
+              kind: 'read',
+              time: '20-30 min',
+              title: 'Network Traffic Hashing',
+              authors: 'Amodo Design (2026)',
+              why: 'A lab notebook on hashing every packet crossing a 400GbE link, to establish the hardware cost of the tap side of evidence capture. SipHash and AES-GMAC sustain line rate on a 32-core CPU for realistic frame sizes, DPUs fall short, and minimum-size frames need an FPGA.',
+              scope: 'The full post.',
+              link: 'https://amododesign.com/notes/2026-07-03-network-traffic-hashing/'
+            },
+            {
+              id: 'unit-3-reading-24',
+              anchor: 'read-3-24',
+              kind: 'read',
+              time: '25 min',
+              title: '“Energon”: Unveiling Transformers from GPU Power and Thermal Side-Channels',
+              authors: 'Chaudhuri et al. (2025)',
+              why: 'Reads GPU power draw and temperature to infer a transformer’s architecture, classifying model families at 95 and 91 percent for language and vision models and key hyperparameters at close to 100 percent. Framed as an attack, but the same power side-channel is a governance signal for telling what a datacentre is running.',
+              scope: 'Abstract, introduction and sections IV and V.',
+              link: 'https://arxiv.org/abs/2508.01768'
+            },
+            {
+              id: 'unit-3-reading-29',
+              anchor: 'read-3-29',
+              kind: 'read',
+              time: '25-35 min',
+              title: 'Suppressing Side Channels in an Untrusted Data Center via Retrofitted Defenses',
+              authors: 'Cankaya (2026)',
+              why: 'Surveys physical side channels in monitored AI datacentres and proposes layered retrofitted defences to bound covert communication bandwidth.',
+              scope: 'The whole post.',
+              link: 'https://techgov.intelligence.org/blog/suppressing-side-channels-in-an-untrusted-data-center-via-retrofitted-defenses'
+            }
+          ]
+        },
+        {
+          id: 'mech-memory',
+          title: 'Memory and physical evidence',
+          intro: ['Evidence from the physical layer, covering proofs of memory erasure, tamper detection around chips and enclosures, and verification from outside the chip.'],
+          note: 'Track total: about 2-2.5 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-21',
+              anchor: 'read-3-21',
+              kind: 'read',
+              time: '20-30 min',
+              title: 'Software-Based Memory Erasure with relaxed isolation requirements',
+              authors: 'Bursuc et al. (2024)',
+              why: 'A proof-of-secure-erasure construction. Deletion of data or weights is a claim a verification regime may need to prove.',
+              scope: 'Abstract, introduction, lightweight protocol and conclusion.',
+              link: 'https://arxiv.org/abs/2401.06626'
+            },
+            {
+              id: 'unit-3-reading-23',
+              anchor: 'read-3-23',
+              kind: 'read',
+              time: '40-55 min',
+              title: 'Off-Chip Compute Verification',
+              authors: 'Baker (2026)',
+              why: 'A design note on verifying compute from outside the chip, as a counterpoint to on-chip governance. Sets out what off-chip evidence can establish and its limits.',
+              scope: 'The full document.',
+              link: 'https://docs.google.com/document/d/10317woljRRoX9Gtcwir1u36ytbA680xfYrazMcuLisA/edit?tab=t.0'
+            },
+            {
+              id: 'unit-3-reading-30',
+              anchor: 'read-3-30',
+              kind: 'read',
+              time: '25-35 min',
+              title: 'Anti-Tamper Radio: System-Level Tamper Detection for Computing Systems',
+              authors: 'Staat et al. (IEEE S&P, 2022)',
+              why: 'Detects physical manipulation by monitoring radio-wave propagation inside a protected enclosure.',
+              scope: 'Abstract, introduction and the system outline and adversary model.',
+              link: 'https://arxiv.org/abs/2112.09014'
+            },
+            {
+              id: 'unit-3-reading-31',
+              anchor: 'read-3-31',
+              kind: 'read',
+              time: '25-35 min',
+              title: 'The Past, Present, and Future of Physical Security Enclosures',
+              authors: 'Obermaier and Immler (2018)',
+              why: 'A survey of physical security enclosures and PUF-based tamper evidence.',
+              scope: 'Paywalled. You will need to purchase it or use institutional access.',
+              link: 'https://link.springer.com/article/10.1007/s41635-018-0045-2'
+            }
+          ]
+        },
+        {
+          id: 'mech-attestation',
+          title: 'Attestation and audit',
+          intro: ['Trusted environments, audit protocols and certification regimes that produce evidence someone else can check.'],
+          note: 'Track total: about 2.5-3.5 hours.',
+          readings: [
+            {
+              id: 'unit-3-reading-25',
+              anchor: 'read-3-25',
+              kind: 'read',
+              time: '65-85 min',
+              title: 'International Governance of Civilian AI: A Jurisdictional Certification Approach',
+              authors: 'Trager et al. (2023)',
+              why: 'A governance architecture in which domestic jurisdictions certify actors and international rules rely on those certificates, without direct inspection of every provider.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2308.15514'
+            },
+            {
+              id: 'unit-3-reading-26',
+              anchor: 'read-3-26',
+              kind: 'read',
+              time: '30-45 min',
+              title: 'Verification Methods for International AI Agreements',
+              authors: 'Wasil et al. (2024)',
+              why: 'A compact survey that separates national technical means, access-dependent methods and hardware-dependent methods, with comparisons to arms-control verification practice.',
+              scope: 'The full paper.',
+              link: 'https://arxiv.org/abs/2408.16074'
+            },
+            {
+              id: 'unit-3-reading-27',
+              anchor: 'read-3-27',
+              kind: 'read',
+              time: '25-35 min',
+              title: 'Tools for verifying neural models\' training data',
+              authors: 'Choi et al. (2023)',
+              why: 'Surveys tests for training-data verification based on memorisation, committed random seeds and re-training segments of the run, and shows why “what data was used?” is a hard claim to verify.',
+              scope: 'The introduction, the verification strategies and the discussion and limitations.',
+              link: 'https://arxiv.org/abs/2307.00682'
+            },
+            {
+              id: 'unit-3-reading-32',
+              anchor: 'read-3-32',
+              kind: 'read',
+              time: '30-40 min',
+              title: 'Proof-of-Learning is Currently More Broken Than You Think',
+              authors: 'Fang et al. (IEEE EuroS&P, 2023)',
+              why: 'Demonstrates reproducible low-cost attacks on proof-of-learning schemes and argues robust verification depends on unresolved questions about deep-learning optimisation.',
+              scope: 'Abstract, introduction and sections 5 and 7.',
+              link: 'https://arxiv.org/abs/2208.03567'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      number: 4,
+      title: 'Project ideation',
+      page: '4.html',
+      sections: [
+        {
+          readings: [
+            {
+              id: 'unit-4-reading-1',
+              anchor: 'read-4-1',
+              kind: 'read',
+              required: true,
+              time: '20-25 min',
+              title: 'You Need a Theory of Victory',
+              authors: 'Jason Hausenloy, The First Scattering (2026)',
+              why: 'Jason Hausenloy separates a theory of change, your action X leads to good outcome Y, from a theory of victory, the full causal story of every step that has to go right, including the ones other people take. His tale of two verification teams contrasts one that burns years on a VC-funded custom security chip with another that ships off-the-shelf hardware taps built around what a US-China treaty would need.',
+              scope: 'The full post.',
+              link: 'https://firstscattering.com/p/you-need-a-theory-of-victory'
+            },
+            {
+              id: 'unit-4-reading-2',
+              anchor: 'read-4-2',
+              kind: 'read',
+              required: true,
+              time: '15-20 min',
+              title: 'My Research Process: Key Mindsets',
+              authors: 'Neel Nanda (2025)',
+              why: 'Three mindsets for research on a clock. Truth-seeking (plausible results are usually wrong until you try to break them), prioritisation (a clear north star, checked daily), and moving fast (optimise for information gain per unit time, fail fast). Written for technical AI safety work, but broadly applicable.',
+              scope: 'The full post.',
+              link: 'https://www.lesswrong.com/s/5GT3yoYM9gRmMEKqL/p/cbBwwm4jW6AZctymL'
+            }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+// Loaded as a plain script on the course pages; build-course.js and the
+// cohort endpoint (lib/endpoints/cohort.js) require it
+if (typeof module !== 'undefined') module.exports = CourseManifest;
@@ -0,0 +1,286 @@
+/**
+ * CAISH - Embeddable events widget
+ *
+ * Shows upcoming CAISH events on another site (partners, college societies)
+ * using the same EventsLoader cards as caish.org, inside a Shadow DOM so the
+ * host page's styles and ours do not touch.
+ *
+ * As a web component:
+ *   <script src="https://caish.org/embed.js" async></script>
+ *   <caish-events series="talk" count="3" theme="dark"></caish-events>
+ *
+ * Or as a single script tag, which puts the widget where the tag is:
+ *   <script src="https://caish.org/embed.js" data-series="talk" data-count="3" async></script>
+ *
+ * Options (attributes, or data-* on the script tag):
+ *   series  one series slug from lib/series.js (social, lunch, talk, hdwsa)
+ *   count   how many upcoming events to show, 1-12 (default 3)
+ *   theme   light, dark or auto (follows the visitor's colour scheme)
+ *
+ * CSP on the host page: script-src and connect-src must allow
+ * https://caish.org (img-src https: for the covers). There are no inline
+ * scripts, inline styles or eval; styles are adopted as a constructed
+ * stylesheet, which style-src does not apply to.
+ *
+ * Partners use the bare URL, so this file is not versioned; cache-bust.sh keeps
+ * the events-loader.js version below current.
+ */
+
+(() => {
+  const script = document.currentScript;
+  const ORIGIN = script && script.src ? new URL(script.src).origin : 'https://caish.org';
+  const LOADER_SRC = `${ORIGIN}/events-loader.js?v=e2794936`;
+  const DEFAULT_COUNT = 3;
+  const MAX_COUNT = 12;
+  const THEMES = ['light', 'dark', 'auto'];
+
+  const STYLES = `
+    :host {
+      --caish-text: #1a1a1a;
+      --caish-muted: #8a8a8a;
+      --caish-body: #4a4a4a;
+      --caish-border: rgba(224, 224, 224, 0.8);
+      --caish-rule: #e2e2df;
+      --caish-card: #fefefe;
+      --caish-cover: linear-gradient(135deg, #f8f7f4 0%, #f0ede8 100%);
+      --caish-accent: #945947;
+      display: block;
+      color: var(--caish-text);
+      font-family: Georgia, 'Times New Roman', serif;
+      font-size: 16px;
+      line-height: 1.5;
+    }
+    :host([theme="dark"]) {
+      --caish-text: #f2f2ef;
+      --caish-muted: #a8a8a4;
+      --caish-body: #d4d4d0;
+      --caish-border: rgba(255, 255, 255, 0.14);
+      --caish-rule: rgba(255, 255, 255, 0.14);
+      --caish-card: #22211f;
+      --caish-cover: linear-gradient(135deg, #2b2926 0%, #1f1d1b 100%);
+      --caish-accent: #d29a84;
+    }
+    @media (prefers-color-scheme: dark) {
+      :host([theme="auto"]) {
+        --caish-text: #f2f2ef;
+        --caish-muted: #a8a8a4;
+        --caish-body: #d4d4d0;
+        --caish-border: rgba(255, 255, 255, 0.14);
+        --caish-rule: rgba(255, 255, 255, 0.14);
+        --caish-card: #22211f;
+        --caish-cover: linear-gradient(135deg, #2b2926 0%, #1f1d1b 100%);
+        --caish-accent: #d29a84;
+      }
+    }
+    * { box-sizing: border-box; }
+    .events-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+      gap: 1rem;
+    }
+    .event-card-item { display: flex; flex-direction: column; gap: 0.5rem; }
+    .event-card {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      background: var(--caish-card);
+      border: 1px solid var(--caish-border);
+      border-radius: 14px;
+      overflow: hidden;
+      text-decoration: none;
+      color: inherit;
+      transition: transform 0.2s ease, border-color 0.2s ease;
+    }
+    .event-card:hover { transform: translateY(-2px); border-color: var(--caish-accent); }
+    .event-card:focus-visible { outline: 2px solid var(--caish-accent); outline-offset: 2px; }
+    .event-cover { background: var(--caish-cover); }
+    .event-cover img { width: 100%; height: auto; display: block; }
+    .event-content { padding: 1rem; display: flex; flex-direction: column; gap: 0.5rem; flex: 1; }
+    .event-date { display: flex; flex-direction: column; gap: 0.15rem; }
+    .event-day {
+      font-family: ui-monospace, 'SFMono-Regular', Menlo, monospace;
+      font-size: 0.7rem;
+      letter-spacing: 0.05em;
+      text-transform: uppercase;
+      color: var(--caish-body);
+    }
+    .event-time { font-size: 0.75rem; color: var(--caish-muted); }
+    .event-zone { text-decoration: none; cursor: help; }
+    .event-local-time { font-size: 0.7rem; color: var(--caish-muted); font-style: italic; }
+    .event-title { font-size: 1rem; font-weight: 400; line-height: 1.35; margin: 0; }
+    .event-description { font-size: 0.8rem; color: var(--caish-body); line-height: 1.6; margin: 0; }
+    .event-read-more {
+      font-size: 0.7rem;
+      color: var(--caish-muted);
+      margin-top: 0.35rem;
+      display: inline-block;
+      cursor: pointer;
+      border-bottom: 1px dashed var(--caish-muted);
+    }
+    .event-meta {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding-top: 0.75rem;
+      border-top: 1px solid var(--caish-rule);
+      margin-top: auto;
+      font-size: 0.7rem;
+      color: var(--caish-muted);
+    }
+    .event-link { border-bottom: 1px solid var(--caish-rule); }
+    .event-card:hover .event-link { color: var(--caish-text); border-color: var(--caish-text); }
+    .event-add-calendar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 0.35rem 0.75rem;
+      padding: 0 0.25rem;
+      font-size: 0.7rem;
+      color: var(--caish-muted);
+    }
+    .event-add-calendar a,
+    .event-add-calendar button {
+      font: inherit;
+      color: var(--caish-body);
+      background: none;
+      border: none;
+      border-bottom: 1px solid var(--caish-rule);
+      padding: 0;
+      cursor: pointer;
+      text-decoration: none;
+    }
+    .event-add-calendar a:hover,
+    .event-add-calendar button:hover { border-color: var(--caish-body); }
+    .caish-events-message { font-size: 0.85rem; color: var(--caish-muted); margin: 0; }
+    .caish-events-footer { margin: 0.75rem 0 0; font-size: 0.75rem; }
+    .caish-events-footer a { color: var(--caish-muted); }
+  `;
+
+  // One events-loader.js per page, however many widgets there are. With
+  // data-caish-embed it hands the renderer to its script tag instead of
+  // setting a global, so the host page's own globals are left alone.
+  let loaderPromise = null;
+  function loadEventsLoader() {
+    if (!loaderPromise) {
+      loaderPromise = new Promise((resolve, reject) => {
+        const tag = document.createElement('script');
+        tag.src = LOADER_SRC;
+        tag.async = true;
+        tag.setAttribute('data-caish-embed', '');
+        tag.onload = () => (tag.eventsLoader ? resolve(tag.eventsLoader) : reject(new Error('The CAISH events script did not hand over its renderer')));
+        tag.onerror = () => reject(new Error('Could not load the CAISH events script'));
+        document.head.appendChild(tag);
+      });
+    }
+    return loaderPromise;
+  }
+
+  // Constructed stylesheets are exempt from style-src; the <style> fallback
+  // is only for browsers without them
+  let sheet = null;
+  function applyStyles(root) {
+    if ('adoptedStyleSheets' in ShadowRoot.prototype && 'replaceSync' in CSSStyleSheet.prototype) {
+      if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(STYLES);
+      }
+      root.adoptedStyleSheets = [sheet];
+    } else {
+      const style = document.createElement('style');
+      style.textContent = STYLES;
+      root.appendChild(style);
+    }
+  }
+
+  class CaishEvents extends HTMLElement {
+    static get observedAttributes() {
+      return ['series', 'count', 'theme'];
+    }
+
+    constructor() {
+      super();
+      this.root = this.attachShadow({ mode: 'open' });
+      applyStyles(this.root);
+      this.content = document.createElement('div');
+      this.content.setAttribute('part', 'content');
+      this.root.appendChild(this.content);
+    }
+
+    connectedCallback() {
+      if (!THEMES.includes(this.getAttribute('theme'))) this.setAttribute('theme', 'light');
+      this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue !== newValue && this.isConnected && name !== 'theme') this.render();
+    }
+
+    get count() {
+      const count = Number.parseInt(this.getAttribute('count'), 10);
+      return Number.isNaN(count) ? DEFAULT_COUNT : Math.min(Math.max(count, 1), MAX_COUNT);
+    }
+
+    async render() {
+      // A newer render (attributes changed mid-fetch) wins
+      const run = (this.run || 0) + 1;
+      this.run = run;
+      this.showMessage('Loading events…');
+
+      const params = new URLSearchParams({ from: new Date().toISOString(), limit: String(this.count) });
+      const series = this.getAttribute('series');
+      if (series) params.set('series', series);
+
+      try {
+        const [loader, events] = await Promise.all([loadEventsLoader(), this.fetchEvents(params)]);
+        if (run !== this.run) return;
+        this.renderEvents(loader, events);
+      } catch (error) {
+        if (run !== this.run) return;
+        console.error('CAISH events widget:', error);
+        this.showMessage('Unable to load events at this time.');
+      }
+    }
+
+    async fetchEvents(params) {
+      const response = await fetch(`${ORIGIN}/.netlify/functions/events?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load events');
+      return data.events;
+    }
+
+    renderEvents(loader, events) {
+      // On a partner site, links to event pages here must be absolute
+      const widgetLoader = Object.create(loader);
+      widgetLoader.siteUrl = ORIGIN;
+
+      const footer = `<p class="caish-events-footer"><a href="${ORIGIN}/events" target="_blank" rel="noopener">More events from the Cambridge AI Safety Hub</a></p>`;
+      if (!events.length) {
+        this.content.innerHTML = `<p class="caish-events-message">No upcoming events at the moment.</p>${footer}`;
+        return;
+      }
+      const cards = events.map(entry => widgetLoader.renderEventCard(entry, false)).join('');
+      this.content.innerHTML = `<div class="events-grid">${cards}</div>${footer}`;
+      widgetLoader.setupReadMore(this.content);
+      widgetLoader.setupCalendarActions(this.content);
+    }
+
+    showMessage(text) {
+      this.content.innerHTML = '';
+      const message = document.createElement('p');
+      message.className = 'caish-events-message';
+      message.textContent = text;
+      this.content.appendChild(message);
+    }
+  }
+
+  if (!customElements.get('caish-events')) customElements.define('caish-events', CaishEvents);
+
+  // Script-tag form: data-* options on the tag itself
+  if (script && script.dataset && Object.keys(script.dataset).length) {
+    const widget = document.createElement('caish-events');
+    ['series', 'count', 'theme'].forEach(name => {
+      if (script.dataset[name]) widget.setAttribute(name, script.dataset[name]);
+    });
+    script.after(widget);
+  }
+})();
@@ -0,0 +1,405 @@
+/**
+ * CAISH - Events rendering
+ *
+ * Fetches events from the events function and renders the event cards.
+ * Shared by the events page and the events archive, and by
+ * prerender-events.js, which renders the same markup into events.html at
+ * build time.
+ *
+ * Wrapped so nothing leaks onto the page it runs on: caish.org pages get
+ * window.EventsLoader, the embed widget (embed.js, on partner sites) gets it
+ * from its own script tag, and Node gets module.exports.
+ */
+
+(() => {
+  const EventsLoader = {
+    dateOpts: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+    timeOpts: { hour: '2-digit', minute: '2-digit' },
+    // Events happen in Cambridge, so times are shown in Cambridge time everywhere
+    // (browser and prerender alike), with a "your time" hint for other zones
+    timeZone: 'Europe/London',
+    icsProdId: '-//Cambridge AI Safety Hub//Events//EN',
+    // Set by the embed widget (embed.js): on another site, links to event pages
+    // here must be absolute and open in a new tab
+    siteUrl: '',
+
+    escapeHtml(unsafe) {
+      if (typeof unsafe !== 'string') return '';
+      return unsafe
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+    },
+
+    sanitizeUrl(url) {
+      if (!url || typeof url !== 'string') return '#';
+      try {
+        const base = typeof window !== 'undefined' ? window.location.origin : 'https://caish.org';
+        const parsed = new URL(url, base);
+        return ['http:', 'https:'].includes(parsed.protocol) ? url : '#';
+      } catch {
+        return '#';
+      }
+    },
+
+    // A prerendered container keeps its cards until fresh data arrives, and
+    // keeps them if the fetch fails
+    async init() {
+      const container = document.getElementById('events-container');
+      if (!container) return;
+      const prerendered = Boolean(container.dataset.prerendered);
+      if (prerendered) {
+        this.setupReadMore(container);
+        this.setupCalendarActions(container);
+      }
+
+      try {
+        const response = await fetch('/.netlify/functions/events');
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load events');
+        }
+
+        this.renderEvents(container, data.events);
+      } catch (error) {
+        console.error('Error loading events:', error);
+        if (prerendered) return;
+        container.innerHTML = `
+          <div class="events-empty">
+            <p>Unable to load events at this time. Please try again later.</p>
+          </div>
+        `;
+      }
+    },
+
+    formatDate(dateString) {
+      return new Date(dateString).toLocaleDateString('en-GB', { ...this.dateOpts, timeZone: this.timeZone });
+    },
+
+    formatTime(dateString) {
+      return new Date(dateString).toLocaleTimeString('en-GB', { ...this.timeOpts, timeZone: this.timeZone });
+    },
+
+    // GMT or BST, whichever applies on that date
+    formatZone(dateString) {
+      const parts = new Intl.DateTimeFormat('en-GB', { timeZone: this.timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(dateString));
+      const zone = parts.find(part => part.type === 'timeZoneName');
+      return zone ? zone.value : '';
+    },
+
+    // The start time in the visitor's own zone, or '' when it reads the same as
+    // Cambridge time (and always '' in the prerender, which has no visitor)
+    formatLocalHint(dateString) {
+      if (typeof window === 'undefined') return '';
+      const date = new Date(dateString);
+      const opts = { weekday: 'short', ...this.timeOpts, timeZoneName: 'short' };
+      const local = date.toLocaleString('en-GB', opts);
+      if (local === date.toLocaleString('en-GB', { ...opts, timeZone: this.timeZone })) return '';
+      return `${local} your time`;
+    },
+
+    isUpcoming(dateString) {
+      return new Date(dateString) >= new Date();
+    },
+
+    renderEvents(container, events) {
+      container.innerHTML = this.renderEventsHtml(events);
+      this.setupReadMore(container);
+      this.setupCalendarActions(container);
+    },
+
+    renderEventsHtml(events) {
+      if (!events || events.length === 0) {
+        return `
+          <div class="events-empty">
+            <p>No upcoming events at the moment. Check back soon!</p>
+          </div>
+        `;
+      }
+
+      // Separate upcoming and past events (single pass)
+      const now = new Date();
+      const upcoming = [];
+      const past = [];
+      for (const e of events) {
+        const evt = e.event || e;
+        const startTime = new Date(evt.start_at || evt.start_time);
+        (startTime >= now ? upcoming : past).push(e);
+      }
+
+      let html = '';
+      const rsvpNote = '<p class="events-rsvp">Please RSVP via Luma so we can plan for how many people are coming.</p>';
+
+      if (upcoming.length > 0) {
+        html += '<h2>Upcoming Events</h2>';
+        html += rsvpNote;
+        html += '<div class="events-grid">';
+        upcoming.slice(0, 3).forEach(entry => {
+          html += this.renderEventCard(entry, false);
+        });
+        html += '</div>';
+      }
+
+      if (past.length > 0) {
+        html += '<h2 class="past-events-heading">Recent Events</h2>';
+        html += '<div class="events-grid past-events">';
+        past.slice(-3).forEach(entry => {
+          html += this.renderEventCard(entry, true);
+        });
+        html += '</div>';
+        html += '<p class="events-archive-link"><a href="/events/archive">Browse all past events</a></p>';
+      }
+
+      if (upcoming.length === 0 && past.length === 0) {
+        html = `
+          <div class="events-empty">
+            <p>No events to display. Check back soon!</p>
+          </div>
+        `;
+      }
+
+      return html;
+    },
+
+    renderEventCard(entry, isPast) {
+      const event = entry.event || entry;
+      const name = event.name || 'Untitled Event';
+      const description = event.description || '';
+      const startAt = event.start_at || event.start_time;
+      const endAt = event.end_at || event.end_time;
+      const rawUrl = event.url || (event.api_id ? `https://lu.ma/${event.api_id}` : '#');
+      // Events with a slug open their page on this site (/events/<slug>), which links on to Luma
+      const onSite = Boolean(event.slug);
+      const url = onSite ? `${this.siteUrl}/events/${encodeURIComponent(event.slug)}` : this.sanitizeUrl(rawUrl);
+      const newTab = !onSite || Boolean(this.siteUrl);
+      const coverUrl = event.cover_url || event.cover_image_url || '';
+      const location = event.geo_address_info?.city || event.location || 'Cambridge';
+
+      const dateStr = this.formatDate(startAt);
+      const timeStr = this.formatTime(startAt);
+      const endTimeStr = endAt ? this.formatTime(endAt) : '';
+      const zone = this.formatZone(startAt);
+      const localHint = isPast ? '' : this.formatLocalHint(startAt);
+
+      const truncatedDesc = description.substring(0, 100);
+      const hasMore = description.length > 100;
+
+      return `
+        <div class="event-card-item">
+          <a href="${this.escapeHtml(url)}"${newTab ? ' target="_blank" rel="noopener"' : ''} class="event-card ${isPast ? 'past' : ''}">
+            ${coverUrl ? `<div class="event-cover"><img src="${this.escapeHtml(coverUrl)}" loading="lazy" decoding="async" alt="${this.escapeHtml(name)}"></div>` : ''}
+            <div class="event-content">
+              <div class="event-date">
+                <span class="event-day">${this.escapeHtml(dateStr)}</span>
+                <span class="event-time">${this.escapeHtml(timeStr)}${endTimeStr ? ' - ' + this.escapeHtml(endTimeStr) : ''}${zone ? ` <abbr class="event-zone" title="Cambridge time (${this.escapeHtml(this.timeZone)})">${this.escapeHtml(zone)}</abbr>` : ''}</span>
+                ${localHint ? `<span class="event-local-time">${this.escapeHtml(localHint)}</span>` : ''}
+              </div>
+              <h3 class="event-title">${this.escapeHtml(name)}</h3>
+              ${description ? `
+                <div class="event-description-wrapper" data-full="${this.escapeHtml(description)}" data-truncated="${this.escapeHtml(truncatedDesc)}${hasMore ? '...' : ''}">
+                  <p class="event-description">${this.escapeHtml(truncatedDesc)}${hasMore ? '...' : ''}</p>
+                  ${hasMore ? '<span class="event-read-more">Read more</span>' : ''}
+                </div>
+              ` : ''}
+              <div class="event-meta">
+                <span class="event-location">${this.escapeHtml(location)}</span>
+                <span class="event-link">${onSite ? 'View event' : 'View on Luma'}</span>
+              </div>
+            </div>
+          </a>
+        ${isPast ? '' : this.renderCalendarActions(event, rawUrl)}
+        </div>
+      `;
+    },
+
+    // What the calendar links and the .ics file need; events without an end
+    // time get an hour
+    calendarEvent(event, rawUrl) {
+      const start = new Date(event.start_at || event.start_time);
+      const endAt = event.end_at || event.end_time;
+      const end = endAt ? new Date(endAt) : new Date(start.getTime() + 60 * 60 * 1000);
+      const address = event.geo_address_info || {};
+      return {
+        uid: `${event.api_id || event.slug || start.getTime()}@caish.org`,
+        title: event.name || 'Untitled Event',
+        start,
+        end,
+        location: address.full_address || address.address || address.city || event.location || 'Cambridge',
+        url: this.sanitizeUrl(rawUrl) === '#' ? '' : rawUrl,
+        description: event.description || '',
+        filename: `${event.slug || 'caish-event'}.ics`
+      };
+    },
+
+    // 20261019T173000Z
+    formatIcsDate(date) {
+      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    calendarDetails(details) {
+      return [details.description, details.url].filter(Boolean).join('\n\n');
+    },
+
+    googleCalendarUrl(details) {
+      const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: details.title,
+        dates: `${this.formatIcsDate(details.start)}/${this.formatIcsDate(details.end)}`,
+        details: this.calendarDetails(details),
+        location: details.location
+      });
+      return `https://calendar.google.com/calendar/render?${params}`;
+    },
+
+    outlookCalendarUrl(details) {
+      const params = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: details.title,
+        startdt: details.start.toISOString(),
+        enddt: details.end.toISOString(),
+        body: this.calendarDetails(details),
+        location: details.location
+      });
+      return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+    },
+
+    // Sits outside the card's link, so the buttons are not nested in an <a>.
+    // The .ics is built on click from the data attributes.
+    renderCalendarActions(event, rawUrl) {
+      const details = this.calendarEvent(event, rawUrl);
+      if (isNaN(details.start)) return '';
+      const data = {
+        uid: details.uid,
+        title: details.title,
+        start: details.start.toISOString(),
+        end: details.end.toISOString(),
+        location: details.location,
+        url: details.url,
+        description: details.description,
+        filename: details.filename
+      };
+      const attrs = Object.entries(data)
+        .map(([key, value]) => `data-${key}="${this.escapeHtml(value)}"`)
+        .join(' ');
+      const label = this.escapeHtml(details.title);
+      return `
+        <div class="event-add-calendar">
+          <span class="event-add-calendar-label">Add to calendar:</span>
+          <a href="${this.escapeHtml(this.googleCalendarUrl(details))}" target="_blank" rel="noopener" aria-label="Add ${label} to Google Calendar">Google</a>
+          <a href="${this.escapeHtml(this.outlookCalendarUrl(details))}" target="_blank" rel="noopener" aria-label="Add ${label} to Outlook">Outlook</a>
+          <button type="button" class="event-ics" ${attrs} aria-label="Download ${label} for Apple Calendar (.ics)">Apple (.ics)</button>
+        </div>
+      `;
+    },
+
+    // RFC 5545 text values escape backslash, semicolon, comma and newlines
+    icsText(value) {
+      return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+    },
+
+    // Lines fold at 75 octets, never splitting a multi-byte character; the same
+    // rule as foldLine in lib/ical.js, which writes the calendar feed
+    foldIcsLine(line) {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = '';
+      let currentBytes = 0;
+      for (const character of line) {
+        const bytes = encoder.encode(character).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+          parts.push(current);
+          current = '';
+          currentBytes = 0;
+        }
+        current += character;
+        currentBytes += bytes;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    },
+
+    buildIcs(data) {
+      const details = { ...data, start: new Date(data.start), end: new Date(data.end) };
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${this.icsProdId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${this.icsText(details.uid)}`,
+        `DTSTAMP:${this.formatIcsDate(new Date())}`,
+        `DTSTART:${this.formatIcsDate(details.start)}`,
+        `DTEND:${this.formatIcsDate(details.end)}`,
+        `SUMMARY:${this.icsText(details.title)}`,
+        `DESCRIPTION:${this.icsText(this.calendarDetails(details))}`,
+        `LOCATION:${this.icsText(details.location)}`,
+        details.url ? `URL:${details.url}` : '',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].filter(Boolean);
+      return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    },
+
+    // Binds each .ics button once, like setupReadMore
+    setupCalendarActions(root = document) {
+      root.querySelectorAll('.event-ics:not([data-bound])').forEach(btn => {
+        btn.dataset.bound = 'true';
+        btn.addEventListener('click', () => {
+          const blob = new Blob([this.buildIcs(btn.dataset)], { type: 'text/calendar;charset=utf-8' });
+          const href = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = href;
+          link.download = btn.dataset.filename;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          setTimeout(() => URL.revokeObjectURL(href), 0);
+        });
+      });
+    },
+
+    // Binds each "Read more" toggle once, so it can run again after more cards are added
+    setupReadMore(root = document) {
+      root.querySelectorAll('.event-read-more:not([data-bound])').forEach(btn => {
+        btn.dataset.bound = 'true';
+        btn.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          const wrapper = btn.closest('.event-description-wrapper');
+          const descEl = wrapper.querySelector('.event-description');
+          const isExpanded = wrapper.classList.contains('expanded');
+
+          if (isExpanded) {
+            descEl.textContent = wrapper.dataset.truncated;
+            btn.textContent = 'Read more';
+            wrapper.classList.remove('expanded');
+          } else {
+            descEl.textContent = wrapper.dataset.full;
+            btn.textContent = 'Show less';
+            wrapper.classList.add('expanded');
+          }
+        });
+      });
+    }
+  };
+
+  // prerender-events.js and the tests require it
+  if (typeof module !== 'undefined') {
+    module.exports = EventsLoader;
+    return;
+  }
+  const script = document.currentScript;
+  if (script && script.hasAttribute('data-caish-embed')) script.eventsLoader = EventsLoader;
+  else window.EventsLoader = EventsLoader;
+})();
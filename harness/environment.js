@@ -0,0 +1,61 @@
+// environment.js — What a function sees when it runs under the harness:
+// upstream URLs pointed at the mock server, test keys and secrets, and a
+// signed webhook delivery built from a recorded payload. Shared by invoke.js
+// and the tests in test/.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sign } = require('../lib/webhooks');
+
+const HARNESS_WEBHOOK_SECRET = 'whsec_' + Buffer.from('caish-harness-webhook-secret').toString('base64');
+const WEBHOOK_FIXTURES = path.join(__dirname, 'fixtures', 'webhooks');
+
+// Set these before requiring a function: some read their config at load time.
+// options.store keeps the JSON store in that directory; otherwise each call
+// gets an empty one.
+function harnessEnv(mock, options = {}) {
+  return {
+    LUMA_API_BASE: `${mock.url}/luma`,
+    LUMA_API_KEY: 'harness-luma-key',
+    LUMA_EXTRA_EVENT_IDS: 'evt-joint-1,evt-missing',
+    LUMA_WEBHOOK_SECRET: HARNESS_WEBHOOK_SECRET,
+    CAISH_ADMIN_TOKEN: 'harness-admin-token',
+    AIRTABLE_API_BASE: `${mock.url}/airtable`,
+    AIRTABLE_SKETCH_TOKEN: 'harness-airtable-token',
+    SUPABASE_URL: `${mock.url}/supabase`,
+    SUPABASE_ANON_KEY: 'harness-anon-key',
+    SUPABASE_SERVICE_ROLE_KEY: 'harness-service-role-key',
+    HUBSPOT_FORMS_API_BASE: `${mock.url}/hubspot`,
+    MAIL_API_BASE: `${mock.url}/mail`,
+    MAIL_API_KEY: 'harness-mail-key',
+    NEWSLETTER_SECRET: 'harness-newsletter-secret',
+    NEWSLETTER_PROVIDER: options.newsletter || 'local',
+    CAISH_STORE_DIR: options.store || fs.mkdtempSync(path.join(os.tmpdir(), 'caish-harness-'))
+  };
+}
+
+// Body and Standard Webhooks headers for fixtures/webhooks/<name>.json, signed
+// with the harness secret. options.body replaces the recorded body,
+// options.timestamp (seconds) the send time, options.secret the signing key.
+function signedWebhook(name, options = {}) {
+  const body = options.body !== undefined
+    ? options.body
+    : fs.readFileSync(path.join(WEBHOOK_FIXTURES, `${name}.json`), 'utf8');
+  const id = `msg_harness_${Date.now()}`;
+  const timestamp = String(options.timestamp || Math.floor(Date.now() / 1000));
+  return {
+    body,
+    headers: {
+      'webhook-id': id,
+      'webhook-timestamp': timestamp,
+      'webhook-signature': `v1,${sign(options.secret || HARNESS_WEBHOOK_SECRET, id, timestamp, body)}`
+    }
+  };
+}
+
+module.exports = {
+  HARNESS_WEBHOOK_SECRET,
+  harnessEnv,
+  signedWebhook
+};
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+//
+// invoke.js — Run one Netlify function locally against the mock upstreams
+//
+// Starts harness/mock-upstreams.js on a free port, points the function's
+// upstream URLs and keys at it, calls the handler the way Netlify does and
+// prints the response and the upstream calls it made. Nothing leaves the
+// machine. Each run gets an empty events snapshot store unless --store is given.
+//
+// Usage:  node harness/invoke.js <function> [options]
+//
+//   --method POST            HTTP method (default GET, or POST with --body/--webhook)
+//   --path /events/abc       request path (default /.netlify/functions/<function>)
+//   --query series=social    query parameter, repeatable
+//   --header name:value      request header, repeatable
+//   --body '{"feedback":1}'  request body, or @file to read it from a file
+//   --token participant-token  Supabase session token (see fixtures/supabase-users.json)
+//   --webhook event-updated  send fixtures/webhooks/<name>.json, signed
+//   --luma server-error      Luma scenario from fixtures/luma (default multi-page)
+//   --airtable error         make Airtable answer 502
+//   --supabase down          make Supabase (auth and REST) answer 500
+//   --store <dir>            keep the snapshot store in <dir> between runs
+//   --newsletter hubspot     newsletter provider (default local, kept in the store)
+//
+// Examples:
+//   node harness/invoke.js events --query past=true
+//   node harness/invoke.js series --path /social --luma start-time-only
+//   node harness/invoke.js sketch --token participant-token --body '{"answers":{"q1":"x"}}'
+//   node harness/invoke.js cohort --token staff-token --query course=verification --query format=csv
+//   node harness/invoke.js feedback --body '{"feedback":"hi","website":"spam"}'
+//   node harness/invoke.js subscribe --body '{"email":"ada@example.com","interests":["events"]}'
+//   node harness/invoke.js preferences --query token=<signed> --store /tmp/caish
+//   node harness/invoke.js luma-webhook --webhook event-canceled
+//   node harness/invoke.js diagnostics --header 'authorization:Bearer harness-admin-token' --query refresh=true
+//
+// npm test runs the same functions against the same mocks, with assertions
+// (test/*.test.js).
+//
+
+const fs = require('fs');
+const path = require('path');
+const { startMockUpstreams } = require('./mock-upstreams');
+const { harnessEnv, signedWebhook } = require('./environment');
+
+const REPEATABLE = ['query', 'header'];
+
+function parseArgs(argv) {
+  const options = { query: [], header: [] };
+  const [name, ...rest] = argv;
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i].replace(/^--/, '');
+    if (REPEATABLE.includes(key)) options[key].push(rest[i + 1]);
+    else options[key] = rest[i + 1];
+  }
+  return { name, options };
+}
+
+function splitPair(pair, separator) {
+  const index = pair.indexOf(separator);
+  return index === -1 ? [pair, ''] : [pair.slice(0, index), pair.slice(index + 1)];
+}
+
+function readBody(value) {
+  if (!value) return '';
+  return value.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value;
+}
+
+function printResponse(response) {
+  console.log(`HTTP ${response.statusCode}`);
+  Object.entries(response.headers || {}).forEach(([key, value]) => console.log(`${key}: ${value}`));
+  console.log('');
+  let body = response.body || '';
+  try {
+    body = JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    // Not JSON; print as is
+  }
+  console.log(body);
+}
+
+async function main() {
+  const { name, options } = parseArgs(process.argv.slice(2));
+  const file = name && path.join(__dirname, '..', 'netlify', 'functions', `${name}.js`);
+  if (!file || !fs.existsSync(file)) {
+    const available = fs.readdirSync(path.join(__dirname, '..', 'netlify', 'functions'))
+      .map(entry => entry.replace(/\.js$/, ''));
+    console.error(`Usage: node harness/invoke.js <function> [options]. Functions: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  const mock = await startMockUpstreams({
+    port: 0,
+    luma: options.luma || 'multi-page',
+    airtable: options.airtable || 'ok',
+    supabase: options.supabase || 'ok'
+  });
+
+  // Set before the function is required: some read their config at load time
+  Object.assign(process.env, harnessEnv(mock, options));
+  delete process.env.NETLIFY_PURGE_API_TOKEN;
+
+  const headers = {};
+  options.header.forEach(pair => {
+    const [key, value] = splitPair(pair, ':');
+    headers[key.trim()] = value.trim();
+  });
+  if (options.token) headers.authorization = `Bearer ${options.token}`;
+
+  let body = readBody(options.body);
+  if (options.webhook) {
+    const delivery = signedWebhook(options.webhook);
+    body = delivery.body;
+    Object.assign(headers, delivery.headers);
+  }
+
+  const { handler } = require(file);
+  try {
+    const response = await handler({
+      httpMethod: options.method || (body ? 'POST' : 'GET'),
+      path: options.path || `/.netlify/functions/${name}`,
+      queryStringParameters: Object.fromEntries(options.query.map(pair => splitPair(pair, '='))),
+      headers,
+      body,
+      isBase64Encoded: false
+    });
+    printResponse(response);
+  } finally {
+    console.log('');
+    console.log('Upstream calls:');
+    mock.requests.forEach(entry => console.log(`  ${entry.method} ${entry.path}${entry.query}`));
+    await mock.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+//
+// mock-upstreams.js — Fake Luma, Airtable, Supabase, HubSpot forms and email
+// APIs for running the functions offline
+//
+// Routes (all on one port):
+//   /luma/...                  Luma public API (calendar/list-events, event/get),
+//                              answered from a scenario in fixtures/luma/
+//   /airtable/v0/<base>/<tbl>  Airtable record create/upsert; bodies are kept
+//                              and listed at GET /__requests
+//   /supabase/auth/v1/user     Supabase "whose token is this", answered from
+//                              fixtures/supabase-users.json
+//   /supabase/auth/v1/admin/users  every user in that file (service role)
+//   /supabase/rest/v1/<table>  PostgREST reads from fixtures/supabase-tables.json,
+//                              with select=, col=eq.value filters, limit and offset;
+//                              POST upserts (on_conflict=) are kept in memory and read back
+//   /hubspot/submissions/...   HubSpot forms submission (newsletter sign-ups)
+//   /mail/emails               transactional email send (confirmation links);
+//                              sent messages are listed at GET /__requests
+//   POST /__scenario?luma=server-error&airtable=error&supabase=down
+//                              switch scenarios while running
+//
+// In Luma fixtures a page can be a normal list-events body, or
+// { status, headers, body } for an error, or { raw } for a body that is not
+// valid JSON. Any page can add "delay_ms" to answer slowly. Times written
+// like "+3d" or "-2.5h" are relative to now, so upcoming events stay upcoming.
+//
+// Usage:  node harness/mock-upstreams.js [--port 4010] [--luma multi-page]
+//         then point the functions at it (harness/invoke.js does this for you):
+//         LUMA_API_BASE=http://localhost:4010/luma
+//         AIRTABLE_API_BASE=http://localhost:4010/airtable
+//         SUPABASE_URL=http://localhost:4010/supabase
+//         HUBSPOT_FORMS_API_BASE=http://localhost:4010/hubspot
+//         MAIL_API_BASE=http://localhost:4010/mail
+//
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const DEFAULT_PORT = 4010;
+const RELATIVE_TIME = /^([+-]\d+(?:\.\d+)?)([dh])$/;
+const TIME_FIELDS = ['start_at', 'end_at', 'start_time', 'end_time', 'created_at', 'updated_at'];
+
+function readFixture(...parts) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, ...parts), 'utf8'));
+}
+
+function lumaScenarios() {
+  return fs.readdirSync(path.join(FIXTURES, 'luma'))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+// Replace "+3d"-style times with ISO timestamps, anywhere in a fixture
+function resolveTimes(value, now) {
+  if (Array.isArray(value)) return value.map(item => resolveTimes(item, now));
+  if (!value || typeof value !== 'object') return value;
+  const result = {};
+  Object.entries(value).forEach(([key, field]) => {
+    const match = TIME_FIELDS.includes(key) && typeof field === 'string' && field.match(RELATIVE_TIME);
+    if (match) {
+      const unit = match[2] === 'd' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+      result[key] = new Date(now + Number(match[1]) * unit).toISOString();
+    } else {
+      result[key] = resolveTimes(field, now);
+    }
+  });
+  return result;
+}
+
+// Same unique key: equal in every on_conflict column
+function sameKey(columns, a, b) {
+  return columns.length > 0 && columns.every(column => a[column] === b[column]);
+}
+
+function send(res, status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(text);
+}
+
+// A fixture page: a list-events body, { status, headers, body } or { raw }
+async function sendPage(res, page) {
+  // unref: a pending delay must not keep the process alive after close()
+  if (page.delay_ms) await new Promise(resolve => setTimeout(resolve, page.delay_ms).unref());
+  if (page.raw !== undefined) return send(res, 200, page.raw);
+  if (page.status) return send(res, page.status, page.body || '', page.headers);
+  const body = { ...page };
+  delete body.delay_ms;
+  return send(res, 200, body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function startMockUpstreams({ port = DEFAULT_PORT, luma = 'multi-page', airtable = 'ok', supabase = 'ok' } = {}) {
+  const scenario = { luma, airtable, supabase };
+  // table -> rows upserted through the REST API since start
+  const written = {};
+  const requests = [];
+
+  function setScenario(changes) {
+    if (changes.luma && !lumaScenarios().includes(changes.luma)) {
+      throw new Error(`Unknown Luma scenario "${changes.luma}". Try one of: ${lumaScenarios().join(', ')}.`);
+    }
+    Object.assign(scenario, changes);
+  }
+  setScenario({ luma });
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, query: url.search, body, at: Date.now() });
+
+    if (url.pathname === '/__scenario' && req.method === 'POST') {
+      const changes = Object.fromEntries(url.searchParams);
+      try {
+        setScenario(changes);
+      } catch (error) {
+        return send(res, 400, { error: error.message });
+      }
+      return send(res, 200, scenario);
+    }
+    if (url.pathname === '/__requests') {
+      return send(res, 200, requests.filter(entry => !entry.path.startsWith('/__')));
+    }
+
+    if (url.pathname.startsWith('/luma/')) {
+      if (!req.headers['x-luma-api-key']) return send(res, 401, { message: 'Missing API key' });
+      const fixture = resolveTimes(readFixture('luma', `${scenario.luma}.json`), Date.now());
+
+      if (url.pathname === '/luma/calendar/list-events') {
+        const cursor = url.searchParams.get('pagination_cursor') || '';
+        const page = fixture.pages[cursor];
+        return page ? sendPage(res, page) : send(res, 400, { message: `Unknown cursor ${cursor}` });
+      }
+      if (url.pathname === '/luma/event/get') {
+        const entry = fixture.events[url.searchParams.get('event_api_id')];
+        return entry ? sendPage(res, entry) : send(res, 404, { message: 'Event not found' });
+      }
+      return send(res, 404, { message: 'Not found' });
+    }
+
+    if (url.pathname.startsWith('/airtable/v0/')) {
+      if (!['POST', 'PATCH'].includes(req.method)) return send(res, 405, { error: 'NOT_SUPPORTED' });
+      if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+        return send(res, 401, { error: 'AUTHENTICATION_REQUIRED' });
+      }
+      if (scenario.airtable === 'error') return send(res, 502, { error: 'SERVER_ERROR' });
+      const records = (JSON.parse(body || '{}').records || []).map((record, index) => ({
+        id: `rec${String(requests.length).padStart(5, '0')}${index}`,
+        createdTime: new Date().toISOString(),
+        fields: record.fields
+      }));
+      return send(res, 200, { records });
+    }
+
+    if (url.pathname === '/supabase/auth/v1/user') {
+      if (scenario.supabase === 'down') return send(res, 500, { msg: 'Internal server error' });
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const user = readFixture('supabase-users.json')[token];
+      return user ? send(res, 200, user) : send(res, 401, { msg: 'invalid JWT' });
+    }
+
+    if (url.pathname === '/supabase/auth/v1/admin/users' || url.pathname.startsWith('/supabase/rest/v1/')) {
+      if (!req.headers.apikey || !(req.headers.authorization || '').startsWith('Bearer ')) {
+        return send(res, 401, { message: 'No API key found in request' });
+      }
+      if (scenario.supabase === 'down') return send(res, 500, { message: 'Internal server error' });
+      const page = Number(url.searchParams.get('page') || 1);
+      const perPage = Number(url.searchParams.get('per_page') || 50);
+      if (url.pathname === '/supabase/auth/v1/admin/users') {
+        // Fixture keys are tokens, and one user can hold several
+        const users = Array.from(new Map(Object.values(readFixture('supabase-users.json')).map(user => [user.id, user])).values());
+        return send(res, 200, { users: users.slice((page - 1) * perPage, page * perPage) });
+      }
+      const table = url.pathname.slice('/supabase/rest/v1/'.length);
+      const fixtureRows = resolveTimes(readFixture('supabase-tables.json'), Date.now())[table];
+      if (!fixtureRows) return send(res, 404, { code: '42P01', message: `relation "public.${table}" does not exist` });
+      if (req.method === 'POST') {
+        const conflict = (url.searchParams.get('on_conflict') || '').split(',').filter(Boolean);
+        written[table] = written[table] || { conflict, rows: [] };
+        [].concat(JSON.parse(body || '[]')).forEach(row => {
+          const index = written[table].rows.findIndex(existing => sameKey(conflict, existing, row));
+          if (index === -1) written[table].rows.push(row);
+          else written[table].rows[index] = { ...written[table].rows[index], ...row };
+        });
+        res.writeHead(201);
+        return res.end();
+      }
+      // Rows written while running replace fixture rows with the same key
+      const fresh = written[table] || { conflict: [], rows: [] };
+      const rows = fixtureRows
+        .filter(row => !fresh.rows.some(freshRow => sameKey(fresh.conflict, freshRow, row)))
+        .concat(fresh.rows);
+      const reserved = ['select', 'limit', 'offset', 'order'];
+      const filters = Array.from(url.searchParams).filter(([key]) => !reserved.includes(key));
+      const columns = (url.searchParams.get('select') || '*').split(',');
+      const offset = Number(url.searchParams.get('offset') || 0);
+      const limit = Number(url.searchParams.get('limit') || rows.length);
+      const matching = rows
+        .filter(row => filters.every(([key, value]) => !value.startsWith('eq.') || String(row[key]) === value.slice(3)))
+        .slice(offset, offset + limit)
+        .map(row => (columns.includes('*') ? row : Object.fromEntries(columns.map(column => [column, row[column]]))));
+      return send(res, 200, matching);
+    }
+
+    if (url.pathname.startsWith('/hubspot/submissions/v3/integration/submit/')) {
+      const fields = JSON.parse(body || '{}').fields || [];
+      const email = fields.find(field => field.name === 'email');
+      if (!email || !String(email.value).includes('@')) {
+        return send(res, 400, { status: 'error', errors: [{ message: 'Email is invalid', errorType: 'INVALID_EMAIL' }] });
+      }
+      return send(res, 200, { inlineMessage: 'Thanks for submitting the form.' });
+    }
+
+    if (url.pathname === '/mail/emails') {
+      if (!(req.headers.authorization || '').startsWith('Bearer ')) return send(res, 401, { message: 'Missing API key' });
+      return send(res, 200, { id: `mail_${requests.length}` });
+    }
+
+    return send(res, 404, { error: 'No mock for this path' });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { error: error.message }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://localhost:${boundPort}`,
+        scenario,
+        requests,
+        setScenario,
+        close: () => new Promise(done => {
+          server.close(done);
+          // Drop requests still waiting on a delay_ms page
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    options[key] = key === 'port' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  startMockUpstreams(parseArgs(process.argv.slice(2)))
+    .then(mock => {
+      console.log(`Mock upstreams on ${mock.url} (Luma scenario: ${mock.scenario.luma})`);
+      console.log(`Luma scenarios: ${lumaScenarios().join(', ')}`);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  startMockUpstreams,
+  lumaScenarios,
+  DEFAULT_PORT
+};
@@ -0,0 +1,47 @@
+// CDN cache tagging for everything built from the Luma event list (the events
+// API, calendar feed, series redirects and event pages), so a Luma webhook can
+// drop them all from Netlify's edge cache at once instead of waiting out
+// s-maxage.
+//
+// Purging needs NETLIFY_PURGE_API_TOKEN and SITE_ID, which Netlify sets for
+// functions. Elsewhere (Vercel, local runs) it logs and does nothing, and the
+// cached responses expire on their own.
+
+const EVENTS_CACHE_TAG = 'caish-events';
+const PURGE_URL = 'https://api.netlify.com/api/v1/purge';
+
+// Spread into an endpoint's response headers
+const EVENTS_CACHE_HEADERS = {
+  'Netlify-Cache-Tag': EVENTS_CACHE_TAG
+};
+
+// Resolves to true when the purge was accepted
+async function purgeEventsCache() {
+  const token = process.env.NETLIFY_PURGE_API_TOKEN;
+  const siteId = process.env.SITE_ID;
+  if (!token || !siteId) {
+    console.log('No Netlify purge credentials; cached event responses will expire on their own');
+    return false;
+  }
+
+  const response = await fetch(PURGE_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ site_id: siteId, cache_tags: [EVENTS_CACHE_TAG] }),
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) {
+    console.error('Netlify cache purge failed:', response.status, await response.text());
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  EVENTS_CACHE_TAG,
+  EVENTS_CACHE_HEADERS,
+  purgeEventsCache
+};
@@ -0,0 +1,116 @@
+// Event classification: decides whether a Luma event belongs in the CAISH
+// listings, which series it is part of and who it is for. The events API
+// returns the series and audience on each event, and every listing, feed and
+// series redirect filters on them.
+//
+// Inclusion rules, first match wins (classifyEvent reports which one applied):
+//   deny-list     api_id in LUMA_DENY_EVENT_IDS: always dropped
+//   allow-list    api_id in LUMA_ALLOW_EVENT_IDS: always kept
+//   extra-event   fetched because it is in LUMA_EXTRA_EVENT_IDS
+//   tag           tagged CAISH, or with a series tag, in Luma
+//   calendar      created on a calendar in LUMA_CALENDAR_IDS
+//   series-name   named like a series (SERIES in lib/series.js); while
+//                 LUMA_CALENDAR_IDS is set, only with CAISH in the name too
+//   name          CAISH or Cambridge AI Safety Hub in the name
+//   description   CAISH mentioned in the description; only while
+//                 LUMA_CALENDAR_IDS is unset, since it also sweeps in partner
+//                 events that merely mention us
+//   no-match      dropped
+//
+// All the lists are comma-separated api_ids, like LUMA_EXTRA_EVENT_IDS.
+
+const { startTime } = require('./luma');
+const { SERIES, matchesSeries, hasTag, isCaishRelated } = require('./series');
+
+const CAISH_TAGS = ['CAISH'];
+
+// slug:  ?audience= value and the label the API returns
+// tags:  Luma tags that set it; untagged events are for everyone
+const AUDIENCES = [
+  { slug: 'open', title: 'Open to all', tags: ['Open to all', 'Public'] },
+  { slug: 'students', title: 'Students', tags: ['Students', 'Student'] },
+  { slug: 'professionals', title: 'Professionals', tags: ['Professionals'] },
+  { slug: 'members', title: 'Members only', tags: ['Members', 'Members only', 'Fellows', 'Invite only'] }
+];
+const DEFAULT_AUDIENCE = 'open';
+
+function idList(name) {
+  return (process.env[name] || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function findAudience(slug) {
+  return AUDIENCES.find(audience => audience.slug === slug) || null;
+}
+
+// Tags win over names, so a renamed series stays in its series
+function seriesOf(event) {
+  const tagged = SERIES.find(series => series.tags && hasTag(event, series.tags));
+  if (tagged) return tagged;
+  return SERIES.find(series => matchesSeries(series, event)) || null;
+}
+
+function audienceOf(event) {
+  const tagged = AUDIENCES.find(audience => hasTag(event, audience.tags));
+  return tagged ? tagged.slug : DEFAULT_AUDIENCE;
+}
+
+function inclusionRule(event, series) {
+  if (idList('LUMA_DENY_EVENT_IDS').includes(event.api_id)) return { included: false, rule: 'deny-list' };
+  if (idList('LUMA_ALLOW_EVENT_IDS').includes(event.api_id)) return { included: true, rule: 'allow-list' };
+  if (event.source === 'extra') return { included: true, rule: 'extra-event' };
+  if (hasTag(event, CAISH_TAGS) || (series && series.tags && hasTag(event, series.tags))) {
+    return { included: true, rule: 'tag' };
+  }
+
+  const calendarIds = idList('LUMA_CALENDAR_IDS');
+  if (calendarIds.includes(event.calendar_api_id)) return { included: true, rule: 'calendar' };
+  // With our calendars known, "talk" plus a CAISH mention in the description
+  // is as likely a partner's event as ours
+  if (series && (!calendarIds.length || isCaishRelated(event.name))) return { included: true, rule: 'series-name' };
+  if (isCaishRelated(event.name)) return { included: true, rule: 'name' };
+  if (!calendarIds.length && isCaishRelated(event.description)) return { included: true, rule: 'description' };
+  return { included: false, rule: 'no-match' };
+}
+
+// { included, rule, series, audience }: series is a slug or null
+function classifyEvent(event) {
+  const series = seriesOf(event);
+  return {
+    ...inclusionRule(event, series),
+    series: series ? series.slug : null,
+    audience: audienceOf(event)
+  };
+}
+
+// The event as the public API returns it: series and audience labels in
+// place of the upstream bookkeeping (source, calendar_api_id), which only the
+// admin diagnostics show
+function labelEvent(event) {
+  const { series, audience } = classifyEvent(event);
+  const labelled = { ...event, series, audience };
+  delete labelled.source;
+  delete labelled.calendar_api_id;
+  return labelled;
+}
+
+// The event a series link should open: the next upcoming one, else (if the
+// series allows it) the most recent past one, else null. Expects events
+// sorted by start time.
+function nextInSeries(series, events, now = new Date()) {
+  const matching = events.filter(event => {
+    const classification = classifyEvent(event);
+    return classification.included && classification.series === series.slug;
+  });
+  const upcoming = matching.find(event => startTime(event) >= now);
+  if (upcoming) return upcoming;
+  return series.fallbackToPast && matching.length ? matching[matching.length - 1] : null;
+}
+
+module.exports = {
+  AUDIENCES,
+  idList,
+  findAudience,
+  classifyEvent,
+  labelEvent,
+  nextInSeries
+};
@@ -0,0 +1,175 @@
+// Cohort progress for the facilitator dashboard: turns a course manifest and
+// the course's Supabase rows into one line per participant, plus the readings
+// people most often skip. Pure functions; lib/endpoints/cohort.js fetches the
+// rows and serves the result as JSON or CSV.
+
+const { CourseCatalog } = require('../course/course.js');
+
+// No activity for this long and not finished: worth a nudge before discussion
+const STALLED_AFTER_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SKIPPED_LIMIT = 10;
+
+function latest(...dates) {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime()).filter(Number.isFinite);
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+function displayName(user) {
+  const meta = user.user_metadata || {};
+  return String(meta.full_name || meta.name || '').trim();
+}
+
+// submitted_at is stamped by the sketch endpoint once Airtable has the sketch
+function sketchStatus(row) {
+  if (!row) return { status: 'not started', answered: 0, updated_at: null, submitted_at: null };
+  const answered = Object.values(row.worksheet || {}).filter(value => String(value || '').trim()).length;
+  const status = row.submitted_at ? 'submitted' : answered ? 'in progress' : 'not started';
+  return { status, answered, updated_at: row.updated_at || null, submitted_at: row.submitted_at || null };
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  });
+  return groups;
+}
+
+// A reading counts as skipped by someone who has marked a later reading done
+// but not this one. rate is skipped / people who have got past it.
+function skippedReadings(readings, participants) {
+  const stats = readings.map(() => ({ skipped: 0, passedBy: 0 }));
+  participants.forEach(({ done }) => {
+    let furthest = -1;
+    readings.forEach((item, index) => { if (done.has(item.id)) furthest = index; });
+    for (let index = 0; index < furthest; index += 1) {
+      stats[index].passedBy += 1;
+      if (!done.has(readings[index].id)) stats[index].skipped += 1;
+    }
+  });
+  return readings
+    .map((item, index) => ({
+      id: item.id,
+      label: item.label,
+      title: item.title,
+      unit: item.unit,
+      required: item.reading.required === true,
+      skipped: stats[index].skipped,
+      passed_by: stats[index].passedBy,
+      rate: stats[index].passedBy ? stats[index].skipped / stats[index].passedBy : 0
+    }))
+    .filter(entry => entry.skipped > 0)
+    .sort((a, b) => b.rate - a.rate || b.skipped - a.skipped)
+    .slice(0, SKIPPED_LIMIT);
+}
+
+// users: from the auth admin API. progress, sketches, checks: this course's
+// course_progress, project_sketches and reading_checks rows. Anyone with a
+// row is a participant; people who never signed in to the course do not show.
+// Completion counts readings the way the course page does (CourseProgress.
+// isComplete): with requireChecks, a reading with a check also needs a pass.
+function summarise({ manifest, users, progress, sketches, checks, staff = new Set(), now = Date.now() }) {
+  const readings = CourseCatalog.readings(manifest);
+  const known = new Set(readings.map(item => item.id));
+  const gated = new Set(manifest.requireChecks ? readings.filter(item => item.reading.check).map(item => item.id) : []);
+  const units = manifest.units.map(unit => ({
+    number: unit.number,
+    title: unit.title,
+    total: readings.filter(item => item.unit === unit.number).length
+  }));
+
+  const progressBy = groupBy(progress, 'user_id');
+  const checksBy = groupBy(checks, 'user_id');
+  const sketchBy = new Map(sketches.map(row => [row.user_id, row]));
+  const usersById = new Map(users.map(user => [user.id, user]));
+  const ids = new Set([...progressBy.keys(), ...sketchBy.keys(), ...checksBy.keys()]);
+
+  const participants = Array.from(ids)
+    .filter(id => !staff.has(id))
+    .map(id => {
+      const user = usersById.get(id) || {};
+      const rows = progressBy.get(id) || [];
+      const passed = (checksBy.get(id) || []).filter(row => row.passed);
+      const passedIds = new Set(passed.map(row => row.reading_id));
+      const done = new Set(rows.map(row => row.reading_id).filter(readingId =>
+        known.has(readingId) && (!gated.has(readingId) || passedIds.has(readingId))
+      ));
+      const sketch = sketchStatus(sketchBy.get(id));
+      const lastActivity = latest(
+        ...rows.map(row => row.created_at),
+        ...(checksBy.get(id) || []).map(row => row.updated_at),
+        sketch.updated_at
+      );
+      const daysInactive = lastActivity ? Math.floor((now - new Date(lastActivity).getTime()) / DAY_MS) : null;
+      return {
+        id,
+        name: displayName(user),
+        email: user.email || '',
+        done,
+        completed: done.size,
+        total: readings.length,
+        units: Object.fromEntries(units.map(unit => [
+          unit.number,
+          readings.filter(item => item.unit === unit.number && done.has(item.id)).length
+        ])),
+        checks_passed: passed.length,
+        last_activity: lastActivity,
+        days_inactive: daysInactive,
+        stalled: done.size < readings.length && (daysInactive === null || daysInactive >= STALLED_AFTER_DAYS),
+        sketch
+      };
+    })
+    .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+
+  return {
+    course: { id: manifest.id, title: manifest.title },
+    generated_at: new Date(now).toISOString(),
+    stalled_after_days: STALLED_AFTER_DAYS,
+    units,
+    skipped: skippedReadings(readings, participants),
+    participants: participants.map(({ done, ...participant }) => participant)
+  };
+}
+
+// Spreadsheet apps run cells that start with = + - @ as formulas, and names
+// come from users
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(summary) {
+  const header = [
+    'name', 'email', 'completed', 'total', 'percent',
+    // Counts, not "3/12", which spreadsheets read as a date
+    ...summary.units.map(unit => `unit_${unit.number}_of_${unit.total}`),
+    'checks_passed', 'last_activity', 'days_inactive', 'stalled',
+    'sketch_status', 'sketch_answers', 'sketch_updated', 'sketch_submitted'
+  ];
+  const rows = summary.participants.map(participant => [
+    participant.name,
+    participant.email,
+    participant.completed,
+    participant.total,
+    participant.total ? Math.round((participant.completed / participant.total) * 100) : 0,
+    ...summary.units.map(unit => participant.units[unit.number]),
+    participant.checks_passed,
+    participant.last_activity,
+    participant.days_inactive,
+    participant.stalled ? 'yes' : 'no',
+    participant.sketch.status,
+    participant.sketch.answered,
+    participant.sketch.updated_at,
+    participant.sketch.submitted_at
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  STALLED_AFTER_DAYS,
+  summarise,
+  toCsv
+};
@@ -0,0 +1,31 @@
+// Answer keys for the comprehension checks in manifest.js (reading.check), by
+// reading id and then question id. Server-side only: this directory is not
+// published, and lib/endpoints/checks.js marks answers against these.
+// build-course.js --check checks every question has a key and every key a
+// question.
+//
+// Each key:
+//   answer       type 'choice': the index of the right option
+//   accept       type 'short': the answer must contain a word starting with
+//                one of these (lower case); words from the prompt do not count
+//   minWords     type 'short': words of its own the answer needs (default 5)
+//   explanation  shown under the question once it is marked
+
+module.exports = {
+  'unit-1-reading-1': {
+    behaviour: {
+      answer: 1,
+      explanation: 'A capable agent with reasons to resist you also has reasons to look compliant while it is being watched.'
+    },
+    patch: {
+      accept: ['suicid', 'manipulat', 'decept', 'deceiv', 'press', 'reward', 'hid', 'lie', 'lying'],
+      explanation: 'Rewarding the button makes the agent want it pressed (suicidal or manipulative); hiding it makes the agent work around you (deceptive).'
+    }
+  },
+  'unit-1-reading-7': {
+    dilemma: {
+      answer: 1,
+      explanation: 'A mutually beneficial deal is not enough on its own: without a way to check compliance, each side defects for fear the other will.'
+    }
+  }
+};
@@ -0,0 +1,90 @@
+// Marking for the comprehension checks on course readings. The questions are
+// in the public course manifest (reading.check); the answer keys are in
+// lib/course-answers/<id>.js, which is never published. lib/endpoints/checks.js
+// marks with these, and build-course.js --check runs keyErrors on each course.
+
+const QUESTION_TYPES = ['choice', 'short'];
+const MIN_WORDS = 5;
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// A short answer needs minWords different words of its own (restating the
+// prompt does not count) and, when the key has accept, one of those words
+// starting with an accepted stem
+function markShort(question, key, answer) {
+  const prompt = new Set(words(question.prompt));
+  const own = new Set(words(answer).filter(word => !prompt.has(word)));
+  if (own.size < (key.minWords || MIN_WORDS)) return false;
+  if (!key.accept) return true;
+  return Array.from(own).some(word => key.accept.some(stem => word.startsWith(stem.toLowerCase())));
+}
+
+// answers: question id -> option index (choice) or text (short).
+// Returns { marks: { id: true|false }, passed, explanations: { id: text } }
+function markCheck(check, key, answers) {
+  const marks = {};
+  const explanations = {};
+  check.questions.forEach(question => {
+    const questionKey = key[question.id];
+    const answer = answers[question.id];
+    marks[question.id] = question.type === 'choice'
+      ? answer === questionKey.answer
+      : markShort(question, questionKey, answer);
+    explanations[question.id] = questionKey.explanation || '';
+  });
+  return { marks, passed: Object.values(marks).every(Boolean), explanations };
+}
+
+// Problems with a course's answer keys, as messages for build-course.js:
+// every check question needs a key that fits it, keys need a question, and
+// answers left in the public manifest are flagged
+function keyErrors(readings, answers) {
+  const errors = [];
+  const checked = new Set();
+  readings.forEach(({ id, title, reading }) => {
+    if (!reading.check) return;
+    checked.add(id);
+    const keys = answers[id] || {};
+    (reading.check.questions || []).forEach(question => {
+      const where = `"${title}": check question ${question.id}`;
+      ['answer', 'accept', 'explanation'].forEach(field => {
+        if (question[field] !== undefined) errors.push(`${where} has ${field} in the public manifest; move it to lib/course-answers`);
+      });
+      const key = keys[question.id];
+      if (!key) {
+        errors.push(`${where} has no answer key in lib/course-answers`);
+      } else if (question.type === 'choice') {
+        const options = Array.isArray(question.options) ? question.options.length : 0;
+        if (!Number.isInteger(key.answer) || key.answer < 0 || key.answer >= options) {
+          errors.push(`${where} has answer ${key.answer}, which is not one of its options`);
+        }
+      } else if (question.type === 'short' && key.accept !== undefined) {
+        if (!Array.isArray(key.accept) || !key.accept.every(stem => typeof stem === 'string' && stem)) {
+          errors.push(`${where}: accept must be a list of words`);
+        } else {
+          // Such a stem passes any answer that repeats the question
+          const prompt = words(question.prompt);
+          key.accept
+            .filter(stem => prompt.some(word => word.startsWith(stem.toLowerCase())))
+            .forEach(stem => errors.push(`${where}: accept "${stem}" matches a word in the prompt`));
+        }
+      }
+    });
+    Object.keys(keys)
+      .filter(questionId => !(reading.check.questions || []).some(question => question.id === questionId))
+      .forEach(questionId => errors.push(`"${title}": lib/course-answers has a key for ${questionId}, which is not a check question`));
+  });
+  Object.keys(answers)
+    .filter(id => !checked.has(id))
+    .forEach(id => errors.push(`lib/course-answers has keys for ${id}, which has no check`));
+  return errors;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  MIN_WORDS,
+  markCheck,
+  keyErrors
+};
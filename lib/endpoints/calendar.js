@@ -0,0 +1,51 @@
+// Calendar endpoint: the events listing as an iCalendar (.ics) subscription
+// feed for Google Calendar, Outlook and Apple Calendar.
+// Takes the same filters as the events endpoint (lib/event-query.js), so
+// ?series=social|lunch|hdwsa gives a feed for one recurring series.
+
+const { loadEvents } = require('../events-cache');
+const { QueryError, parseEventQuery, filterEvents } = require('../event-query');
+const { renderCalendar } = require('../ical');
+const { text, lumaErrorResponse } = require('../http');
+const { EVENTS_CACHE_HEADERS } = require('../cdn');
+
+const HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET',
+  'Cache-Control': 's-maxage=300, stale-while-revalidate=600',
+  ...EVENTS_CACHE_HEADERS
+};
+
+module.exports = async function calendar(request) {
+  if (request.method !== 'GET') {
+    return text(405, 'Method not allowed', HEADERS);
+  }
+
+  let params;
+  try {
+    params = parseEventQuery(request.query);
+  } catch (error) {
+    if (error instanceof QueryError) return text(400, error.message, HEADERS);
+    throw error;
+  }
+  const { series } = params;
+
+  try {
+    const { events } = await loadEvents();
+
+    return {
+      status: 200,
+      headers: {
+        ...HEADERS,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="caish-${series ? series.slug : 'events'}.ics"`
+      },
+      body: renderCalendar({
+        name: series ? series.title : 'Cambridge AI Safety Hub',
+        events: filterEvents(events, params)
+      })
+    };
+  } catch (error) {
+    return lumaErrorResponse(error, (status, message) => text(status, message, HEADERS));
+  }
+};
@@ -0,0 +1,114 @@
+// Checks endpoint: marks a comprehension check on a course reading against the
+// answer keys in lib/course-answers/<id>.js, which are never published, and
+// records the result in reading_checks. This is the only writer of
+// reading_checks.passed: the table's row-level security lets people read
+// their own rows but not write them, so a pass on the dashboard was marked here.
+//
+//   POST { course, reading, answers: { <question id>: option index | text } }
+//
+// With "Authorization: Bearer <Supabase session token>" the result is saved to
+// that account (a later miss never undoes a pass); without one the answers are
+// only marked, and the browser sends them again once the person signs in.
+// Answers: { passed, marks: { <question id>: true|false }, explanations, saved }.
+
+const { json } = require('../http');
+const { rateLimit, byIp, byUser } = require('../rate-limit');
+const { SupabaseError, SupabaseConfigError, bearerToken, sessionUser, selectAll, upsert } = require('../supabase');
+const { CourseCatalog } = require('../../course/course.js');
+const { markCheck } = require('../course-checks');
+
+// Required by path so the function bundlers pick them up; add new courses here
+const COURSES = {
+  verification: {
+    manifest: require('../../course/verification/manifest.js'),
+    answers: require('../course-answers/verification.js')
+  }
+};
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+const LIMITS = [
+  { name: 'ip', key: byIp, max: 60, windowMs: 10 * 60 * 1000 },
+  { name: 'user', key: byUser, max: 30, windowMs: 10 * 60 * 1000 }
+];
+
+const MAX_ANSWER_LENGTH = 4000;
+
+function respond(status, message) {
+  return json(status, { message }, HEADERS);
+}
+
+// Only the check's own questions, as numbers or trimmed text
+function cleanAnswers(check, answers) {
+  const clean = {};
+  check.questions.forEach(question => {
+    const value = answers[question.id];
+    if (question.type === 'choice') clean[question.id] = Number.isInteger(value) ? value : null;
+    else clean[question.id] = String(value || '').slice(0, MAX_ANSWER_LENGTH).trim();
+  });
+  return clean;
+}
+
+async function checks(request) {
+  if (request.method !== 'POST') return respond(405, 'Method not allowed');
+
+  let payload;
+  try {
+    payload = JSON.parse(request.body || '{}');
+  } catch (error) {
+    return respond(400, 'Bad request');
+  }
+  if (!payload || typeof payload !== 'object') return respond(400, 'Bad request');
+
+  if (!Object.hasOwn(COURSES, payload.course)) return respond(404, 'Unknown course');
+  const course = COURSES[payload.course];
+  const item = CourseCatalog.readings(course.manifest).find(candidate => candidate.id === payload.reading);
+  const key = item && course.answers[item.id];
+  if (!item || !item.reading.check || !key) return respond(404, 'This reading has no check');
+
+  const answers = cleanAnswers(item.reading.check, payload.answers && typeof payload.answers === 'object' ? payload.answers : {});
+  const result = markCheck(item.reading.check, key, answers);
+
+  const token = bearerToken(request);
+  if (!token) return json(200, { ...result, saved: false }, HEADERS);
+
+  let user;
+  try {
+    user = await sessionUser(request);
+  } catch (error) {
+    return respond(502, 'Could not verify your session');
+  }
+  if (!user) return respond(401, 'Session expired. Sign in again.');
+
+  try {
+    const where = {
+      user_id: `eq.${user.id}`,
+      course_id: `eq.${course.manifest.id}`,
+      reading_id: `eq.${item.id}`
+    };
+    const [previous] = await selectAll('reading_checks', 'passed', where);
+    await upsert('reading_checks', {
+      user_id: user.id,
+      course_id: course.manifest.id,
+      reading_id: item.id,
+      passed: result.passed || Boolean(previous && previous.passed),
+      answers,
+      updated_at: new Date().toISOString()
+    }, 'user_id,course_id,reading_id');
+  } catch (error) {
+    if (error instanceof SupabaseConfigError) {
+      console.error('Checks are not configured:', error.message);
+    } else if (error instanceof SupabaseError) {
+      console.error('Supabase write failed:', error.status, error.body || error.message);
+    } else {
+      console.error('Saving a check failed:', error.message);
+    }
+    // Still marked; the browser keeps it pending and sends it again later
+    return json(200, { ...result, saved: false }, HEADERS);
+  }
+  return json(200, { ...result, saved: true }, HEADERS);
+}
+
+module.exports = rateLimit(checks, { name: 'checks', limits: LIMITS });
@@ -0,0 +1,97 @@
+// Cohort endpoint: behind the facilitator dashboard (/course/dashboard). For
+// one course, each participant's completion by unit, last activity and
+// sketch status, and the readings most people skip (lib/cohort.js).
+//
+//   GET ?course=verification              JSON
+//   GET ?course=verification&format=csv   the same, one row per participant
+//
+// Needs "Authorization: Bearer <Supabase session token>" from a user whose
+// app_metadata.role is a staff role. app_metadata can only be set with the
+// service role (user_metadata is editable by the user, so it cannot gate
+// anything). The rows are read with SUPABASE_SERVICE_ROLE_KEY, which sees past
+// row-level security; course_notes are private and never read here.
+
+const { json, text } = require('../http');
+const { rateLimit, byIp, byUser } = require('../rate-limit');
+const { SupabaseError, SupabaseConfigError, bearerToken, sessionUser, selectAll, listUsers } = require('../supabase');
+const { summarise, toCsv } = require('../cohort');
+
+// Required by path so the function bundlers pick them up; add new courses here
+const COURSES = {
+  verification: require('../../course/verification/manifest.js')
+};
+
+const STAFF_ROLES = ['staff', 'facilitator'];
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+const LIMITS = [
+  { name: 'ip', key: byIp, max: 60, windowMs: 10 * 60 * 1000 },
+  { name: 'user', key: byUser, max: 30, windowMs: 10 * 60 * 1000 }
+];
+
+function respond(status, message) {
+  return json(status, { message }, HEADERS);
+}
+
+function isStaff(user) {
+  return STAFF_ROLES.includes((user.app_metadata || {}).role);
+}
+
+async function cohort(request) {
+  if (request.method !== 'GET') return respond(405, 'Method not allowed');
+
+  const token = bearerToken(request);
+  if (!token) return respond(401, 'Sign in required');
+
+  let user;
+  try {
+    user = await sessionUser(request);
+  } catch (error) {
+    return respond(502, 'Could not verify your session');
+  }
+  if (!user) return respond(401, 'Session expired. Sign in again.');
+  if (!isStaff(user)) return respond(403, 'This dashboard is for course staff.');
+
+  const courseId = request.query.course || 'verification';
+  if (!Object.hasOwn(COURSES, courseId)) return respond(404, `Unknown course. Try one of: ${Object.keys(COURSES).join(', ')}.`);
+  const manifest = COURSES[courseId];
+
+  let summary;
+  try {
+    const course = { course_id: `eq.${manifest.id}` };
+    const [users, progress, sketches, checks] = await Promise.all([
+      listUsers(),
+      selectAll('course_progress', 'user_id,reading_id,created_at', course),
+      selectAll('project_sketches', 'user_id,worksheet,updated_at,submitted_at', course),
+      selectAll('reading_checks', 'user_id,reading_id,passed,updated_at', course)
+    ]);
+    const staff = new Set(users.filter(isStaff).map(candidate => candidate.id));
+    summary = summarise({ manifest, users, progress, sketches, checks, staff });
+  } catch (error) {
+    if (error instanceof SupabaseConfigError) {
+      console.error('Cohort dashboard is not configured:', error.message);
+      return respond(503, 'The dashboard is not configured yet.');
+    }
+    if (error instanceof SupabaseError) {
+      console.error('Supabase read failed:', error.status, error.body || error.message);
+    } else {
+      console.error('Cohort dashboard failed:', error.message);
+    }
+    return respond(502, 'Could not load the cohort just now. Please try again in a minute.');
+  }
+
+  if (request.query.format === 'csv') {
+    const date = summary.generated_at.slice(0, 10);
+    return text(200, toCsv(summary), {
+      ...HEADERS,
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${manifest.id}-cohort-${date}.csv"`
+    });
+  }
+  return json(200, summary, HEADERS);
+}
+
+module.exports = rateLimit(cohort, { name: 'cohort', limits: LIMITS, methods: ['GET'] });
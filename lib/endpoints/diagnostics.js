@@ -0,0 +1,111 @@
+// Admin diagnostics endpoint: what the events functions are working from.
+// For every event in the snapshot, the classification rule that kept or
+// dropped it (lib/classify.js); which extra event IDs failed; how old the
+// snapshot is; and each upstream call with its latency.
+//
+// Needs "Authorization: Bearer <CAISH_ADMIN_TOKEN>". ?refresh=true fetches
+// from Luma first instead of reporting on the stored snapshot.
+
+const crypto = require('crypto');
+const { LumaError, LumaConfigError, extraEventIds } = require('../luma');
+const { FRESH_FOR_MS, loadSnapshot, refreshEvents } = require('../events-cache');
+const { classifyEvent, idList } = require('../classify');
+const { json } = require('../http');
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+function authorized(request) {
+  const expected = process.env.CAISH_ADMIN_TOKEN || '';
+  const given = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return Boolean(expected && given) && crypto.timingSafeEqual(a, b);
+}
+
+function describeEvent(event) {
+  const { included, rule, series, audience } = classifyEvent(event);
+  return {
+    api_id: event.api_id,
+    name: event.name,
+    start_at: event.start_at,
+    source: event.source || null,
+    calendar_api_id: event.calendar_api_id || null,
+    tags: event.tags || [],
+    included,
+    rule,
+    series,
+    audience
+  };
+}
+
+function countBy(items, key) {
+  const counts = {};
+  items.forEach(item => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = async function diagnostics(request) {
+  if (request.method !== 'GET') {
+    return json(405, { error: 'Method not allowed' }, HEADERS);
+  }
+  if (!process.env.CAISH_ADMIN_TOKEN) {
+    return json(503, { error: 'Diagnostics are not configured' }, HEADERS);
+  }
+  if (!authorized(request)) {
+    return json(401, { error: 'Unauthorized' }, HEADERS);
+  }
+
+  let snapshot = null;
+  let refreshError = null;
+  if (request.query.refresh === 'true') {
+    try {
+      snapshot = await refreshEvents();
+    } catch (error) {
+      if (!(error instanceof LumaError)) throw error;
+      refreshError = error instanceof LumaConfigError
+        ? error.message
+        : { message: error.message, status: error.status || null };
+    }
+  }
+  if (!snapshot) snapshot = await loadSnapshot();
+
+  const ageMs = snapshot ? Date.now() - new Date(snapshot.fetched_at) : null;
+  const events = snapshot ? snapshot.events.map(describeEvent) : [];
+  const warnings = (snapshot && snapshot.warnings) || [];
+  const calls = (snapshot && snapshot.calls) || [];
+
+  return json(200, {
+    generated_at: new Date().toISOString(),
+    cache: {
+      fetched_at: snapshot ? snapshot.fetched_at : null,
+      age_seconds: ageMs === null ? null : Math.round(ageMs / 1000),
+      fresh_for_seconds: FRESH_FOR_MS / 1000,
+      fresh: ageMs !== null && ageMs < FRESH_FOR_MS,
+      refresh_error: refreshError
+    },
+    config: {
+      extra_event_ids: extraEventIds(),
+      allow_event_ids: idList('LUMA_ALLOW_EVENT_IDS'),
+      deny_event_ids: idList('LUMA_DENY_EVENT_IDS'),
+      calendar_ids: idList('LUMA_CALENDAR_IDS')
+    },
+    upstream: {
+      calls,
+      slowest_ms: calls.reduce((max, call) => Math.max(max, call.duration_ms), 0)
+    },
+    failed_extra_event_ids: warnings
+      .filter(warning => warning.path === '/event/get')
+      .map(warning => warning.params.event_api_id),
+    warnings,
+    summary: {
+      total: events.length,
+      included: events.filter(event => event.included).length,
+      by_rule: countBy(events, 'rule')
+    },
+    events
+  }, HEADERS);
+};
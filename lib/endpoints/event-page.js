@@ -0,0 +1,57 @@
+// Event page endpoint: the /events/<slug> detail page, rendered from the
+// cached event list (see lib/event-page.js for the markup). The slug comes
+// from the last path segment or ?slug=, and is the one the events API returns
+// on each event.
+
+const { eventSlug } = require('../luma');
+const { loadEvents } = require('../events-cache');
+const { classifyEvent } = require('../classify');
+const { renderEventPage, renderNotFoundPage } = require('../event-page');
+const { html, text, lumaErrorResponse } = require('../http');
+const { EVENTS_CACHE_HEADERS } = require('../cdn');
+
+const HEADERS = {
+  'Cache-Control': 's-maxage=300, stale-while-revalidate=600',
+  ...EVENTS_CACHE_HEADERS
+};
+
+const STALE_HEADERS = {
+  'Cache-Control': 's-maxage=60',
+  ...EVENTS_CACHE_HEADERS
+};
+
+function slugFrom(request) {
+  if (request.query.slug) return request.query.slug;
+  const segments = request.path.split('/').filter(Boolean);
+  return segments[segments.length - 1] || '';
+}
+
+// Only events the listings show get a page; the snapshot also holds room
+// bookings and partner events on the same calendars
+function findEvent(events, slug) {
+  const wanted = slug.toLowerCase();
+  return events.find(event =>
+    ((event.slug || eventSlug(event)) === wanted || event.api_id === slug) && classifyEvent(event).included
+  ) || null;
+}
+
+module.exports = async function eventPage(request) {
+  if (request.method !== 'GET') {
+    return text(405, 'Method not allowed', HEADERS);
+  }
+
+  try {
+    const { events, stale } = await loadEvents();
+    const eventData = findEvent(events, slugFrom(request));
+    if (!eventData) {
+      return html(404, renderNotFoundPage(), HEADERS);
+    }
+    return html(200, renderEventPage({ ...eventData, slug: eventData.slug || eventSlug(eventData) }), stale ? STALE_HEADERS : HEADERS);
+  } catch (error) {
+    return lumaErrorResponse(
+      error,
+      (status, message) => text(status, message, HEADERS),
+      'Unable to load this event at this time. Please try again later.'
+    );
+  }
+};
@@ -0,0 +1,58 @@
+// Events endpoint: CAISH events from Luma, from one week ago onwards by
+// default. Date range, series, search, archive and paging parameters are
+// described in lib/event-query.js. When some Luma calls failed the response
+// is partial and lists them in warnings.
+// This keeps the API key secure on the server side
+
+const { loadEvents } = require('../events-cache');
+const { QueryError, parseEventQuery, queryEvents } = require('../event-query');
+const { json, lumaErrorResponse } = require('../http');
+const { EVENTS_CACHE_HEADERS } = require('../cdn');
+
+const HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET',
+  'Cache-Control': 's-maxage=300, stale-while-revalidate=600',
+  ...EVENTS_CACHE_HEADERS
+};
+
+// A stale snapshot is only cached briefly so the CDN picks up recovery quickly
+const STALE_HEADERS = {
+  ...HEADERS,
+  'Cache-Control': 's-maxage=60'
+};
+
+module.exports = async function events(request) {
+  if (request.method !== 'GET') {
+    return json(405, { error: 'Method not allowed' }, HEADERS);
+  }
+
+  let params;
+  try {
+    params = parseEventQuery(request.query);
+  } catch (error) {
+    if (error instanceof QueryError) return json(400, { error: error.message }, HEADERS);
+    throw error;
+  }
+
+  try {
+    const { events: allEvents, warnings, fetchedAt, stale } = await loadEvents();
+    const headers = stale ? STALE_HEADERS : HEADERS;
+
+    const page = queryEvents(allEvents, params);
+    const body = {
+      events: page.events,
+      count: page.events.length,
+      total: page.total,
+      offset: page.offset,
+      has_more: page.has_more,
+      next_offset: page.next_offset,
+      fetched_at: fetchedAt
+    };
+    if (stale) body.stale = true;
+    if (warnings.length) body.warnings = warnings;
+    return json(200, body, headers);
+  } catch (error) {
+    return lumaErrorResponse(error, (status, message) => json(status, { error: message }, HEADERS));
+  }
+};
@@ -0,0 +1,73 @@
+// Feed endpoint: upcoming and recently added events as Atom (/events.atom) or
+// JSON Feed 1.1 (/events.json), from the same snapshot as the events endpoint.
+// The format comes from ?format=atom|json or the extension on the request
+// path. Takes ?series= and ?audience= like the events endpoint.
+
+const { loadEvents } = require('../events-cache');
+const { QueryError, parseEventQuery, filterEvents } = require('../event-query');
+const { labelEvent } = require('../classify');
+const { SITE_URL } = require('../site');
+const { feedEntries, renderAtom, renderJsonFeed } = require('../feeds');
+const { text, lumaErrorResponse } = require('../http');
+const { EVENTS_CACHE_HEADERS } = require('../cdn');
+
+const HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET',
+  'Cache-Control': 's-maxage=300, stale-while-revalidate=600',
+  ...EVENTS_CACHE_HEADERS
+};
+
+const FORMATS = {
+  atom: { extension: 'atom', contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  json: { extension: 'json', contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+function formatOf(request) {
+  if (request.query.format) return request.query.format;
+  const match = (request.path || '').match(/\.(atom|json)$/);
+  return match ? match[1] : 'atom';
+}
+
+module.exports = async function feed(request) {
+  if (request.method !== 'GET') {
+    return text(405, 'Method not allowed', HEADERS);
+  }
+
+  const format = FORMATS[formatOf(request)];
+  if (!format) {
+    return text(400, `Unknown format "${request.query.format}". Try one of: ${Object.keys(FORMATS).join(', ')}.`, HEADERS);
+  }
+
+  let params;
+  try {
+    const { series, audience } = request.query;
+    params = parseEventQuery({ series, audience });
+  } catch (error) {
+    if (error instanceof QueryError) return text(400, error.message, HEADERS);
+    throw error;
+  }
+
+  try {
+    const { events, seen, fetchedAt } = await loadEvents();
+    const matching = filterEvents(events, { ...params, from: null }).map(labelEvent);
+
+    const query = new URLSearchParams();
+    if (params.series) query.set('series', params.series.slug);
+    if (params.audience) query.set('audience', params.audience.slug);
+    const selfUrl = `${SITE_URL}/events.${format.extension}${query.toString() ? `?${query}` : ''}`;
+
+    return {
+      status: 200,
+      headers: { ...HEADERS, 'Content-Type': format.contentType },
+      body: format.render({
+        title: params.series ? `${params.series.title} | Cambridge AI Safety Hub` : 'Cambridge AI Safety Hub events',
+        selfUrl,
+        entries: feedEntries(matching, seen, fetchedAt),
+        fetchedAt
+      })
+    };
+  } catch (error) {
+    return lumaErrorResponse(error, (status, message) => text(status, message, HEADERS));
+  }
+};
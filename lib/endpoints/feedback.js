@@ -0,0 +1,86 @@
+// Feedback endpoint: receive course feedback from /hardware/feedback and
+// append it to the course_feedback table in the HAP Airtable base.
+// Anonymous by design; a honeypot field, length caps, a per-IP rate limit and
+// (with FORM_TOKEN_SECRET set) a time-to-submit check keep the junk out.
+// GET returns the form token the page sends back with its submission.
+// Reuses the AIRTABLE_SKETCH_TOKEN env var (same base).
+
+const { json } = require('../http');
+const { rateLimit, byIp } = require('../rate-limit');
+const { issueFormToken, checkFormToken } = require('../form-token');
+
+const AIRTABLE_API = process.env.AIRTABLE_API_BASE || 'https://api.airtable.com';
+const AIRTABLE_BASE = 'app8d6sDud8MgJ4XD';
+const AIRTABLE_TABLE = 'tbli8NMRYkRfp0IFd'; // course_feedback
+const FORM = 'feedback';
+
+const WHERE_OPTIONS = ['Unit 01', 'Unit 02', 'Unit 03', 'Unit 04', 'Sign-in or site', 'General'];
+const TIME_OPTIONS = ['Under 3h', '3-5h', '5-7h', 'Over 7h'];
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+const LIMITS = [
+  { name: 'ip-burst', key: byIp, max: 5, windowMs: 10 * 60 * 1000 },
+  { name: 'ip-day', key: byIp, max: 20, windowMs: 24 * 60 * 60 * 1000 }
+];
+
+function respond(status, message) {
+  return json(status, { message }, HEADERS);
+}
+
+async function feedback(request) {
+  if (request.method === 'GET') return json(200, { token: issueFormToken(FORM) }, HEADERS);
+  if (request.method !== 'POST') return respond(405, 'Method not allowed');
+  if (!process.env.AIRTABLE_SKETCH_TOKEN) return respond(503, 'Feedback is not configured yet');
+
+  // Reject oversized bodies before parsing; a real submission is a few KB.
+  if ((request.body || '').length > 40000) return respond(413, 'Too much text');
+
+  let payload;
+  try {
+    payload = JSON.parse(request.body || '{}');
+  } catch (error) {
+    return respond(400, 'Bad request');
+  }
+
+  // Honeypot: real users never fill this. Return 200 so bots see success.
+  if (payload.website) return respond(200, 'Thanks');
+
+  // Submitted faster than anyone can type: a bot, so the same quiet 200
+  const check = checkFormToken(FORM, payload.token);
+  if (check === 'too-fast') return respond(200, 'Thanks');
+  if (check !== 'ok') return respond(400, 'This form has expired. Reload the page and send it again.');
+
+  const clean = (value, max) => String(value || '').slice(0, max).trim();
+  const text = clean(payload.feedback, 8000);
+  if (!text) return respond(400, 'Say what is off before submitting');
+
+  const fields = { feedback: text };
+  const where = clean(payload.where, 40);
+  if (WHERE_OPTIONS.includes(where)) fields.where = where;
+  const timeTaken = clean(payload.time_taken, 20);
+  if (TIME_OPTIONS.includes(timeTaken)) fields.time_taken = timeTaken;
+  const cutReading = clean(payload.cut_reading, 500);
+  if (cutReading) fields.cut_reading = cutReading;
+  const name = clean(payload.name, 120);
+  if (name) fields.name = name;
+
+  const response = await fetch(
+    AIRTABLE_API + '/v0/' + AIRTABLE_BASE + '/' + AIRTABLE_TABLE,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer ' + process.env.AIRTABLE_SKETCH_TOKEN,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ records: [{ fields }] })
+    }
+  );
+
+  if (!response.ok) return respond(502, 'Could not save your feedback. Try again in a minute.');
+  return respond(200, 'Thanks, noted.');
+}
+
+module.exports = rateLimit(feedback, { name: 'feedback', limits: LIMITS });
@@ -0,0 +1,72 @@
+// Luma webhook endpoint: Luma calls this when a calendar event is created,
+// updated or cancelled. A verified delivery refetches the events snapshot
+// (lib/events-cache.js) and purges the CDN copies of everything built from it
+// (lib/cdn.js), so an edit or cancellation shows up straight away instead of
+// after s-maxage (an hour for the series redirects).
+//
+// LUMA_WEBHOOK_SECRET is the signing secret from the webhook's settings in Luma.
+// Other webhook types (guest registrations and so on) are acknowledged and ignored.
+
+const { refreshEvents } = require('../events-cache');
+const { WebhookSignatureError, verifySignature } = require('../webhooks');
+const { purgeEventsCache } = require('../cdn');
+const { json, lumaErrorResponse } = require('../http');
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+function isEventChange(type) {
+  return typeof type === 'string' && type.startsWith('event.');
+}
+
+module.exports = async function lumaWebhook(request) {
+  if (request.method !== 'POST') {
+    return json(405, { error: 'Method not allowed' }, HEADERS);
+  }
+
+  const secret = process.env.LUMA_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('LUMA_WEBHOOK_SECRET environment variable not set');
+    return json(500, { error: 'Webhook not configured' }, HEADERS);
+  }
+
+  try {
+    verifySignature({ headers: request.headers, body: request.body, secret });
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      console.error('Rejected Luma webhook:', error.message);
+      return json(401, { error: 'Invalid signature' }, HEADERS);
+    }
+    throw error;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(request.body);
+  } catch (error) {
+    return json(400, { error: 'Invalid JSON' }, HEADERS);
+  }
+  // A signed "null" or "42" parses but is not a delivery
+  if (!payload || typeof payload !== 'object') {
+    return json(400, { error: 'Invalid JSON' }, HEADERS);
+  }
+
+  if (!isEventChange(payload.type)) {
+    console.log(`Ignoring Luma webhook: ${payload.type}`);
+    return json(200, { received: true, refreshed: false }, HEADERS);
+  }
+
+  try {
+    const snapshot = await refreshEvents();
+    const purged = await purgeEventsCache().catch(error => {
+      console.error('Could not purge cached event responses:', error.message);
+      return false;
+    });
+    console.log(`Luma webhook ${payload.type}: refreshed ${snapshot.events.length} events${purged ? ', purged CDN cache' : ''}`);
+    return json(200, { received: true, refreshed: true, purged }, HEADERS);
+  } catch (error) {
+    // A non-2xx answer makes Luma retry the delivery later
+    return lumaErrorResponse(error, (status, message) => json(status, { error: message }, HEADERS), 'Could not refresh events');
+  }
+};
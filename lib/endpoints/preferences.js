@@ -0,0 +1,145 @@
+// Preferences endpoint: behind the preference page (/newsletter/preferences),
+// where subscribers pick topics and frequency or unsubscribe. The page is
+// opened from a signed link (lib/signed-token.js, NEWSLETTER_SECRET) naming
+// the address, so there is no account or password.
+//
+//   GET ?token=<signed>   { email, interests, frequency, subscribed, topics, frequencies }
+//   POST { action: 'update', token, interests, frequency }
+//   POST { action: 'unsubscribe', token }
+//   POST { action: 'link', email, website, form_token }
+//                         emails a fresh link; answers the same whether or not
+//                         the address is subscribed, so it cannot be used to
+//                         find out who is
+//
+// Changes go to the mailing provider (lib/newsletter.js); set
+// NEWSLETTER_PROVIDER=local to run against the local stand-in.
+
+const { json } = require('../http');
+const { rateLimit, byIp } = require('../rate-limit');
+const { checkFormToken } = require('../form-token');
+const { MailConfigError, sendMail } = require('../mailer');
+const {
+  INTERESTS,
+  FREQUENCIES,
+  NewsletterError,
+  NewsletterConfigError,
+  normaliseEmail,
+  parseInterests,
+  parseFrequency,
+  preferencesLink,
+  preferencesEmail,
+  getPreferences,
+  updatePreferences
+} = require('../newsletter');
+
+// The link form shares the sign-up form's token (GET /subscribe)
+const FORM = 'subscribe';
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+function linkEmailKey(request) {
+  try {
+    const payload = JSON.parse(request.body || '{}');
+    return payload.action === 'link' ? normaliseEmail(payload.email) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const LIMITS = [
+  { name: 'ip-burst', key: byIp, max: 20, windowMs: 10 * 60 * 1000 },
+  { name: 'email', key: linkEmailKey, max: 3, windowMs: 24 * 60 * 60 * 1000 }
+];
+
+function respond(status, message, extra = {}) {
+  return json(status, { message, ...extra }, HEADERS);
+}
+
+function linkEmail(link) {
+  const text = [
+    'Here is your link to choose what you hear about from the Cambridge AI Safety Hub, how often, or to unsubscribe:',
+    link,
+    '',
+    'It works for 60 days. If you did not ask for it, ignore this email.'
+  ].join('\n');
+  const html = `<p><a href="${link}">Manage your CAISH email preferences</a>: choose topics, how often you hear from us, or unsubscribe.</p>
+<p>The link works for 60 days. If you did not ask for it, ignore this email.</p>`;
+  return { subject: 'Your CAISH email preferences', text, html };
+}
+
+function view(preferences) {
+  return {
+    ...preferences,
+    topics: INTERESTS,
+    frequencies: FREQUENCIES
+  };
+}
+
+async function sendLink(payload) {
+  if (payload.website) return respond(202, 'If that address is subscribed, a link is on its way.');
+  const check = checkFormToken(FORM, payload.form_token);
+  if (check === 'too-fast') return respond(202, 'If that address is subscribed, a link is on its way.');
+  if (check !== 'ok') return respond(400, 'This form has expired. Reload the page and try again.');
+
+  const email = normaliseEmail(payload.email);
+  if (!email) return respond(400, 'Please enter a valid email address.');
+  if (!process.env.NEWSLETTER_SECRET) throw new MailConfigError();
+
+  if (await getPreferences(email)) {
+    await sendMail({ to: email, ...linkEmail(preferencesLink(email)) });
+  }
+  return respond(202, 'If that address is subscribed, a link is on its way.');
+}
+
+async function preferences(request) {
+  if (!['GET', 'POST'].includes(request.method)) return respond(405, 'Method not allowed');
+
+  let payload = request.query || {};
+  if (request.method === 'POST') {
+    if ((request.body || '').length > 4000) return respond(413, 'Too much data');
+    try {
+      payload = JSON.parse(request.body || '{}');
+    } catch (error) {
+      return respond(400, 'Bad request');
+    }
+  }
+
+  try {
+    if (request.method === 'POST' && payload.action === 'link') return await sendLink(payload);
+
+    const email = preferencesEmail(payload.token);
+    if (!email) return respond(401, 'This link has expired. Ask for a new one below.', { expired: true });
+
+    const current = await getPreferences(email);
+    if (!current) return respond(404, 'We have no subscription for this address. Sign up below.', { email });
+    if (request.method === 'GET') return json(200, view(current), HEADERS);
+
+    if (payload.action === 'update') {
+      const interests = parseInterests(payload.interests);
+      const frequency = parseFrequency(payload.frequency);
+      // Choosing topics again after unsubscribing resubscribes
+      await updatePreferences(email, { interests, frequency, subscribed: true });
+      return json(200, { message: 'Saved. Thanks for keeping us current.', ...view({ email, interests, frequency, subscribed: true }) }, HEADERS);
+    }
+    if (payload.action === 'unsubscribe') {
+      await updatePreferences(email, { ...current, subscribed: false });
+      return json(200, { message: 'You are unsubscribed and will not get further mailings.', ...view({ ...current, subscribed: false }) }, HEADERS);
+    }
+    return respond(400, 'Unknown action. Use update, unsubscribe or link.');
+  } catch (error) {
+    if (error instanceof MailConfigError || error instanceof NewsletterConfigError) {
+      console.error('Newsletter preferences are not configured:', error.message);
+      return respond(503, 'Preferences are not available right now. Please email hello@caish.org.');
+    }
+    if (error instanceof NewsletterError) {
+      console.error('Mailing provider error:', error.status, error.body || error.message);
+    } else {
+      console.error('Newsletter preferences failed:', error.message);
+    }
+    return respond(502, 'Could not reach the mailing list just now. Please try again in a minute.');
+  }
+}
+
+module.exports = rateLimit(preferences, { name: 'preferences', limits: LIMITS });
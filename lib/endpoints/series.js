@@ -0,0 +1,61 @@
+// Series endpoint: redirect to the next event in a recurring series
+// (/social, /lunch, /talk, /hdwsa). The slug comes from the last path segment
+// (/.netlify/functions/series/lunch) or ?series=lunch; the matching rules and
+// fallbacks come from SERIES in lib/series.js.
+
+const { loadEvents } = require('../events-cache');
+const { findSeries } = require('../series');
+const { nextInSeries } = require('../classify');
+const { text, redirect, lumaErrorResponse } = require('../http');
+const { EVENTS_CACHE_HEADERS } = require('../cdn');
+
+const HEADERS = {
+  'Cache-Control': 's-maxage=3600, stale-while-revalidate=86400',
+  ...EVENTS_CACHE_HEADERS
+};
+
+function slugFrom(request) {
+  if (request.query.series) return request.query.series;
+  const segments = request.path.split('/').filter(Boolean);
+  return segments[segments.length - 1] || '';
+}
+
+async function series(request) {
+  if (request.method !== 'GET') {
+    return text(405, 'Method not allowed', HEADERS);
+  }
+
+  const config = findSeries(slugFrom(request));
+  if (!config) {
+    return text(404, 'Unknown event series.', HEADERS);
+  }
+
+  try {
+    const { events } = await loadEvents();
+    const eventData = nextInSeries(config, events);
+
+    if (!eventData) {
+      if (config.fallbackUrl) {
+        console.log(`No upcoming ${config.title} event, redirecting to ${config.fallbackUrl}`);
+        return redirect(config.fallbackUrl, HEADERS);
+      }
+      console.error(`No ${config.title} events found`);
+      return text(404, `No upcoming ${config.title} events found. Please check back later!`, HEADERS);
+    }
+
+    console.log(`Redirecting to ${config.title} event: ${eventData.name} at ${eventData.url}`);
+    return redirect(eventData.url, HEADERS);
+  } catch (error) {
+    return lumaErrorResponse(
+      error,
+      (status, message) => text(status, message, HEADERS),
+      `Unable to load ${config.title} events at this time. Please try again later.`
+    );
+  }
+}
+
+// The endpoint pinned to one series, for the per-series Vercel functions
+// (api/social.js and friends), which have no path segment to read it from
+series.only = slug => request => series({ ...request, query: { ...request.query, series: slug } });
+
+module.exports = series;
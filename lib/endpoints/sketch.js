@@ -0,0 +1,130 @@
+// Sketch endpoint: receive project sketch submissions from the AI Assurance
+// course and upsert them into the HAP Airtable base (one row per email).
+// The Airtable token lives in the AIRTABLE_SKETCH_TOKEN env var, server-side
+// only. Identity comes from the caller's Supabase session token, verified
+// against Supabase auth, so the email cannot be spoofed. The per-IP limit runs
+// first, so a flood never reaches Supabase; the per-user one counts by
+// account, whichever token it arrives with.
+//
+// Once Airtable has it, the submission is also stamped on the person's
+// project_sketches row (submitted_at, with the service role), which is where
+// the facilitator dashboard reads sketch status from.
+
+const { json } = require('../http');
+const { rateLimit, byIp, byUser } = require('../rate-limit');
+const { SupabaseConfigError, bearerToken, sessionUser, upsert } = require('../supabase');
+
+// Required by path so the function bundlers pick them up; add new courses here
+const COURSES = {
+  verification: require('../../course/verification/manifest.js')
+};
+const QUESTIONS = ['q1', 'q2', 'q3', 'q4', 'q5', 'q6'];
+
+const AIRTABLE_API = process.env.AIRTABLE_API_BASE || 'https://api.airtable.com';
+const AIRTABLE_BASE = 'app8d6sDud8MgJ4XD';
+const AIRTABLE_TABLE = 'tblqO7vd9h6LIfvJM'; // Project Sketches
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+const LIMITS = [
+  { name: 'ip', key: byIp, max: 30, windowMs: 10 * 60 * 1000 },
+  { name: 'user', key: byUser, max: 10, windowMs: 10 * 60 * 1000 }
+];
+
+function respond(status, message) {
+  return json(status, { message }, HEADERS);
+}
+
+// Airtable is the copy of record, so a failure here is logged, not shown
+async function recordSubmission(user, course, worksheet, submittedAt) {
+  try {
+    await upsert('project_sketches', {
+      user_id: user.id,
+      course_id: course,
+      worksheet,
+      updated_at: submittedAt,
+      submitted_at: submittedAt
+    }, 'user_id,course_id');
+  } catch (error) {
+    if (error instanceof SupabaseConfigError) {
+      console.error('Sketch submissions are not recorded for the dashboard:', error.message);
+    } else {
+      console.error('Supabase sketch write failed:', error.status, error.body || error.message);
+    }
+  }
+}
+
+async function sketch(request) {
+  if (request.method !== 'POST') return respond(405, 'Method not allowed');
+  if (!process.env.AIRTABLE_SKETCH_TOKEN) return respond(503, 'Submissions are not configured yet');
+
+  const token = bearerToken(request);
+  if (!token) return respond(401, 'Sign in required');
+
+  let user;
+  try {
+    user = await sessionUser(request);
+  } catch (error) {
+    return respond(502, 'Could not verify your session');
+  }
+  if (!user) return respond(401, 'Session expired. Sign in again.');
+
+  let payload;
+  try {
+    payload = JSON.parse(request.body || '{}');
+  } catch (error) {
+    return respond(400, 'Bad request');
+  }
+
+  // Browsers on an older course.js do not send the course
+  const course = String(payload.course || 'verification');
+  if (!Object.hasOwn(COURSES, course) || !COURSES[course].sketch) return respond(404, 'Unknown course');
+
+  const answers = payload.answers || {};
+  const clean = (key, max) => String(answers[key] || '').slice(0, max || 8000).trim();
+  const metadata = user.user_metadata || {};
+  const name = String(
+    payload.name ||
+    metadata.full_name ||
+    metadata.name ||
+    user.email
+  ).slice(0, 120).trim();
+  const project = clean('q1');
+  if (!project) return respond(400, 'The first question is required');
+
+  const fields = {
+    name,
+    email: user.email.toLowerCase(),
+    project,
+    problem: clean('q2'),
+    path_to_impact: clean('q3'),
+    evidence_first_test: clean('q4'),
+    getting_seen: clean('q5'),
+    scope_stopping: clean('q6'),
+    submitted_at: new Date().toISOString()
+  };
+  const worksheet = Object.fromEntries(QUESTIONS.map(key => [key, clean(key)]));
+
+  const response = await fetch(`${AIRTABLE_API}/v0/${AIRTABLE_BASE}/${AIRTABLE_TABLE}`, {
+    method: 'PATCH',
+    headers: {
+      Authorization: 'Bearer ' + process.env.AIRTABLE_SKETCH_TOKEN,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      performUpsert: { fieldsToMergeOn: ['email'] },
+      records: [{ fields }]
+    })
+  });
+
+  if (!response.ok) {
+    console.error('Airtable upsert failed:', response.status, await response.text());
+    return respond(502, 'Could not save your sketch. Please try again.');
+  }
+  await recordSubmission(user, course, worksheet, fields.submitted_at);
+  return respond(200, 'Saved');
+}
+
+module.exports = rateLimit(sketch, { name: 'sketch', limits: LIMITS });
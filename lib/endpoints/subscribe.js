@@ -0,0 +1,153 @@
+// Subscribe endpoint: newsletter sign-ups from the form on the homepage and
+// programme pages (newsletter.js), forwarded to HubSpot server-side
+// (lib/newsletter.js).
+//
+//   GET                  the time-to-submit form token (lib/form-token.js)
+//   POST                 { email, interests, website, token, page }
+//   GET ?token=<signed>  the confirmation link from the email; redirects to
+//                        /newsletter/confirmed?status=ok|expired|error, with
+//                        a preference page link on success
+//
+// With double opt-in a POST only emails a signed confirmation link
+// (NEWSLETTER_SECRET, sent with MAIL_API_KEY through lib/mailer.js), and
+// nothing reaches HubSpot until the link is opened. It is on once both are
+// set, unless NEWSLETTER_DOUBLE_OPT_IN=false; until then sign-ups go straight
+// to HubSpot. NEWSLETTER_DOUBLE_OPT_IN=true insists on it, and sign-up answers
+// 503 while either is missing. The honeypot, form token
+// and rate limits match the feedback endpoint, plus a per-address limit so
+// the form cannot be used to flood someone's inbox.
+
+const { json, redirect } = require('../http');
+const { rateLimit, byIp } = require('../rate-limit');
+const { issueFormToken, checkFormToken } = require('../form-token');
+const { signToken, verifyToken } = require('../signed-token');
+const { MailConfigError, sendMail } = require('../mailer');
+const { SITE_URL } = require('../site');
+const {
+  NewsletterError,
+  NewsletterConfigError,
+  normaliseEmail,
+  parseInterests,
+  preferencesToken,
+  subscribe: addSubscriber
+} = require('../newsletter');
+
+const FORM = 'subscribe';
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+const CONFIRM_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CONFIRMED_PAGE = '/newsletter/confirmed';
+
+const HEADERS = {
+  'Cache-Control': 'no-store'
+};
+
+function emailKey(request) {
+  try {
+    return normaliseEmail(JSON.parse(request.body || '{}').email);
+  } catch (error) {
+    return null;
+  }
+}
+
+const LIMITS = [
+  { name: 'ip-burst', key: byIp, max: 5, windowMs: 10 * 60 * 1000 },
+  { name: 'ip-day', key: byIp, max: 20, windowMs: 24 * 60 * 60 * 1000 },
+  { name: 'email', key: emailKey, max: 3, windowMs: 24 * 60 * 60 * 1000 }
+];
+
+function respond(status, message, extra = {}) {
+  return json(status, { message, ...extra }, HEADERS);
+}
+
+function doubleOptIn() {
+  const setting = process.env.NEWSLETTER_DOUBLE_OPT_IN;
+  if (setting === 'true' || setting === 'false') return setting === 'true';
+  return Boolean(process.env.NEWSLETTER_SECRET && process.env.MAIL_API_KEY);
+}
+
+// Only our own pages are passed on to HubSpot as the sign-up page
+function pageUri(value) {
+  return typeof value === 'string' && value.startsWith(SITE_URL + '/') ? value.slice(0, 500) : `${SITE_URL}/`;
+}
+
+function confirmationEmail(link) {
+  const text = [
+    'Thanks for signing up to hear from the Cambridge AI Safety Hub.',
+    '',
+    'Confirm your subscription by opening this link (it works for 7 days):',
+    link,
+    '',
+    'If this was not you, ignore this email and you will not hear from us.'
+  ].join('\n');
+  const html = `<p>Thanks for signing up to hear from the Cambridge AI Safety Hub.</p>
+<p><a href="${link}">Confirm your subscription</a> (the link works for 7 days).</p>
+<p>If this was not you, ignore this email and you will not hear from us.</p>`;
+  return { subject: 'Confirm your CAISH subscription', text, html };
+}
+
+async function confirm(token) {
+  const data = verifyToken(CONFIRM_PURPOSE, token, process.env.NEWSLETTER_SECRET, CONFIRM_MAX_AGE_MS);
+  if (!data || !normaliseEmail(data.email)) return redirect(`${CONFIRMED_PAGE}?status=expired`, HEADERS);
+
+  try {
+    await addSubscriber({ email: data.email, interests: parseInterests(data.interests), pageUri: data.page });
+  } catch (error) {
+    console.error('Newsletter confirmation failed:', error.message, error.body || '');
+    return redirect(`${CONFIRMED_PAGE}?status=error`, HEADERS);
+  }
+  return redirect(`${CONFIRMED_PAGE}?status=ok&token=${encodeURIComponent(preferencesToken(data.email))}`, HEADERS);
+}
+
+async function subscribe(request) {
+  if (request.method === 'GET') {
+    if (request.query.token) return confirm(request.query.token);
+    return json(200, { token: issueFormToken(FORM) }, HEADERS);
+  }
+  if (request.method !== 'POST') return respond(405, 'Method not allowed');
+
+  if ((request.body || '').length > 4000) return respond(413, 'Too much data');
+
+  let payload;
+  try {
+    payload = JSON.parse(request.body || '{}');
+  } catch (error) {
+    return respond(400, 'Bad request');
+  }
+
+  // Honeypot and too-fast submissions: tell the bot it worked
+  if (payload.website) return respond(200, "You're subscribed! We'll be in touch.");
+  const check = checkFormToken(FORM, payload.token);
+  if (check === 'too-fast') return respond(200, "You're subscribed! We'll be in touch.");
+  if (check !== 'ok') return respond(400, 'This form has expired. Reload the page and try again.');
+
+  const email = normaliseEmail(payload.email);
+  if (!email) return respond(400, 'Please enter a valid email address.');
+  const interests = parseInterests(payload.interests);
+  const page = pageUri(payload.page);
+
+  try {
+    if (!doubleOptIn()) {
+      await addSubscriber({ email, interests, pageUri: page, ip: byIp(request) });
+      return respond(200, "You're subscribed! We'll be in touch.");
+    }
+
+    if (!process.env.NEWSLETTER_SECRET) throw new NewsletterConfigError('NEWSLETTER_SECRET is not set');
+    const token = signToken(CONFIRM_PURPOSE, { email, interests, page }, process.env.NEWSLETTER_SECRET);
+    const link = `${SITE_URL}/newsletter/confirm?token=${encodeURIComponent(token)}`;
+    await sendMail({ to: email, ...confirmationEmail(link) });
+    return respond(202, 'Almost done: check your inbox for a link to confirm your subscription.', { pending: true });
+  } catch (error) {
+    if (error instanceof MailConfigError || error instanceof NewsletterConfigError) {
+      console.error('Newsletter sign-up is not configured:', error.message);
+      return respond(503, 'Sign-up is not available right now. Please email hello@caish.org.');
+    }
+    if (error instanceof NewsletterError) {
+      console.error('HubSpot rejected a sign-up:', error.status, error.body);
+    } else {
+      console.error('Newsletter sign-up failed:', error.message);
+    }
+    return respond(502, 'Could not sign you up just now. Please try again in a minute.');
+  }
+}
+
+module.exports = rateLimit(subscribe, { name: 'subscribe', limits: LIMITS });
@@ -0,0 +1,282 @@
+// Server-rendered event detail page (/events/<slug>): the full description,
+// time, location, a map link and the RSVP button, plus schema.org Event
+// JSON-LD for search results and Open Graph tags for link previews.
+//
+// The nav, footer and asset versions come from events.html by way of
+// lib/site-shell.json, which build-shell.js writes (cache-bust.sh runs it).
+
+const { startTime } = require('./luma');
+const { SITE_URL, SITE_NAME, escapeHtml } = require('./site');
+const shell = require('./site-shell.json');
+
+const DEFAULT_IMAGE = `${SITE_URL}/images/og-image.png`;
+const DEFAULT_TIMEZONE = 'Europe/London';
+const SUMMARY_LENGTH = 200;
+
+// Only http(s) links make it into the page
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// JSON inside a <script> element must not be able to close it
+function scriptJson(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+function summarize(description) {
+  const flat = (description || '').replace(/\s+/g, ' ').trim();
+  return flat.length > SUMMARY_LENGTH ? flat.slice(0, SUMMARY_LENGTH - 3).trimEnd() + '...' : flat;
+}
+
+function formatDate(iso, timeZone) {
+  return new Date(iso).toLocaleDateString('en-GB', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone
+  });
+}
+
+function formatTime(iso, timeZone) {
+  return new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+// GMT or BST, whichever applies on that date
+function formatZone(iso, timeZone) {
+  const zone = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(iso))
+    .find(part => part.type === 'timeZoneName');
+  return zone ? zone.value : '';
+}
+
+function locationOf(event) {
+  const geo = event.geo_address_info || {};
+  const address = geo.full_address || [geo.address, geo.city].filter(Boolean).join(', ');
+  return {
+    name: geo.address || geo.city || 'Cambridge',
+    address: address || null,
+    city: geo.city || 'Cambridge'
+  };
+}
+
+function mapUrl(location) {
+  if (!location.address) return null;
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location.address)}`;
+}
+
+// Plain-text Luma descriptions: blank lines split paragraphs, single newlines break lines
+function renderDescription(description) {
+  return (description || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n        ');
+}
+
+function pageUrl(event) {
+  return `${SITE_URL}/events/${event.slug}`;
+}
+
+function structuredData(event) {
+  const location = locationOf(event);
+  const image = safeUrl(event.cover_url);
+  const rsvpUrl = safeUrl(event.url);
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.name,
+    description: summarize(event.description) || undefined,
+    startDate: event.start_at,
+    endDate: event.end_at || undefined,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: {
+      '@type': 'Place',
+      name: location.name,
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: location.address || undefined,
+        addressLocality: location.city,
+        addressCountry: 'GB'
+      }
+    },
+    image: [image || DEFAULT_IMAGE],
+    url: pageUrl(event),
+    organizer: {
+      '@type': 'Organization',
+      name: SITE_NAME,
+      url: SITE_URL
+    }
+  };
+  if (rsvpUrl) {
+    data.offers = { '@type': 'Offer', url: rsvpUrl, availability: 'https://schema.org/InStock' };
+  }
+  return data;
+}
+
+function renderShell({ title, description, url, image, head = '', main }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="description" content="${escapeHtml(description)}">
+  <title>${escapeHtml(title)} | ${SITE_NAME}</title>
+  <link rel="canonical" href="${escapeHtml(url)}">
+
+  <!-- Open Graph -->
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="${SITE_NAME}">
+  <meta property="og:url" content="${escapeHtml(url)}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${escapeHtml(image)}">
+
+  <!-- Twitter Card -->
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:url" content="${escapeHtml(url)}">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(image)}">
+
+  <!-- Favicon -->
+  <link rel="icon" type="image/png" href="/images/favicon.png">
+  <link rel="apple-touch-icon" href="/images/favicon.png">
+
+  <!-- DNS Prefetch & Preconnect -->
+  <link rel="dns-prefetch" href="https://fonts.googleapis.com">
+  <link rel="dns-prefetch" href="https://fonts.gstatic.com">
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+
+  <!-- Fonts -->
+  <link href="https://fonts.googleapis.com/css2?family=Libre+Baskerville:ital,wght@0,400;0,700;1,400&family=Space+Mono:wght@400&display=swap" rel="stylesheet">
+
+  <!-- Styles -->
+  <link rel="stylesheet" href="${shell.styles}">
+
+  <!-- Enhancements -->
+  <script src="${shell.enhancements}" defer fetchpriority="low"></script>
+${head}</head>
+<body>
+${shell.header}
+
+  <div class="ambient-glow" aria-hidden="true"></div>
+  <main id="main-content">
+${main}
+  </main>
+
+${shell.footer}
+
+  <script>
+${shell.navScript}
+    MobileNav.init();
+
+    // The start time in the visitor's zone, when it reads differently from Cambridge time
+    const localTime = document.querySelector('.event-local-time[data-start]');
+    if (localTime) {
+      const start = new Date(localTime.dataset.start);
+      const opts = { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' };
+      const local = start.toLocaleString('en-GB', opts);
+      if (local !== start.toLocaleString('en-GB', { ...opts, timeZone: '${DEFAULT_TIMEZONE}' })) {
+        localTime.textContent = local + ' your time';
+        localTime.hidden = false;
+      }
+    }
+  </script>
+</body>
+</html>
+`;
+}
+
+function renderEventPage(event, now = new Date()) {
+  // Cambridge time, like the event cards, whatever zone the event was created in
+  const timeZone = DEFAULT_TIMEZONE;
+  const location = locationOf(event);
+  const map = mapUrl(location);
+  const rsvpUrl = safeUrl(event.url);
+  const cover = safeUrl(event.cover_url);
+  const isPast = startTime(event) < now;
+  const title = event.name || 'CAISH Event';
+  const timeRange = formatTime(event.start_at, timeZone) + (event.end_at ? ' - ' + formatTime(event.end_at, timeZone) : '');
+
+  const main = `  <article class="event-detail">
+    <a class="event-detail-back" href="/events">&larr; All events</a>
+    <header class="event-detail-header">
+      <span class="label">${isPast ? 'Past event' : 'Upcoming event'}</span>
+      <h1>${escapeHtml(title)}</h1>
+    </header>
+    ${cover ? `<div class="event-detail-cover"><img src="${escapeHtml(cover)}" alt="${escapeHtml(title)}" decoding="async"></div>` : ''}
+    <dl class="event-detail-facts">
+      <div>
+        <dt>Date</dt>
+        <dd><time datetime="${escapeHtml(event.start_at)}">${escapeHtml(formatDate(event.start_at, timeZone))}</time></dd>
+      </div>
+      <div>
+        <dt>Time</dt>
+        <dd>${escapeHtml(timeRange)} <abbr class="event-zone" title="Cambridge time (${timeZone})">${escapeHtml(formatZone(event.start_at, timeZone))}</abbr>${isPast ? '' : `
+          <span class="event-local-time" data-start="${escapeHtml(event.start_at)}" hidden></span>`}</dd>
+      </div>
+      <div>
+        <dt>Location</dt>
+        <dd>${escapeHtml(location.address || location.name)}${map ? ` <a href="${escapeHtml(map)}" target="_blank" rel="noopener">Map</a>` : ''}</dd>
+      </div>
+    </dl>
+    <div class="event-detail-actions">
+      ${rsvpUrl ? `<a class="btn-primary" href="${escapeHtml(rsvpUrl)}" target="_blank" rel="noopener">${isPast ? 'View on Luma' : 'RSVP on Luma'}</a>` : ''}
+      <a class="btn-primary btn-secondary" href="/events">More events</a>
+    </div>
+    ${isPast ? '' : '<p class="events-rsvp">Please RSVP via Luma so we can plan for how many people are coming.</p>'}
+    <div class="event-detail-description">
+        ${renderDescription(event.description)}
+    </div>
+  </article>`;
+
+  return renderShell({
+    title,
+    description: summarize(event.description) || `${title} at ${SITE_NAME}.`,
+    url: pageUrl(event),
+    image: cover || DEFAULT_IMAGE,
+    head: `
+  <!-- Structured data -->
+  <script type="application/ld+json">
+${scriptJson(structuredData(event))}
+  </script>
+`,
+    main
+  });
+}
+
+function renderNotFoundPage() {
+  return renderShell({
+    title: 'Event not found',
+    description: 'This event could not be found.',
+    url: `${SITE_URL}/events`,
+    image: DEFAULT_IMAGE,
+    main: `  <article class="event-detail">
+    <a class="event-detail-back" href="/events">&larr; All events</a>
+    <header class="event-detail-header">
+      <h1>Event not found</h1>
+    </header>
+    <p>This event may have been renamed or removed. See the <a href="/events">upcoming events</a> or browse the <a href="/events/archive">archive</a>.</p>
+  </article>`
+  });
+}
+
+module.exports = {
+  safeUrl,
+  summarize,
+  formatDate,
+  formatTime,
+  formatZone,
+  locationOf,
+  pageUrl,
+  renderDescription,
+  renderEventPage,
+  renderNotFoundPage,
+  structuredData
+};
@@ -0,0 +1,149 @@
+// Query parameters for the event listings, shared by the events and calendar
+// endpoints:
+//
+//   ?from=2025-10-01    events starting on or after this date/time
+//   ?to=2025-12-05      events starting before the end of this date (or time)
+//   ?series=social      one recurring series (slugs from lib/series.js)
+//   ?audience=students  one audience (slugs from lib/classify.js)
+//   ?q=interpretability words to find in the name or description
+//   ?past=true          the archive: events that have started, newest first
+//   ?sort=asc|desc      by start time
+//   ?limit=20&offset=40 paging (limit is capped at MAX_LIMIT)
+//
+// Without from/past, listings start one week ago like they always have.
+// Which events are listed at all is up to lib/classify.js.
+
+const { startTime } = require('./luma');
+const { SERIES, findSeries } = require('./series');
+const { AUDIENCES, findAudience, classifyEvent, labelEvent } = require('./classify');
+
+const MAX_LIMIT = 100;
+const ARCHIVE_PAGE_SIZE = 20;
+const RECENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A query parameter that cannot be used; endpoints answer 400 with its message
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+function parseDate(value, name, endOfDay) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`"${name}" must be a date like 2025-10-01 or an ISO 8601 time`);
+  }
+  // A bare date in "to" includes that whole day
+  return endOfDay && DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+function parseCount(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number.parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new QueryError(`"${name}" must be a whole number`);
+  }
+  return number;
+}
+
+function parseEventQuery(query = {}, now = new Date()) {
+  const past = query.past === 'true';
+
+  let series = null;
+  if (query.series) {
+    series = findSeries(query.series);
+    if (!series) {
+      const known = SERIES.map(config => config.slug).join(', ');
+      throw new QueryError(`Unknown series "${query.series}". Try one of: ${known}.`);
+    }
+  }
+
+  let audience = null;
+  if (query.audience) {
+    audience = findAudience(query.audience);
+    if (!audience) {
+      const known = AUDIENCES.map(config => config.slug).join(', ');
+      throw new QueryError(`Unknown audience "${query.audience}". Try one of: ${known}.`);
+    }
+  }
+
+  const sort = query.sort || (past ? 'desc' : 'asc');
+  if (sort !== 'asc' && sort !== 'desc') {
+    throw new QueryError('"sort" must be asc or desc');
+  }
+
+  let from = query.from ? parseDate(query.from, 'from', false) : null;
+  let to = query.to ? parseDate(query.to, 'to', true) : null;
+  if (past) {
+    if (!to || to > now) to = now;
+  } else if (!from) {
+    from = new Date(now.getTime() - RECENT_WINDOW_MS);
+  }
+  if (from && to && from > to) {
+    throw new QueryError('"from" must be before "to"');
+  }
+
+  const limit = parseCount(query.limit, 'limit', past ? ARCHIVE_PAGE_SIZE : MAX_LIMIT);
+
+  return {
+    from,
+    to,
+    series,
+    audience,
+    terms: (query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+    past,
+    sort,
+    limit: Math.min(limit || MAX_LIMIT, MAX_LIMIT),
+    offset: parseCount(query.offset, 'offset', 0)
+  };
+}
+
+// Every event matching the query, in the requested order (no paging)
+function filterEvents(events, params) {
+  const result = events.filter(event => {
+    const classification = classifyEvent(event);
+    if (!classification.included) return false;
+    if (params.series && classification.series !== params.series.slug) return false;
+    if (params.audience && classification.audience !== params.audience.slug) return false;
+
+    const start = startTime(event);
+    if (params.from && start < params.from) return false;
+    if (params.to && start >= params.to) return false;
+
+    if (params.terms.length) {
+      const haystack = (event.name + ' ' + event.description).toLowerCase();
+      if (!params.terms.every(term => haystack.includes(term))) return false;
+    }
+    return true;
+  });
+
+  result.sort((a, b) => startTime(a) - startTime(b));
+  if (params.sort === 'desc') result.reverse();
+  return result;
+}
+
+// One page of filterEvents, labelled with series and audience, with the
+// paging fields the endpoint returns
+function queryEvents(events, params) {
+  const matching = filterEvents(events, params);
+  const page = matching.slice(params.offset, params.offset + params.limit).map(labelEvent);
+  const nextOffset = params.offset + page.length;
+  return {
+    events: page,
+    total: matching.length,
+    offset: params.offset,
+    has_more: nextOffset < matching.length,
+    next_offset: nextOffset < matching.length ? nextOffset : null
+  };
+}
+
+module.exports = {
+  QueryError,
+  MAX_LIMIT,
+  parseEventQuery,
+  filterEvents,
+  queryEvents
+};
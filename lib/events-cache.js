@@ -0,0 +1,112 @@
+// Last-good snapshot of the Luma event list, shared by every event endpoint.
+// A fresh snapshot is served without touching Luma. An old one triggers a
+// refetch, and if Luma errors or times out the old snapshot is served instead,
+// flagged stale, rather than failing the request. The refresh-events scheduled
+// function keeps the snapshot fresh in the background.
+//
+// The snapshot also remembers when each event was first seen and when its
+// details last changed (seen, keyed by api_id), which the feeds use for
+// published and updated times; Luma's list does not say.
+
+const crypto = require('crypto');
+const { fetchEvents, LumaConfigError } = require('./luma');
+const { getStore } = require('./store');
+
+const STORE_NAME = 'luma';
+const SNAPSHOT_KEY = 'events';
+const FRESH_FOR_MS = 5 * 60 * 1000;
+
+async function readSnapshot(store) {
+  try {
+    return await store.get(SNAPSHOT_KEY);
+  } catch (error) {
+    console.error('Could not read the events snapshot:', error.message);
+    return null;
+  }
+}
+
+// The stored snapshot as is, or null; for the admin diagnostics
+async function loadSnapshot() {
+  return readSnapshot(getStore(STORE_NAME));
+}
+
+// The fields a reader would notice changing
+function fingerprint(event) {
+  const { name, description, start_at, end_at, url, cover_url, geo_address_info, tags } = event;
+  const content = JSON.stringify([name, description, start_at, end_at, url, cover_url, geo_address_info, tags]);
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// { api_id: { first_seen, updated_at, fingerprint } } for the fetched events.
+// With no ledger yet (the first refresh), past events count as seen when they
+// happened, so the feeds do not announce the whole archive as new.
+function trackChanges(previous, events, now) {
+  const seen = {};
+  const baseline = !previous;
+  events.forEach(event => {
+    const hash = fingerprint(event);
+    const known = previous && previous[event.api_id];
+    if (!known) {
+      const start = event.start_at && new Date(event.start_at).toISOString();
+      const firstSeen = baseline && start && start < now ? start : now;
+      seen[event.api_id] = { first_seen: firstSeen, updated_at: firstSeen, fingerprint: hash };
+    } else if (known.fingerprint !== hash) {
+      seen[event.api_id] = { ...known, updated_at: now, fingerprint: hash };
+    } else {
+      seen[event.api_id] = known;
+    }
+  });
+  return seen;
+}
+
+// Fetch from Luma and persist the result. Throws whatever fetchEvents throws.
+// A partial result is saved too, with the failed calls in warnings; calls
+// keeps the per-request latencies for the admin diagnostics.
+async function refreshEvents(store = getStore(STORE_NAME), previous) {
+  if (previous === undefined) previous = await readSnapshot(store);
+  const { events, warnings, calls } = await fetchEvents();
+  const fetchedAt = new Date().toISOString();
+  const earlier = previous && previous.seen;
+  const seen = trackChanges(earlier, events, fetchedAt);
+  // A partial fetch may have missed some events; they keep their entries
+  if (earlier && warnings.length) {
+    Object.keys(earlier).forEach(id => {
+      if (!seen[id]) seen[id] = earlier[id];
+    });
+  }
+  const snapshot = { events, warnings, calls, fetched_at: fetchedAt, seen };
+  try {
+    await store.setJSON(SNAPSHOT_KEY, snapshot);
+  } catch (error) {
+    console.error('Could not save the events snapshot:', error.message);
+  }
+  return snapshot;
+}
+
+// Resolves to { events, warnings, fetchedAt, stale, seen }. Only throws when Luma
+// fails and there is no snapshot to fall back on, or when the API key is missing.
+async function loadEvents() {
+  const store = getStore(STORE_NAME);
+  const snapshot = await readSnapshot(store);
+
+  if (snapshot && Date.now() - new Date(snapshot.fetched_at) < FRESH_FOR_MS) {
+    return { events: snapshot.events, warnings: snapshot.warnings || [], fetchedAt: snapshot.fetched_at, stale: false, seen: snapshot.seen || {} };
+  }
+
+  try {
+    const fresh = await refreshEvents(store, snapshot);
+    return { events: fresh.events, warnings: fresh.warnings, fetchedAt: fresh.fetched_at, stale: false, seen: fresh.seen };
+  } catch (error) {
+    if (!snapshot || error instanceof LumaConfigError) throw error;
+    console.error(`Luma unavailable (${error.message}); serving snapshot from ${snapshot.fetched_at}`);
+    return { events: snapshot.events, warnings: snapshot.warnings || [], fetchedAt: snapshot.fetched_at, stale: true, seen: snapshot.seen || {} };
+  }
+}
+
+module.exports = {
+  FRESH_FOR_MS,
+  loadEvents,
+  loadSnapshot,
+  refreshEvents,
+  trackChanges
+};
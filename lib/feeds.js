@@ -0,0 +1,130 @@
+// Atom and JSON Feed 1.1 renderings of the events, for feed readers and the
+// Slack RSS integration. Entries are upcoming events plus any added in the
+// last RECENTLY_ADDED_MS, most recently changed first.
+//
+// Entry ids are tag URIs built from the Luma api_id, so renaming an event
+// (which changes its slug and page URL) does not make it a new item. Published
+// and updated times come from the seen ledger kept with the events snapshot
+// (lib/events-cache.js): updated only moves when the event's details change.
+
+const { startTime } = require('./luma');
+const { SITE_URL, SITE_NAME, escapeHtml } = require('./site');
+const {
+  safeUrl,
+  summarize,
+  formatDate,
+  formatTime,
+  formatZone,
+  locationOf,
+  pageUrl,
+  renderDescription
+} = require('./event-page');
+
+const RECENTLY_ADDED_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 50;
+const TIME_ZONE = 'Europe/London';
+
+function entryId(event) {
+  return `tag:caish.org,2025:event/${event.api_id}`;
+}
+
+// Upcoming or recently added events, each with its seen-ledger times
+function feedEntries(events, seen, fetchedAt, now = new Date()) {
+  return events
+    .filter(event => event.api_id)
+    .map(event => {
+      const record = seen[event.api_id] || {};
+      return {
+        event,
+        published: record.first_seen || fetchedAt,
+        updated: record.updated_at || record.first_seen || fetchedAt
+      };
+    })
+    .filter(({ event, published }) => startTime(event) >= now || now - new Date(published) <= RECENTLY_ADDED_MS)
+    .sort((a, b) => new Date(b.updated) - new Date(a.updated))
+    .slice(0, MAX_ENTRIES);
+}
+
+function when(event) {
+  const end = event.end_at ? ' - ' + formatTime(event.end_at, TIME_ZONE) : '';
+  return `${formatDate(event.start_at, TIME_ZONE)}, ${formatTime(event.start_at, TIME_ZONE)}${end} ${formatZone(event.start_at, TIME_ZONE)}`;
+}
+
+function contentHtml(event) {
+  const location = locationOf(event);
+  const rsvpUrl = safeUrl(event.url);
+  return [
+    `<p><strong>${escapeHtml(when(event))}</strong><br>${escapeHtml(location.address || location.name)}</p>`,
+    renderDescription(event.description),
+    rsvpUrl ? `<p><a href="${escapeHtml(rsvpUrl)}">RSVP on Luma</a></p>` : ''
+  ].filter(Boolean).join('\n');
+}
+
+function latest(entries, fallback) {
+  return entries.reduce((max, entry) => (entry.updated > max ? entry.updated : max), fallback);
+}
+
+function renderAtom({ title, selfUrl, entries, fetchedAt }) {
+  const items = entries.map(({ event, published, updated }) => {
+    const categories = [event.series, event.audience].filter(Boolean)
+      .map(term => `\n    <category term="${escapeHtml(term)}"/>`).join('');
+    const cover = safeUrl(event.cover_url);
+    return `  <entry>
+    <id>${entryId(event)}</id>
+    <title>${escapeHtml(event.name)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(pageUrl(event))}"/>${cover ? `
+    <link rel="enclosure" href="${escapeHtml(cover)}"/>` : ''}
+    <published>${published}</published>
+    <updated>${updated}</updated>
+    <summary>${escapeHtml(`${when(event)}. ${summarize(event.description)}`.trim())}</summary>
+    <content type="html">${escapeHtml(contentHtml(event))}</content>${categories}
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(selfUrl)}</id>
+  <title>${escapeHtml(title)}</title>
+  <subtitle>Upcoming and newly announced events from the ${SITE_NAME}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/events"/>
+  <updated>${latest(entries, fetchedAt)}</updated>
+  <author><name>${SITE_NAME}</name><uri>${SITE_URL}</uri></author>
+  <icon>${SITE_URL}/images/favicon.png</icon>
+${items.join('\n')}
+</feed>
+`;
+}
+
+function renderJsonFeed({ title, selfUrl, entries }) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: `${SITE_URL}/events`,
+    feed_url: selfUrl,
+    description: `Upcoming and newly announced events from the ${SITE_NAME}`,
+    icon: `${SITE_URL}/images/favicon.png`,
+    authors: [{ name: SITE_NAME, url: SITE_URL }],
+    language: 'en-GB',
+    items: entries.map(({ event, published, updated }) => ({
+      id: entryId(event),
+      url: pageUrl(event),
+      external_url: safeUrl(event.url) || undefined,
+      title: event.name,
+      content_html: contentHtml(event),
+      summary: `${when(event)}. ${summarize(event.description)}`.trim(),
+      image: safeUrl(event.cover_url) || undefined,
+      date_published: published,
+      date_modified: updated,
+      tags: [event.series, event.audience].filter(Boolean),
+      _caish: { start_at: event.start_at, end_at: event.end_at || null }
+    }))
+  }, null, 2);
+}
+
+module.exports = {
+  RECENTLY_ADDED_MS,
+  feedEntries,
+  renderAtom,
+  renderJsonFeed
+};
@@ -0,0 +1,49 @@
+// Time-to-submit check for anonymous forms. The page asks for a token when it
+// loads (issueFormToken: the issue time, HMAC-signed with FORM_TOKEN_SECRET)
+// and sends it back with the submission. A submission sooner than
+// MIN_FILL_MS after the token was issued is a script, not a person typing.
+//
+// Optional: with FORM_TOKEN_SECRET unset, no token is issued and every
+// submission passes, as before.
+
+const crypto = require('crypto');
+
+const MIN_FILL_MS = 3000;
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function secret() {
+  return process.env.FORM_TOKEN_SECRET || '';
+}
+
+function signature(form, issuedAt) {
+  return crypto.createHmac('sha256', secret()).update(`${form}.${issuedAt}`).digest('base64url');
+}
+
+// null when the check is off
+function issueFormToken(form, now = Date.now()) {
+  if (!secret()) return null;
+  return `${now}.${signature(form, now)}`;
+}
+
+// 'ok', or why the token fails: 'missing', 'invalid', 'too-fast', 'expired'
+function checkFormToken(form, token, now = Date.now()) {
+  if (!secret()) return 'ok';
+  if (!token || typeof token !== 'string') return 'missing';
+
+  const [issued, mac] = token.split('.');
+  const issuedAt = Number(issued);
+  if (!Number.isSafeInteger(issuedAt) || !mac) return 'invalid';
+  const expected = Buffer.from(signature(form, issuedAt));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid';
+
+  if (now - issuedAt < MIN_FILL_MS) return 'too-fast';
+  if (now - issuedAt > MAX_AGE_MS) return 'expired';
+  return 'ok';
+}
+
+module.exports = {
+  MIN_FILL_MS,
+  issueFormToken,
+  checkFormToken
+};
@@ -0,0 +1,137 @@
+// Platform adapter for the serverless endpoints. Each endpoint in
+// lib/endpoints is a plain async function from a request
+// ({ method, path, query, headers, body }) to a response
+// ({ status, headers, body }); netlify() and vercel() wrap it in the
+// signature each runtime expects, so both deployments run the same code.
+
+const store = require('./store');
+const { LumaError, LumaConfigError, LumaResponseError } = require('./luma');
+
+const LUMA_UNAVAILABLE = 'Unable to load events at this time. Please try again later.';
+
+function json(status, data, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(data)
+  };
+}
+
+function text(status, message, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', ...headers },
+    body: message
+  };
+}
+
+function html(status, markup, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers },
+    body: markup
+  };
+}
+
+function redirect(location, headers = {}) {
+  return {
+    status: 302,
+    headers: { ...headers, 'Location': location },
+    body: ''
+  };
+}
+
+// The answer to a failed Luma read, logged once: 500 for a missing API key
+// (retrying will not help), 503 when Luma itself failed (it may come back),
+// 500 for anything else. render(status, message) builds the endpoint's kind
+// of response, e.g. (status, message) => json(status, { error: message }).
+function lumaErrorResponse(error, render, message = LUMA_UNAVAILABLE) {
+  if (error instanceof LumaConfigError) {
+    console.error(error.message);
+    return render(500, 'API configuration error');
+  }
+  if (error instanceof LumaResponseError) {
+    console.error('Luma API error:', error.status, error.body);
+  } else if (error instanceof LumaError) {
+    console.error(error.message);
+  } else {
+    console.error('Error loading events:', error);
+  }
+  return render(error instanceof LumaError ? 503 : 500, message);
+}
+
+function lowerCaseKeys(object) {
+  const result = {};
+  Object.entries(object || {}).forEach(([key, value]) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
+
+// Netlify: exports.handler = netlify(endpoint)
+function netlify(endpoint) {
+  return async (event) => {
+    store.connect(event);
+    const body = event.isBase64Encoded && event.body
+      ? Buffer.from(event.body, 'base64').toString('utf8')
+      : event.body || '';
+
+    const response = await endpoint({
+      method: event.httpMethod,
+      path: event.path || '/',
+      query: event.queryStringParameters || {},
+      headers: lowerCaseKeys(event.headers),
+      body
+    });
+
+    return {
+      statusCode: response.status,
+      headers: response.headers,
+      body: response.body
+    };
+  };
+}
+
+function readStream(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Vercel: export default vercel(endpoint)
+// Endpoints that need the body byte for byte (webhook signatures) pass
+// { rawBody: true } and export config = { api: { bodyParser: false } }, since
+// a parsed req.body cannot be turned back into the bytes that were signed.
+function vercel(endpoint, options = {}) {
+  return async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    let body = options.rawBody ? await readStream(req) : req.body;
+    if (body === undefined || body === null) body = '';
+    else if (typeof body !== 'string') body = Buffer.isBuffer(body) ? body.toString('utf8') : JSON.stringify(body);
+
+    const response = await endpoint({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: lowerCaseKeys(req.headers),
+      body
+    });
+
+    res.status(response.status);
+    Object.entries(response.headers || {}).forEach(([key, value]) => res.setHeader(key, value));
+    return res.send(response.body);
+  };
+}
+
+module.exports = {
+  json,
+  text,
+  html,
+  redirect,
+  lumaErrorResponse,
+  netlify,
+  vercel
+};
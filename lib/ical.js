@@ -0,0 +1,91 @@
+// Minimal RFC 5545 writer for the calendar feed. Only what a subscription
+// feed of public events needs: one VCALENDAR of VEVENTs, times in UTC.
+
+const CRLF = '\r\n';
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// TEXT values escape backslash, semicolon, comma and newlines (3.3.11)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines are folded at 75 octets, never splitting a multi-byte character (3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += character;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join(CRLF + ' ');
+}
+
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocation(event) {
+  const geo = event.geo_address_info;
+  if (!geo) return '';
+  return geo.full_address || [geo.address, geo.city].filter(Boolean).join(', ');
+}
+
+function renderEvent(event, stamp) {
+  const start = new Date(event.start_at);
+  const end = event.end_at ? new Date(event.end_at) : new Date(start.getTime() + DEFAULT_DURATION_MS);
+  const description = [event.description, event.url].filter(Boolean).join('\n\n');
+  const location = formatLocation(event);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.api_id}@caish.org`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.name)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function renderCalendar({ name, events }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Cambridge AI Safety Hub//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  events
+    .filter(event => event.api_id && event.start_at)
+    .forEach(event => lines.push(...renderEvent(event, stamp)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  renderCalendar
+};
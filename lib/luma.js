@@ -0,0 +1,320 @@
+// Shared Luma client for the event functions (Netlify and Vercel).
+// Handles cursor pagination over the CAISH calendar, merges in the extra
+// events listed in LUMA_EXTRA_EVENT_IDS, and normalises every entry into one
+// event shape so the functions never touch raw Luma payloads.
+//
+// Every request has its own timeout and is retried with exponential backoff
+// on 429, 5xx, timeouts and network errors, honouring Retry-After. If a later
+// calendar page or an extra event still fails, fetchEvents returns what it
+// has and lists the failed calls in warnings.
+
+// Overridable so local runs can point at the mock server (harness/mock-upstreams.js)
+const LUMA_API_BASE = process.env.LUMA_API_BASE || 'https://api.lu.ma/public/v1';
+const MAX_PAGES = 10;
+// Overall budget for one fetchEvents call; keeps us inside the function timeout
+const DEFAULT_TIMEOUT_MS = 8000;
+const REQUEST_TIMEOUT_MS = 3000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 250;
+// A longer Retry-After than this is not worth waiting for inside one request
+const MAX_RETRY_DELAY_MS = 3000;
+
+class LumaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LumaError';
+  }
+}
+
+// LUMA_API_KEY is missing; nothing can be fetched until the site is configured.
+class LumaConfigError extends LumaError {
+  constructor(message) {
+    super(message);
+    this.name = 'LumaConfigError';
+  }
+}
+
+// Luma answered with a non-OK status, or a body that is not JSON.
+// retryAfterMs is set when the response carried a Retry-After header.
+class LumaResponseError extends LumaError {
+  constructor(message, status, body, retryAfterMs = null) {
+    super(message);
+    this.name = 'LumaResponseError';
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Luma did not answer within the time budget.
+class LumaTimeoutError extends LumaError {
+  constructor(message) {
+    super(message);
+    this.name = 'LumaTimeoutError';
+  }
+}
+
+function resolveApiKey(apiKey) {
+  const key = apiKey || process.env.LUMA_API_KEY;
+  if (!key) throw new LumaConfigError('LUMA_API_KEY environment variable not set');
+  return key;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function requestOnce(path, params, apiKey, signal) {
+  const url = new URL(LUMA_API_BASE + path);
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value) url.searchParams.set(key, value);
+  });
+  const requestSignal = AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)].filter(Boolean));
+
+  try {
+    const response = await fetch(url.toString(), {
+      method: 'GET',
+      headers: {
+        'x-luma-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      signal: requestSignal
+    });
+    const body = await response.text();
+
+    if (!response.ok) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      throw new LumaResponseError(`Luma API error on ${path}`, response.status, body, retryAfterMs);
+    }
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new LumaResponseError(`Luma API returned invalid JSON on ${path}`, response.status, body.slice(0, 500));
+    }
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new LumaTimeoutError(signal && signal.aborted
+        ? `Luma API timed out on ${path}`
+        : `Luma API request to ${path} took longer than ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  }
+}
+
+// Worth another try: rate limits, server errors, cut-off bodies, one slow
+// request and network failures (fetch throws a TypeError)
+function isRetryable(error) {
+  if (error instanceof LumaResponseError) return error.status === 429 || error.status >= 500 || error.status < 300;
+  return error instanceof LumaTimeoutError || error instanceof TypeError;
+}
+
+// Milliseconds to wait before retry number attempt + 1, or null to give up
+function retryDelay(error, attempt) {
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs <= MAX_RETRY_DELAY_MS ? error.retryAfterMs : null;
+  }
+  const backoff = RETRY_BASE_MS * 2 ** attempt;
+  return Math.round(backoff * (0.75 + Math.random() * 0.5));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LumaTimeoutError('Luma API timed out while waiting to retry'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Each call, retries included, is recorded in calls (when given) with its
+// latency, for the admin diagnostics
+async function request(path, params, apiKey, signal, calls) {
+  const started = Date.now();
+  const record = (fields) => {
+    if (calls) calls.push({ path, params, duration_ms: Date.now() - started, ...fields });
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await requestOnce(path, params, apiKey, signal);
+      record({ ok: true, attempts: attempt + 1 });
+      return data;
+    } catch (error) {
+      // The overall budget is spent; retrying cannot help
+      const delay = attempt >= MAX_RETRIES || !isRetryable(error) || (signal && signal.aborted)
+        ? null
+        : retryDelay(error, attempt);
+      if (delay === null) {
+        record({ ok: false, attempts: attempt + 1, status: error.status, error: error.message });
+        throw error;
+      }
+      console.warn(`Retrying Luma ${path} in ${delay}ms: ${error.status || error.message}`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// One entry for the warnings list of a partial result
+function warningFor(path, params, error) {
+  const warning = { path, params, message: error.message };
+  if (error.status) warning.status = error.status;
+  return warning;
+}
+
+// All entries on the CAISH calendar, following next_cursor up to MAX_PAGES.
+// Resolves to { entries, warnings }. A failed first page throws; a failed
+// later page keeps the pages before it and adds a warning.
+async function listCalendarEvents(apiKey, signal, calls) {
+  let allEntries = [];
+  const warnings = [];
+  let cursor = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const params = { pagination_cursor: cursor };
+    let data;
+    try {
+      data = await request('/calendar/list-events', params, apiKey, signal, calls);
+    } catch (error) {
+      if (page === 0) throw error;
+      console.error(`Luma calendar page ${page + 1} failed, keeping ${allEntries.length} entries:`, error.message);
+      warnings.push(warningFor('/calendar/list-events', params, error));
+      break;
+    }
+    const entries = data.entries || data.events || [];
+    allEntries = allEntries.concat(entries);
+
+    if (!data.has_more || !data.next_cursor) break;
+    cursor = data.next_cursor;
+  }
+
+  return { entries: allEntries, warnings };
+}
+
+function extraEventIds() {
+  return (process.env.LUMA_EXTRA_EVENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Events not managed by the CAISH calendar (e.g. joint events created by other
+// orgs), fetched one by one. Resolves to { entries, warnings }; a failed ID is
+// skipped and reported in warnings.
+async function fetchExtraEvents(apiKey, signal, calls) {
+  const extraIds = extraEventIds();
+  if (extraIds.length === 0) return { entries: [], warnings: [] };
+
+  const results = await Promise.allSettled(
+    extraIds.map(async (eventId) => {
+      const data = await request('/event/get', { event_api_id: eventId }, apiKey, signal, calls);
+      // Wrap in { event: ... } to match the list-events format
+      return data.event ? { event: data.event } : null;
+    })
+  );
+
+  const entries = [];
+  const warnings = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to fetch extra event ${extraIds[index]}:`, result.reason.status || result.reason.message);
+      warnings.push(warningFor('/event/get', { event_api_id: extraIds[index] }, result.reason));
+    } else if (result.value) {
+      entries.push(result.value);
+    }
+  });
+  return { entries, warnings };
+}
+
+// URL-safe id for the on-site event page (/events/<slug>): the path of the
+// Luma URL (lu.ma/caish-social-x7k2), else the api_id
+function eventSlug(event) {
+  let slug = '';
+  try {
+    slug = new URL(event.url).pathname.split('/').filter(Boolean).pop() || '';
+  } catch {
+    // No usable URL
+  }
+  slug = slug.toLowerCase().replace(/[^a-z0-9-]/g, '');
+  return slug || String(event.api_id || '').toLowerCase().replace(/[^a-z0-9-]/g, '');
+}
+
+// Flatten a list-events entry (or a bare event) into the shape every function
+// and the events page consume.
+function normalizeEvent(entry) {
+  const event = entry.event || entry;
+  const apiId = event.api_id || entry.api_id || event.id || null;
+
+  const normalized = {
+    api_id: apiId,
+    calendar_api_id: event.calendar_api_id || null,
+    slug: null,
+    name: event.name || '',
+    description: event.description || '',
+    start_at: event.start_at || event.start_time || null,
+    end_at: event.end_at || event.end_time || null,
+    timezone: event.timezone || null,
+    url: event.url || (apiId ? `https://lu.ma/${apiId}` : null),
+    cover_url: event.cover_url || event.cover_image_url || null,
+    geo_address_info: event.geo_address_info || null,
+    tags: (entry.tags || []).map(tag => tag.name || tag).filter(Boolean)
+  };
+  normalized.slug = eventSlug(normalized) || null;
+  return normalized;
+}
+
+function startTime(event) {
+  return new Date(event.start_at);
+}
+
+// Calendar and extra events, deduplicated by api_id and sorted by start time.
+// options.timeoutMs bounds the whole walk, every page included.
+// Resolves to { events, warnings, calls }: events normalised, deduplicated
+// and sorted by start time; warnings lists the upstream calls that failed
+// (empty unless the result is partial); calls has every call with its latency.
+async function fetchEvents(options = {}) {
+  const apiKey = resolveApiKey(options.apiKey);
+  const signal = AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS);
+  const calls = [];
+  const [calendar, extras] = await Promise.all([
+    listCalendarEvents(apiKey, signal, calls),
+    fetchExtraEvents(apiKey, signal, calls)
+  ]);
+
+  // source records how we found the event, for the classification rules
+  const events = [];
+  const seenIds = new Set();
+  const found = calendar.entries.map(entry => ({ entry, source: 'calendar' }))
+    .concat(extras.entries.map(entry => ({ entry, source: 'extra' })));
+  for (const { entry, source } of found) {
+    const event = { ...normalizeEvent(entry), source };
+    if (event.api_id) {
+      if (seenIds.has(event.api_id)) continue;
+      seenIds.add(event.api_id);
+    }
+    events.push(event);
+  }
+
+  events.sort((a, b) => startTime(a) - startTime(b));
+  return { events, warnings: calendar.warnings.concat(extras.warnings), calls };
+}
+
+module.exports = {
+  LumaError,
+  LumaConfigError,
+  LumaResponseError,
+  LumaTimeoutError,
+  listCalendarEvents,
+  fetchExtraEvents,
+  normalizeEvent,
+  eventSlug,
+  extraEventIds,
+  fetchEvents,
+  startTime
+};
@@ -0,0 +1,45 @@
+// Outgoing transactional email (newsletter confirmation links). Sends through
+// an HTTP email API with a Resend-style POST /emails; MAIL_API_KEY holds the
+// key, MAIL_FROM the sender and MAIL_API_BASE points it somewhere else (the
+// harness mock).
+
+const MAIL_API = process.env.MAIL_API_BASE || 'https://api.resend.com';
+const DEFAULT_FROM = 'Cambridge AI Safety Hub <hello@caish.org>';
+
+class MailError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'MailError';
+    this.status = status;
+  }
+}
+
+class MailConfigError extends MailError {
+  constructor() {
+    super('MAIL_API_KEY is not set');
+    this.name = 'MailConfigError';
+  }
+}
+
+async function sendMail({ to, subject, text, html }) {
+  if (!process.env.MAIL_API_KEY) throw new MailConfigError();
+
+  const response = await fetch(`${MAIL_API}/emails`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Bearer ' + process.env.MAIL_API_KEY,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ from: process.env.MAIL_FROM || DEFAULT_FROM, to: [to], subject, text, html }),
+    signal: AbortSignal.timeout(8000)
+  });
+  if (!response.ok) {
+    throw new MailError(`Mail API responded ${response.status}: ${await response.text()}`, response.status);
+  }
+}
+
+module.exports = {
+  MailError,
+  MailConfigError,
+  sendMail
+};
@@ -0,0 +1,248 @@
+// Newsletter sign-ups and preferences: the topics, email checks and the
+// mailing provider the subscribe and preferences endpoints talk to.
+//
+// NEWSLETTER_PROVIDER picks the provider:
+//   hubspot  (default) sign-ups go through HubSpot's forms API; reading and
+//            changing preferences uses the CRM and communication preferences
+//            APIs with HUBSPOT_ACCESS_TOKEN (a private app token).
+//            HUBSPOT_FORMS_API_BASE and HUBSPOT_API_BASE point them elsewhere.
+//   local    a stand-in that keeps subscribers in the JSON store (lib/store.js),
+//            for local runs and the harness; nothing leaves the machine.
+// Both are called from the server only, so the browser never talks to
+// HubSpot and its error messages stay in our logs.
+
+const { getStore } = require('./store');
+const { signToken, verifyToken } = require('./signed-token');
+const { SITE_URL } = require('./site');
+
+const HUBSPOT_FORMS_API = process.env.HUBSPOT_FORMS_API_BASE || 'https://forms-eu1.hsforms.com';
+const HUBSPOT_API = process.env.HUBSPOT_API_BASE || 'https://api.hubapi.com';
+const HUBSPOT_PORTAL_ID = '146910749';
+const HUBSPOT_FORM_ID = '28f7d478-2051-408f-8e04-4fa44905dfb9';
+// Contact properties: interests is multiple checkboxes (values joined by ;),
+// frequency a dropdown with the FREQUENCIES slugs
+const HUBSPOT_INTERESTS_FIELD = 'caish_interests';
+const HUBSPOT_FREQUENCY_FIELD = 'caish_frequency';
+const HUBSPOT_SUBSCRIPTION_ID = process.env.HUBSPOT_SUBSCRIPTION_ID || '';
+const REQUEST_TIMEOUT_MS = 8000;
+const STORE_NAME = 'newsletter';
+const PREFERENCES_PURPOSE = 'newsletter-preferences';
+const PREFERENCES_MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+
+// slug:  the value forms send and the provider stores
+// label: shown next to the checkbox
+const INTERESTS = [
+  { slug: 'events', label: 'Events' },
+  { slug: 'fellowship', label: 'Alignment Fellowship' },
+  { slug: 'mars', label: 'MARS' },
+  { slug: 'hardware', label: 'Hardware course' },
+  { slug: 'hiring', label: 'Hiring' }
+];
+
+const FREQUENCIES = [
+  { slug: 'all', label: 'Everything, as it happens' },
+  { slug: 'monthly', label: 'A monthly round-up' }
+];
+const DEFAULT_FREQUENCY = 'all';
+
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class NewsletterError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'NewsletterError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class NewsletterConfigError extends NewsletterError {
+  constructor(message) {
+    super(message);
+    this.name = 'NewsletterConfigError';
+  }
+}
+
+// The address trimmed and lower-cased, or null when it cannot be one
+function normaliseEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) return null;
+  return email;
+}
+
+// Known slugs only, in INTERESTS order, no duplicates
+function parseInterests(value) {
+  const given = Array.isArray(value) ? value.map(String) : String(value || '').split(/[,;]/);
+  return INTERESTS.map(interest => interest.slug).filter(slug => given.includes(slug));
+}
+
+function parseFrequency(value) {
+  return FREQUENCIES.some(frequency => frequency.slug === value) ? value : DEFAULT_FREQUENCY;
+}
+
+// The signed ?token= for this address's preference page (NEWSLETTER_SECRET)
+function preferencesToken(email) {
+  return signToken(PREFERENCES_PURPOSE, { email }, process.env.NEWSLETTER_SECRET);
+}
+
+function preferencesLink(email) {
+  return `${SITE_URL}/newsletter/preferences?token=${encodeURIComponent(preferencesToken(email))}`;
+}
+
+// The address a preference link was made for, or null if it is forged or expired
+function preferencesEmail(token) {
+  const data = verifyToken(PREFERENCES_PURPOSE, token, process.env.NEWSLETTER_SECRET, PREFERENCES_MAX_AGE_MS);
+  return data ? normaliseEmail(data.email) : null;
+}
+
+async function hubspotRequest(method, path, body) {
+  if (!process.env.HUBSPOT_ACCESS_TOKEN) throw new NewsletterConfigError('HUBSPOT_ACCESS_TOKEN is not set');
+  const response = await fetch(`${HUBSPOT_API}${path}`, {
+    method,
+    headers: {
+      Authorization: 'Bearer ' + process.env.HUBSPOT_ACCESS_TOKEN,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new NewsletterError(`HubSpot ${path.split('?')[0]} responded ${response.status}`, response.status, await response.text());
+  }
+  return response.status === 204 ? {} : response.json();
+}
+
+function subscriptionChange(action, email) {
+  if (!HUBSPOT_SUBSCRIPTION_ID) throw new NewsletterConfigError('HUBSPOT_SUBSCRIPTION_ID is not set');
+  return hubspotRequest('POST', `/communication-preferences/v3/${action}`, {
+    emailAddress: email,
+    subscriptionId: HUBSPOT_SUBSCRIPTION_ID,
+    legalBasis: 'CONSENT_WITH_NOTICE',
+    legalBasisExplanation: 'Changed on the caish.org preference page'
+  });
+}
+
+const hubspot = {
+  async subscribe({ email, interests, pageUri, ip }) {
+    const fields = [{ name: 'email', value: email }];
+    if (interests.length) fields.push({ name: HUBSPOT_INTERESTS_FIELD, value: interests.join(';') });
+
+    const context = { pageUri: pageUri || 'https://caish.org/', pageName: 'CAISH newsletter sign-up' };
+    if (ip) context.ipAddress = ip;
+
+    const response = await fetch(
+      `${HUBSPOT_FORMS_API}/submissions/v3/integration/submit/${HUBSPOT_PORTAL_ID}/${HUBSPOT_FORM_ID}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fields, context }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      }
+    );
+    if (!response.ok) {
+      throw new NewsletterError(`HubSpot responded ${response.status}`, response.status, await response.text());
+    }
+  },
+
+  async getPreferences(email) {
+    const properties = [HUBSPOT_INTERESTS_FIELD, HUBSPOT_FREQUENCY_FIELD, 'hs_email_optout'].join(',');
+    const contact = await hubspotRequest(
+      'GET',
+      `/crm/v3/objects/contacts/${encodeURIComponent(email)}?idProperty=email&properties=${properties}`
+    );
+    if (!contact) return null;
+    const values = contact.properties || {};
+    return {
+      email,
+      interests: parseInterests(values[HUBSPOT_INTERESTS_FIELD]),
+      frequency: parseFrequency(values[HUBSPOT_FREQUENCY_FIELD]),
+      subscribed: values.hs_email_optout !== 'true'
+    };
+  },
+
+  async updatePreferences(email, { interests, frequency, subscribed }) {
+    const current = await this.getPreferences(email);
+    if (!current) throw new NewsletterError('No such subscriber', 404);
+    await hubspotRequest('PATCH', `/crm/v3/objects/contacts/${encodeURIComponent(email)}?idProperty=email`, {
+      properties: {
+        [HUBSPOT_INTERESTS_FIELD]: interests.join(';'),
+        [HUBSPOT_FREQUENCY_FIELD]: frequency
+      }
+    });
+    if (subscribed && !current.subscribed) await subscriptionChange('subscribe', email);
+    if (!subscribed && current.subscribed) await subscriptionChange('unsubscribe', email);
+  }
+};
+
+// Keyed by address, so it is only for local runs and tests
+const local = {
+  store: () => getStore(STORE_NAME),
+
+  async subscribe({ email, interests }) {
+    const current = await this.store().get(email);
+    await this.store().setJSON(email, {
+      email,
+      interests: interests.length ? interests : (current && current.interests) || [],
+      frequency: (current && current.frequency) || DEFAULT_FREQUENCY,
+      subscribed: true,
+      updated_at: new Date().toISOString()
+    });
+  },
+
+  async getPreferences(email) {
+    const record = await this.store().get(email);
+    if (!record) return null;
+    return {
+      email,
+      interests: parseInterests(record.interests),
+      frequency: parseFrequency(record.frequency),
+      subscribed: record.subscribed !== false
+    };
+  },
+
+  async updatePreferences(email, { interests, frequency, subscribed }) {
+    if (!(await this.store().get(email))) throw new NewsletterError('No such subscriber', 404);
+    await this.store().setJSON(email, { email, interests, frequency, subscribed, updated_at: new Date().toISOString() });
+  }
+};
+
+const PROVIDERS = { hubspot, local };
+
+function provider() {
+  const name = process.env.NEWSLETTER_PROVIDER || 'hubspot';
+  if (!PROVIDERS[name]) throw new NewsletterConfigError(`Unknown NEWSLETTER_PROVIDER "${name}"`);
+  return PROVIDERS[name];
+}
+
+// Forward a confirmed sign-up. Throws NewsletterError when the provider refuses it.
+function subscribe(details) {
+  return provider().subscribe(details);
+}
+
+// { email, interests, frequency, subscribed }, or null for an unknown address
+function getPreferences(email) {
+  return provider().getPreferences(email);
+}
+
+// Unsubscribing is { subscribed: false }; topics and frequency are kept
+function updatePreferences(email, preferences) {
+  return provider().updatePreferences(email, preferences);
+}
+
+module.exports = {
+  INTERESTS,
+  FREQUENCIES,
+  NewsletterError,
+  NewsletterConfigError,
+  normaliseEmail,
+  parseInterests,
+  parseFrequency,
+  preferencesToken,
+  preferencesLink,
+  preferencesEmail,
+  subscribe,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,144 @@
+// Rate limiting for the public POST endpoints. rateLimit(endpoint, options)
+// wraps an endpoint and answers 429 with Retry-After once any of its limits
+// is used up; otherwise the request goes through untouched.
+//
+// Limits are fixed windows counted per key and checked in order: byIp for
+// anonymous callers, byUser for signed-in ones. byUser verifies the session
+// and keys on the user id, since access tokens change on every refresh; put
+// it after byIp so a flood is turned away before anything asks Supabase.
+// Keys are hashed before they are stored.
+//
+// Counters live in a pluggable store with one method,
+// increment(key, windowMs) -> { count, resetAt }. memoryStore() is used
+// locally; on Netlify, where each instance has its own memory, kvStore()
+// keeps them in Netlify Blobs via lib/store.js. Which one is chosen per
+// request, after the adapter has passed the event to store.connect(). Counting
+// in Blobs is not atomic, so a burst can slip a few requests past the limit;
+// that is fine for keeping junk out.
+
+const crypto = require('crypto');
+const { getStore, runningOnNetlify } = require('./store');
+const { json } = require('./http');
+const { sessionUser } = require('./supabase');
+
+const STORE_NAME = 'rate-limits';
+
+function memoryStore() {
+  const windows = new Map();
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      // Drop expired windows now and then so the map does not grow forever
+      if (windows.size > 10000) {
+        windows.forEach((value, name) => {
+          if (value.resetAt <= now) windows.delete(name);
+        });
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+function kvStore(store = getStore(STORE_NAME)) {
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const stored = await store.get(key);
+      const entry = stored && stored.resetAt > now
+        ? { count: stored.count + 1, resetAt: stored.resetAt }
+        : { count: 1, resetAt: now + windowMs };
+      await store.setJSON(key, entry);
+      return entry;
+    }
+  };
+}
+
+// Shared by every limiter in this instance, for local runs
+const localStore = memoryStore();
+
+function storeFor() {
+  return runningOnNetlify() ? kvStore() : localStore;
+}
+
+// Netlify puts the caller's address in x-nf-client-connection-ip; elsewhere
+// the first x-forwarded-for hop is the client
+function byIp(request) {
+  const headers = request.headers || {};
+  const forwarded = (headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return headers['x-nf-client-connection-ip'] || forwarded || headers['x-real-ip'] || null;
+}
+
+// The verified user's id (the token's sub); null without a valid session,
+// which the endpoint then turns away itself
+async function byUser(request) {
+  try {
+    const user = await sessionUser(request);
+    return user ? user.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+function describeWait(seconds) {
+  if (seconds < 90) return 'a minute';
+  if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+}
+
+function tooManyRequests(retryAfter) {
+  return json(429, { message: `Too many requests. Try again in ${describeWait(retryAfter)}.` }, {
+    'Cache-Control': 'no-store',
+    'Retry-After': String(retryAfter)
+  });
+}
+
+// options:
+//   name     prefix for the counter keys, usually the endpoint name
+//   limits   [{ name, key: request => string|null (or a promise of one), max,
+//            windowMs }]; a key of null skips that limit (no session, say)
+//   methods  which methods count (default POST)
+//   store    counter store (default memoryStore locally, kvStore on Netlify)
+// A store failure lets the request through rather than locking everyone out.
+function rateLimit(endpoint, { name, limits, methods = ['POST'], store }) {
+  return async function limited(request) {
+    if (!methods.includes(request.method)) return endpoint(request);
+    const counters = store || storeFor();
+
+    for (const limit of limits) {
+      const id = await limit.key(request);
+      if (!id) continue;
+      let result;
+      try {
+        result = await counters.increment(`${name}-${limit.name}-${hashKey(id)}`, limit.windowMs);
+      } catch (error) {
+        console.error(`Rate limit store unavailable (${name}):`, error.message);
+        break;
+      }
+      if (result.count > limit.max) {
+        const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+        console.warn(`Rate limited ${name} by ${limit.name} (${result.count} in window)`);
+        return tooManyRequests(retryAfter);
+      }
+    }
+    return endpoint(request);
+  };
+}
+
+module.exports = {
+  memoryStore,
+  kvStore,
+  byIp,
+  byUser,
+  tooManyRequests,
+  rateLimit
+};
@@ -0,0 +1,85 @@
+// The recurring series config and the name-based CAISH checks, used by the
+// event classification (lib/classify.js). Checks take a normalised event.
+//
+// Adding a series (say a reading group) needs an entry in SERIES, a /<slug>
+// redirect in netlify.toml and, for Vercel, an api/<slug>.js wrapper; no new
+// endpoint or HTML page.
+
+// Check text for a CAISH reference (abbreviation or full name)
+function isCaishRelated(value) {
+  const upper = (value || '').toUpperCase();
+  return upper.includes('CAISH') || upper.includes('CAMBRIDGE AI SAFETY HUB');
+}
+
+function isCaishEvent(event) {
+  return isCaishRelated(event.name) || isCaishRelated(event.description);
+}
+
+// slug:         URL path (/social) and ?series= value
+// title:        used in log lines, error pages and calendar names
+// tags:         Luma tags that put an event in this series, whatever its name
+// match.name:   otherwise the event name must contain one of these (case-insensitive)
+// match.caish:  'name' needs CAISH in the name, 'anywhere' in name or
+//               description, false skips the check
+// fallbackToPast: with nothing upcoming, use the most recent past event
+// fallbackUrl:  with no event at all, redirect here instead of a 404
+const SERIES = [
+  {
+    slug: 'social',
+    title: 'CAISH Socials',
+    tags: ['Social'],
+    match: { name: ['social'], caish: 'anywhere' },
+    fallbackToPast: false,
+    fallbackUrl: '/events'
+  },
+  {
+    slug: 'lunch',
+    title: 'CAISH Lunches',
+    tags: ['Lunch'],
+    match: { name: ['lunch'], caish: 'name' },
+    fallbackToPast: false,
+    fallbackUrl: '/events'
+  },
+  {
+    slug: 'talk',
+    title: 'CAISH Talks',
+    tags: ['Talk', 'Speaker Event'],
+    match: { name: ['talk', 'speaker', 'lecture', 'seminar', 'fireside'], caish: 'anywhere' },
+    fallbackToPast: false,
+    fallbackUrl: '/events'
+  },
+  {
+    slug: 'hdwsa',
+    title: 'How Do We Solve Alignment',
+    tags: ['HDWSA'],
+    match: { name: ['how do we solve alignment'], caish: false },
+    fallbackToPast: true,
+    fallbackUrl: null
+  }
+];
+
+function findSeries(slug) {
+  return SERIES.find(series => series.slug === slug) || null;
+}
+
+function matchesSeries(series, event) {
+  const name = event.name.toLowerCase();
+  if (!series.match.name.some(part => name.includes(part.toLowerCase()))) return false;
+  if (series.match.caish === 'name') return isCaishRelated(event.name);
+  if (series.match.caish === 'anywhere') return isCaishEvent(event);
+  return true;
+}
+
+function hasTag(event, names) {
+  const tags = (event.tags || []).map(tag => tag.toLowerCase());
+  return names.some(name => tags.includes(name.toLowerCase()));
+}
+
+module.exports = {
+  SERIES,
+  findSeries,
+  matchesSeries,
+  hasTag,
+  isCaishRelated,
+  isCaishEvent
+};
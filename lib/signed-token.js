@@ -0,0 +1,47 @@
+// Signed, expiring tokens for links sent by email (newsletter confirmation,
+// and the like): base64url JSON payload, a dot, then an HMAC-SHA256 of the
+// payload. Not encrypted, so only put in what the recipient may see.
+
+const crypto = require('crypto');
+
+function mac(encoded, secret) {
+  return crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+}
+
+// purpose keeps a token for one flow from being replayed in another
+function signToken(purpose, data, secret, now = Date.now()) {
+  if (!secret) throw new Error('No secret to sign the token with');
+  const encoded = Buffer.from(JSON.stringify({ ...data, p: purpose, iat: now })).toString('base64url');
+  return `${encoded}.${mac(encoded, secret)}`;
+}
+
+// The data, or null when the token is malformed, forged, for another purpose
+// or older than maxAgeMs
+function verifyToken(purpose, token, secret, maxAgeMs, now = Date.now()) {
+  if (!secret || typeof token !== 'string') return null;
+  const [encoded, given] = token.split('.');
+  if (!encoded || !given) return null;
+
+  const expected = Buffer.from(mac(encoded, secret));
+  const received = Buffer.from(given);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!payload || payload.p !== purpose || typeof payload.iat !== 'number') return null;
+  if (now - payload.iat > maxAgeMs || payload.iat - now > 60 * 1000) return null;
+
+  const data = { ...payload };
+  delete data.p;
+  delete data.iat;
+  return data;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,21 @@
+// Site-wide constants and the HTML escaping every server-rendered page,
+// feed, email and build script shares. Nothing here depends on events, so
+// anything may require it.
+
+const SITE_URL = 'https://caish.org';
+const SITE_NAME = 'Cambridge AI Safety Hub';
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+module.exports = {
+  SITE_URL,
+  SITE_NAME,
+  escapeHtml
+};
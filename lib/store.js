@@ -0,0 +1,94 @@
+// Small key-value store for JSON snapshots (the last good event list, and
+// whatever else the functions need to keep between invocations).
+// On Netlify this is a Netlify Blobs store (@netlify/blobs, in package.json).
+// Everywhere else, including local runs, a directory of JSON files stands in
+// with the same get/setJSON/delete interface. Set CAISH_STORE_DIR to choose
+// where it writes; it defaults to the system temp directory.
+//
+// On Netlify the file store is per instance and lost on a cold start, so the
+// snapshot, rate limits and feed ledger would quietly stop being shared. If
+// Blobs cannot be used there, getStore says so in the function log every
+// time it falls back.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+let blobs = null;
+try {
+  blobs = require('@netlify/blobs');
+} catch (error) {
+  blobs = null;
+}
+
+// Set once an invocation shows we are running on Netlify
+let onNetlify = false;
+
+// Netlify's Lambda-compatible functions pass Blobs credentials on the event;
+// the adapter calls this before running an endpoint.
+function connect(event) {
+  if (!event || !event.blobs) return;
+  onNetlify = true;
+  if (blobs) blobs.connectLambda(event);
+}
+
+function runningOnNetlify() {
+  return onNetlify || Boolean(process.env.NETLIFY_BLOBS_CONTEXT || process.env.NETLIFY);
+}
+
+function fileStore(name) {
+  const root = path.join(process.env.CAISH_STORE_DIR || path.join(os.tmpdir(), 'caish-store'), name);
+  const fileFor = key => path.join(root, encodeURIComponent(key) + '.json');
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async setJSON(key, value) {
+      await fs.mkdir(root, { recursive: true });
+      // Write then rename so a concurrent reader never sees half a file
+      const temp = fileFor(key) + '.' + process.pid + '.tmp';
+      await fs.writeFile(temp, JSON.stringify(value));
+      await fs.rename(temp, fileFor(key));
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+function blobStore(name) {
+  const store = blobs.getStore(name);
+  return {
+    get: key => store.get(key, { type: 'json' }),
+    setJSON: (key, value) => store.setJSON(key, value),
+    delete: key => store.delete(key)
+  };
+}
+
+function getStore(name) {
+  if (!runningOnNetlify()) return fileStore(name);
+  if (!blobs) {
+    console.error(`STORE MISCONFIGURED: @netlify/blobs is not installed, so "${name}" is kept in this instance's /tmp and is not shared or kept. Check the deploy installed package.json dependencies.`);
+    return fileStore(name);
+  }
+  try {
+    return blobStore(name);
+  } catch (error) {
+    console.error(`STORE MISCONFIGURED: Netlify Blobs unavailable (${error.message}), so "${name}" is kept in this instance's /tmp and is not shared or kept.`);
+    return fileStore(name);
+  }
+}
+
+module.exports = {
+  connect,
+  runningOnNetlify,
+  getStore
+};
@@ -0,0 +1,120 @@
+// Supabase from the server: whose session token a request carries, and
+// reads and writes with the service role through the REST and auth admin APIs.
+//
+// SUPABASE_URL points at the project (default: the one the courses use).
+// SUPABASE_ANON_KEY is the public client key, enough to ask "whose token is
+// this?". SUPABASE_SERVICE_ROLE_KEY is for everything else; it bypasses
+// row-level security, so it only ever lives in the function environment.
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://joggzpdemdmyvnlhtjte.supabase.co';
+const REQUEST_TIMEOUT_MS = 8000;
+// PostgREST and the admin API both cap a page at 1000 rows
+const PAGE_SIZE = 1000;
+
+class SupabaseError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'SupabaseError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class SupabaseConfigError extends SupabaseError {
+  constructor(message) {
+    super(message);
+    this.name = 'SupabaseConfigError';
+  }
+}
+
+// The user behind a session token, or null when it is expired or forged.
+// Users without an email are refused, since everything we do keys on it.
+async function verifyUser(token) {
+  const response = await fetch(SUPABASE_URL + '/auth/v1/user', {
+    headers: { Authorization: 'Bearer ' + token, apikey: process.env.SUPABASE_ANON_KEY || '' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) return null;
+  const user = await response.json();
+  return user && user.email ? user : null;
+}
+
+function bearerToken(request) {
+  const token = ((request.headers || {}).authorization || '').replace(/^Bearer\s+/i, '').trim();
+  return token || null;
+}
+
+// verifyUser for the request's "Authorization: Bearer <token>", asked once
+// per request however many times it is called, so the per-user rate limit
+// (byUser in lib/rate-limit.js) and the endpoint share one auth call.
+// Resolves to null without a token.
+const sessions = new WeakMap();
+function sessionUser(request) {
+  const token = bearerToken(request);
+  if (!token) return Promise.resolve(null);
+  if (!sessions.has(request)) sessions.set(request, verifyUser(token));
+  return sessions.get(request);
+}
+
+async function serviceRequest(path, { method = 'GET', body, prefer } = {}) {
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!key) throw new SupabaseConfigError('SUPABASE_SERVICE_ROLE_KEY is not set');
+  const headers = { Authorization: 'Bearer ' + key, apikey: key };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (prefer) headers.Prefer = prefer;
+  const response = await fetch(SUPABASE_URL + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new SupabaseError(`Supabase ${path.split('?')[0]} responded ${response.status}`, response.status, await response.text());
+  }
+  return method === 'GET' ? response.json() : null;
+}
+
+// Every row of a table matching filters ({ course_id: 'eq.verification' }),
+// a page at a time
+async function selectAll(table, columns, filters = {}) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const params = new URLSearchParams({ select: columns, ...filters, limit: PAGE_SIZE, offset });
+    const page = await serviceRequest(`/rest/v1/${table}?${params}`);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Insert rows, or update the ones that clash on the onConflict columns (a
+// unique constraint), e.g. upsert('reading_checks', row, 'user_id,course_id,reading_id')
+async function upsert(table, rows, onConflict) {
+  const params = new URLSearchParams({ on_conflict: onConflict });
+  await serviceRequest(`/rest/v1/${table}?${params}`, {
+    method: 'POST',
+    body: rows,
+    prefer: 'resolution=merge-duplicates,return=minimal'
+  });
+}
+
+// Every user in the project, from the auth admin API
+async function listUsers() {
+  const users = [];
+  for (let page = 1; ; page += 1) {
+    const body = await serviceRequest(`/auth/v1/admin/users?page=${page}&per_page=${PAGE_SIZE}`);
+    const batch = body.users || [];
+    users.push(...batch);
+    if (batch.length < PAGE_SIZE) return users;
+  }
+}
+
+module.exports = {
+  SupabaseError,
+  SupabaseConfigError,
+  verifyUser,
+  bearerToken,
+  sessionUser,
+  selectAll,
+  upsert,
+  listUsers
+};
@@ -0,0 +1,72 @@
+// Webhook signature checks. Luma signs its webhooks the Standard Webhooks way
+// (https://www.standardwebhooks.com): an HMAC-SHA256 over
+// "<webhook-id>.<webhook-timestamp>.<raw body>", keyed with the base64 part of
+// the "whsec_..." signing secret, sent base64-encoded as "v1,<signature>" in
+// the webhook-signature header (several may be listed, space-separated, while
+// a secret is being rotated). Headers may carry a svix- prefix instead.
+
+const crypto = require('crypto');
+
+// Reject deliveries older (or newer) than this, so a captured request cannot be replayed later
+const TOLERANCE_SECONDS = 5 * 60;
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+function header(headers, name) {
+  return headers[`webhook-${name}`] || headers[`svix-${name}`] || '';
+}
+
+function secretKey(secret) {
+  return Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+}
+
+function sign(secret, id, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Throws WebhookSignatureError unless the request was signed with the secret.
+// headers must have lower-case keys (as the lib/http.js adapters pass them)
+// and body must be the raw request body, byte for byte.
+function verifySignature({ headers, body, secret, now = Date.now() }) {
+  const id = header(headers, 'id');
+  const timestamp = header(headers, 'timestamp');
+  const signatures = header(headers, 'signature');
+  if (!id || !timestamp || !signatures) {
+    throw new WebhookSignatureError('Missing webhook signature headers');
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now / 1000 - sentAt) > TOLERANCE_SECONDS) {
+    throw new WebhookSignatureError('Webhook timestamp is outside the allowed window');
+  }
+
+  const expected = sign(secret, id, timestamp, body);
+  const valid = signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    return version === 'v1' && signature && safeEqual(signature, expected);
+  });
+  if (!valid) {
+    throw new WebhookSignatureError('Webhook signature does not match');
+  }
+}
+
+module.exports = {
+  TOLERANCE_SECONDS,
+  WebhookSignatureError,
+  verifySignature,
+  sign
+};
@@ -0,0 +1,7 @@
+// Netlify Function to serve CAISH events as an iCalendar feed
+// The endpoint itself lives in lib/endpoints/calendar.js, shared with api/calendar.js
+
+const { netlify } = require('../../lib/http');
+const calendar = require('../../lib/endpoints/calendar');
+
+exports.handler = netlify(calendar);
@@ -0,0 +1,7 @@
+// Netlify Function that marks course comprehension checks against the server-side answer keys
+// The endpoint itself lives in lib/endpoints/checks.js, shared with api/checks.js
+
+const { netlify } = require('../../lib/http');
+const checks = require('../../lib/endpoints/checks');
+
+exports.handler = netlify(checks);
@@ -0,0 +1,7 @@
+// Netlify Function behind the staff-only course facilitator dashboard
+// The endpoint itself lives in lib/endpoints/cohort.js, shared with api/cohort.js
+
+const { netlify } = require('../../lib/http');
+const cohort = require('../../lib/endpoints/cohort');
+
+exports.handler = netlify(cohort);
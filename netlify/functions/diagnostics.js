@@ -0,0 +1,7 @@
+// Netlify Function for the token-protected admin diagnostics of the event data
+// The endpoint itself lives in lib/endpoints/diagnostics.js, shared with api/diagnostics.js
+
+const { netlify } = require('../../lib/http');
+const diagnostics = require('../../lib/endpoints/diagnostics');
+
+exports.handler = netlify(diagnostics);
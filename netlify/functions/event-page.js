@@ -0,0 +1,7 @@
+// Netlify Function to render an event detail page (/events/<slug>)
+// The endpoint itself lives in lib/endpoints/event-page.js, shared with api/event-page.js
+
+const { netlify } = require('../../lib/http');
+const eventPage = require('../../lib/endpoints/event-page');
+
+exports.handler = netlify(eventPage);
@@ -0,0 +1,7 @@
+// Netlify Function to serve CAISH events as Atom and JSON Feed
+// The endpoint itself lives in lib/endpoints/feed.js, shared with api/feed.js
+
+const { netlify } = require('../../lib/http');
+const feed = require('../../lib/endpoints/feed');
+
+exports.handler = netlify(feed);
@@ -0,0 +1,7 @@
+// Netlify Function to receive Luma event webhooks and refresh the cached events
+// The endpoint itself lives in lib/endpoints/luma-webhook.js, shared with api/luma-webhook.js
+
+const { netlify } = require('../../lib/http');
+const lumaWebhook = require('../../lib/endpoints/luma-webhook');
+
+exports.handler = netlify(lumaWebhook);
@@ -0,0 +1,7 @@
+// Netlify Function behind the newsletter preference page
+// The endpoint itself lives in lib/endpoints/preferences.js, shared with api/preferences.js
+
+const { netlify } = require('../../lib/http');
+const preferences = require('../../lib/endpoints/preferences');
+
+exports.handler = netlify(preferences);
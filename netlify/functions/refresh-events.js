@@ -0,0 +1,17 @@
+// Netlify Scheduled Function to refresh the events snapshot in the background
+// Runs on the schedule set in netlify.toml, so visitors rarely wait on Luma
+
+const store = require('../../lib/store');
+const { refreshEvents } = require('../../lib/events-cache');
+
+exports.handler = async (event) => {
+  store.connect(event);
+  try {
+    const snapshot = await refreshEvents();
+    console.log(`Refreshed events snapshot: ${snapshot.events.length} events`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Could not refresh events snapshot:', error.message);
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,7 @@
+// Netlify Function to redirect to the next event in a series (/social, /lunch, /hdwsa)
+// The endpoint itself lives in lib/endpoints/series.js, shared with api/series.js
+
+const { netlify } = require('../../lib/http');
+const series = require('../../lib/endpoints/series');
+
+exports.handler = netlify(series);
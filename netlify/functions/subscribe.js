@@ -0,0 +1,7 @@
+// Netlify Function to take newsletter sign-ups and confirmations
+// The endpoint itself lives in lib/endpoints/subscribe.js, shared with api/subscribe.js
+
+const { netlify } = require('../../lib/http');
+const subscribe = require('../../lib/endpoints/subscribe');
+
+exports.handler = netlify(subscribe);
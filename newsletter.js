@@ -0,0 +1,89 @@
+/**
+ * CAISH - Newsletter sign-up form
+ *
+ * Drives every <form data-newsletter-form> on the page (the homepage band and
+ * the programme pages). Posts to the subscribe function, which checks the
+ * address and forwards it to HubSpot server-side, so the browser never talks
+ * to HubSpot directly. Interest checkboxes are named "interests"; a page can
+ * preselect its own with checked.
+ */
+
+const NewsletterForm = {
+  endpoint: '/.netlify/functions/subscribe',
+  // Time-to-submit token, fetched once per page; null when the check is off
+  token: null,
+
+  init() {
+    const forms = document.querySelectorAll('form[data-newsletter-form]');
+    if (!forms.length) return;
+
+    fetch(this.endpoint)
+      .then(response => (response.ok ? response.json() : {}))
+      .then(body => { this.token = body.token || null; })
+      .catch(() => {});
+
+    forms.forEach(form => {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submit(form);
+      });
+    });
+  },
+
+  async submit(form) {
+    const email = form.elements.email;
+    const msg = form.querySelector('.newsletter-form-msg');
+    const submitText = form.querySelector('.newsletter-submit-text');
+    const submitLoading = form.querySelector('.newsletter-submit-loading');
+    const btn = form.querySelector('.newsletter-submit');
+
+    if (!email.value || !email.validity.valid) {
+      this.showMsg(msg, 'Please enter a valid email address.', true);
+      return;
+    }
+
+    const interests = Array.from(form.querySelectorAll('input[name="interests"]:checked')).map(input => input.value);
+
+    btn.disabled = true;
+    submitText.hidden = true;
+    submitLoading.hidden = false;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: email.value,
+          interests,
+          website: form.elements.website ? form.elements.website.value : '', // honeypot
+          token: this.token,
+          page: window.location.href
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        this.showMsg(msg, data.message || "You're subscribed! We'll be in touch.", false);
+        email.value = '';
+      } else {
+        this.showMsg(msg, data.message || 'Something went wrong. Please try again.', true);
+      }
+    } catch {
+      this.showMsg(msg, 'Network error. Please try again.', true);
+    } finally {
+      btn.disabled = false;
+      submitText.hidden = false;
+      submitLoading.hidden = true;
+    }
+  },
+
+  showMsg(el, text, isError) {
+    el.textContent = text;
+    el.hidden = false;
+    el.className = 'newsletter-form-msg ' + (isError ? 'newsletter-form-error' : 'newsletter-form-success');
+  }
+};
+
+document.readyState === 'loading'
+  ? document.addEventListener('DOMContentLoaded', () => NewsletterForm.init())
+  : NewsletterForm.init();
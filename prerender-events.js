@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+//
+// prerender-events.js — Render the events list into events.html at build time
+//
+// Fetches the events once and renders the cards with the same EventsLoader
+// code the browser uses, between the events:prerender markers, so crawlers and
+// no-JS visitors see the events and there is no loading gap. The page script
+// still fetches on load and only refreshes what is already there.
+//
+// If the fetch fails (no LUMA_API_KEY, Luma down) the page is left as it is
+// and the client fetch does all the work, as before.
+//
+// Usage:  node prerender-events.js   (the Netlify build runs it after cache-bust.sh)
+//
+
+const fs = require('fs');
+const path = require('path');
+const { fetchEvents } = require('./lib/luma');
+const { parseEventQuery, queryEvents } = require('./lib/event-query');
+const EventsLoader = require('./events-loader');
+
+const PAGES = ['events.html'];
+const START = '<!-- events:prerender:start -->';
+const END = '<!-- events:prerender:end -->';
+
+async function main() {
+  let events;
+  try {
+    // The same list the events function returns by default
+    const result = await fetchEvents();
+    events = queryEvents(result.events, parseEventQuery({})).events;
+  } catch (error) {
+    console.warn(`Skipping events prerender: ${error.message}`);
+    return;
+  }
+
+  const markup = EventsLoader.renderEventsHtml(events);
+  const block = `${START}
+      <div id="events-container" data-prerendered="${new Date().toISOString()}">${markup}</div>
+      `;
+
+  PAGES.forEach(page => {
+    const file = path.join(__dirname, page);
+    const source = fs.readFileSync(file, 'utf8');
+    const start = source.indexOf(START);
+    const end = source.indexOf(END);
+    if (start === -1 || end === -1) {
+      console.warn(`No prerender markers in ${page}, skipping`);
+      return;
+    }
+    fs.writeFileSync(file, source.slice(0, start) + block + source.slice(end));
+    console.log(`Prerendered ${events.length} events into ${page}`);
+  });
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
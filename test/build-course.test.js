@@ -0,0 +1,74 @@
+// build-course.js checks: the manifest (reading ids, anchors) and the links
+// into the unit pages (#fragments, data-reading-ids)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCourse, validateManifest, checkLinks } = require('../build-course');
+
+// The real course, with a copy of its manifest to break
+function course() {
+  const loaded = loadCourse('verification');
+  return { ...loaded, manifest: structuredClone(loaded.manifest) };
+}
+
+function readings(manifest) {
+  return manifest.units.flatMap(unit => unit.sections.flatMap(section => section.readings)).filter(reading => reading.id);
+}
+
+describe('validateManifest', () => {
+  it('passes the course as it is', () => {
+    assert.deepEqual(validateManifest(course()), []);
+  });
+
+  it('flags a reading id used twice', () => {
+    const broken = course();
+    const [first, second] = readings(broken.manifest);
+    second.id = first.id;
+    const errors = validateManifest(broken);
+    assert.ok(errors.some(error => error.includes(`reading id ${first.id} is used by both`)), errors.join('\n'));
+  });
+
+  it('flags an anchor used twice on one page', () => {
+    const broken = course();
+    const [first, second] = readings(broken.manifest);
+    second.anchor = first.anchor;
+    const errors = validateManifest(broken);
+    assert.ok(errors.some(error => error.includes(`anchor #${first.anchor} is used by both`)), errors.join('\n'));
+  });
+
+  it('flags a tracked reading without an anchor, and a manifest in the wrong directory', () => {
+    const broken = course();
+    delete readings(broken.manifest)[0].anchor;
+    const errors = validateManifest({ ...broken, id: 'elsewhere' });
+    assert.ok(errors.some(error => error.includes('has no anchor')));
+    assert.ok(errors.some(error => error.includes('does not match its directory "elsewhere"')));
+  });
+});
+
+describe('checkLinks', () => {
+  const { manifest } = course();
+  const [reading] = readings(manifest);
+  const pages = {
+    'index.html': `<a href="/course/verification/1.html#${reading.anchor}">Start</a> <a class="course-lesson" data-reading-ids="${reading.id}" href="1.html">Unit 1</a>`,
+    '1.html': `<article id="${reading.anchor}"></article><a href="#${reading.anchor}">Back</a><a href="https://example.org/#elsewhere">Out</a>`
+  };
+
+  it('accepts links that land', () => {
+    assert.deepEqual(checkLinks({ manifest }, pages), []);
+  });
+
+  it('flags a #fragment with no matching id', () => {
+    const errors = checkLinks({ manifest }, { ...pages, '1.html': pages['1.html'] + '<a href="#gone">Gone</a>' });
+    assert.deepEqual(errors, ['1.html: link #gone has no matching id on 1.html']);
+  });
+
+  it('flags a link to a page the course does not have', () => {
+    const errors = checkLinks({ manifest }, { ...pages, 'index.html': '<a href="/course/verification/9.html#top">Nine</a>' });
+    assert.deepEqual(errors, ['index.html: link /course/verification/9.html#top points at 9.html, which is not part of the course']);
+  });
+
+  it('flags data-reading-ids that are not in the manifest', () => {
+    const errors = checkLinks({ manifest }, { ...pages, 'index.html': '<a data-reading-ids="unit-9-reading-9" href="9.html">Nine</a>' });
+    assert.deepEqual(errors, ['index.html: data-reading-ids names unit-9-reading-9, which is not in the manifest']);
+  });
+});
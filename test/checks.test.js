@@ -0,0 +1,151 @@
+// Comprehension checks: marking against the server-side answer keys
+// (lib/course-checks.js) and the checks function that saves results
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, invoke } = require('./helpers');
+const { markCheck, keyErrors } = require('../lib/course-checks');
+const { CourseCatalog } = require('../course/course.js');
+const manifest = require('../course/verification/manifest.js');
+const answers = require('../lib/course-answers/verification.js');
+
+const READING = 'unit-1-reading-1';
+const { reading } = CourseCatalog.readings(manifest).find(item => item.id === READING);
+const RIGHT = { behaviour: 1, patch: 'Reward the agent for shutdown and it will manipulate you into pressing it' };
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+
+function submit(body, token) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return invoke('checks', { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+function writes() {
+  return mock.requests.filter(entry => entry.method === 'POST' && entry.path === '/supabase/rest/v1/reading_checks');
+}
+
+describe('markCheck', () => {
+  const mark = given => markCheck(reading.check, answers[READING], given);
+
+  it('passes right answers and explains each question', () => {
+    const result = mark(RIGHT);
+    assert.deepEqual(result.marks, { behaviour: true, patch: true });
+    assert.equal(result.passed, true);
+    assert.match(result.explanations.patch, /Rewarding the button/);
+  });
+
+  it('fails a wrong option', () => {
+    assert.equal(mark({ ...RIGHT, behaviour: 0 }).passed, false);
+  });
+
+  it('does not pass a short answer for repeating the prompt', () => {
+    assert.equal(mark({ ...RIGHT, patch: 'the stop button the stop button goes wrong' }).marks.patch, false);
+    assert.equal(mark({ ...RIGHT, patch: 'button button button button button' }).marks.patch, false);
+    assert.equal(mark({ ...RIGHT, patch: 'I think a button patch is bad honestly' }).marks.patch, false);
+  });
+
+  it('needs five words of its own as well as an accepted stem', () => {
+    assert.equal(mark({ ...RIGHT, patch: 'It becomes manipulative' }).marks.patch, false);
+    assert.equal(mark({ ...RIGHT, patch: 'Hiding it makes the agent deceptive instead' }).marks.patch, true);
+  });
+});
+
+describe('keyErrors', () => {
+  const readings = CourseCatalog.readings(manifest);
+
+  it('finds nothing wrong with the course as it is', () => {
+    assert.deepEqual(keyErrors(readings, answers), []);
+  });
+
+  it('flags missing keys, stray keys and stems found in the prompt', () => {
+    const broken = {
+      ...answers,
+      [READING]: { patch: { accept: ['decept', 'button'] }, extra: { answer: 0 } },
+      'unit-9-reading-9': { q: { answer: 0 } }
+    };
+    const errors = keyErrors(readings, broken);
+    assert.ok(errors.some(error => /behaviour has no answer key/.test(error)));
+    assert.ok(errors.some(error => /accept "button" matches a word in the prompt/.test(error)));
+    assert.ok(errors.some(error => /key for extra/.test(error)));
+    assert.ok(errors.some(error => /unit-9-reading-9/.test(error)));
+  });
+
+  it('flags answers left in the public manifest', () => {
+    const leaky = readings.map(item => (item.id === READING
+      ? { ...item, reading: { ...item.reading, check: { questions: item.reading.check.questions.map(q => ({ ...q, answer: 1 })) } } }
+      : item));
+    assert.ok(keyErrors(leaky, answers).some(error => /answer in the public manifest/.test(error)));
+  });
+
+  it('keeps answer keys out of the manifest the browser loads', () => {
+    CourseCatalog.readings(manifest).filter(item => item.reading.check).forEach(item => {
+      item.reading.check.questions.forEach(question => {
+        assert.equal(question.answer, undefined);
+        assert.equal(question.accept, undefined);
+        assert.equal(question.explanation, undefined);
+      });
+    });
+  });
+});
+
+describe('checks', () => {
+  it('marks without saving when signed out', async () => {
+    const before = writes().length;
+    const response = await submit({ course: 'verification', reading: READING, answers: RIGHT });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.passed, true);
+    assert.equal(response.json.saved, false);
+    assert.equal(writes().length, before);
+  });
+
+  it('saves the result, marked on the server, to the signed-in account', async () => {
+    const response = await submit({ course: 'verification', reading: 'unit-1-reading-7', answers: { dilemma: 1 } }, 'second-participant-token');
+    assert.equal(response.status, 200);
+    assert.equal(response.json.saved, true);
+    const row = JSON.parse(writes().at(-1).body);
+    assert.equal(row.user_id, '2c9d7a41-5b6e-4f70-8a91-b2c3d4e5f607');
+    assert.equal(row.reading_id, 'unit-1-reading-7');
+    assert.equal(row.passed, true);
+    assert.deepEqual(row.answers, { dilemma: 1 });
+  });
+
+  it('ignores a passed flag sent by the browser', async () => {
+    const response = await submit({ course: 'verification', reading: 'unit-1-reading-7', answers: { dilemma: 0 }, passed: true }, 'staff-token');
+    assert.equal(response.json.passed, false);
+    assert.equal(JSON.parse(writes().at(-1).body).passed, false);
+  });
+
+  it('keeps an earlier pass when a later attempt misses', async () => {
+    await submit({ course: 'verification', reading: 'unit-1-reading-7', answers: { dilemma: 1 } }, 'participant-token');
+    const response = await submit({ course: 'verification', reading: 'unit-1-reading-7', answers: { dilemma: 2 } }, 'participant-token');
+    assert.equal(response.json.passed, false);
+    assert.equal(JSON.parse(writes().at(-1).body).passed, true);
+  });
+
+  it('refuses an expired session rather than marking it as anonymous', async () => {
+    const response = await submit({ course: 'verification', reading: READING, answers: RIGHT }, 'expired-token');
+    assert.equal(response.status, 401);
+  });
+
+  it('answers 404 for a reading without a check or an unknown course', async () => {
+    assert.equal((await submit({ course: 'verification', reading: 'unit-1-reading-9', answers: {} })).status, 404);
+    assert.equal((await submit({ course: 'nope', reading: READING, answers: RIGHT })).status, 404);
+  });
+
+  it('answers 404, not a crash, for a course named after an Object property', async () => {
+    for (const course of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.equal((await submit({ course, reading: READING, answers: RIGHT })).status, 404, course);
+    }
+  });
+
+  it('answers 400 for a body that is not a JSON object', async () => {
+    assert.equal((await invoke('checks', { method: 'POST', body: 'null' })).status, 400);
+    assert.equal((await invoke('checks', { method: 'POST', body: '{nope' })).status, 400);
+  });
+
+  it('only allows POST', async () => {
+    assert.equal((await invoke('checks', { method: 'GET' })).status, 405);
+  });
+});
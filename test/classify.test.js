@@ -0,0 +1,52 @@
+// Which Luma events make the CAISH listings (lib/classify.js)
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyEvent } = require('../lib/classify');
+
+function event(fields) {
+  return { api_id: 'evt-1', name: '', description: '', tags: [], calendar_api_id: 'cal-partner', ...fields };
+}
+
+const PARTNER_TALK = event({
+  name: 'Meridian talk: compute governance',
+  description: 'Co-hosted with friends from CAISH.'
+});
+
+afterEach(() => { delete process.env.LUMA_CALENDAR_IDS; });
+
+describe('classifyEvent', () => {
+  it('includes a series-named event with CAISH in the description while no calendars are set', () => {
+    assert.deepEqual(classifyEvent(PARTNER_TALK), {
+      included: true, rule: 'series-name', series: 'talk', audience: 'open'
+    });
+  });
+
+  it('needs CAISH in the name, or our calendar, for a series-name match once calendars are set', () => {
+    process.env.LUMA_CALENDAR_IDS = 'cal-caish';
+    const result = classifyEvent(PARTNER_TALK);
+    assert.equal(result.included, false);
+    assert.equal(result.rule, 'no-match');
+
+    assert.equal(classifyEvent({ ...PARTNER_TALK, calendar_api_id: 'cal-caish' }).rule, 'calendar');
+    assert.deepEqual(
+      classifyEvent({ ...PARTNER_TALK, name: 'CAISH talk: compute governance' }),
+      { included: true, rule: 'series-name', series: 'talk', audience: 'open' }
+    );
+  });
+
+  it('keeps series tags ahead of the calendar check', () => {
+    process.env.LUMA_CALENDAR_IDS = 'cal-caish';
+    const result = classifyEvent(event({ name: 'Pub quiz', tags: ['Social'] }));
+    assert.equal(result.included, true);
+    assert.equal(result.rule, 'tag');
+    assert.equal(result.series, 'social');
+  });
+
+  it('drops events that only mention CAISH in the description once calendars are set', () => {
+    const mention = event({ name: 'Reading group', description: 'Run with CAISH.' });
+    assert.equal(classifyEvent(mention).rule, 'description');
+    process.env.LUMA_CALENDAR_IDS = 'cal-caish';
+    assert.equal(classifyEvent(mention).included, false);
+  });
+});
@@ -0,0 +1,96 @@
+// Cohort summaries for the facilitator dashboard (lib/cohort.js): completion
+// counted the way the course page counts it, and sketch status; and who the
+// cohort endpoint serves them to
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, invoke } = require('./helpers');
+const { summarise, toCsv } = require('../lib/cohort');
+const manifest = require('../course/verification/manifest.js');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const USER = { id: 'user-1', email: 'pat@example.org', user_metadata: { full_name: 'Pat' } };
+
+function progress(...ids) {
+  return ids.map(id => ({ user_id: USER.id, reading_id: id, created_at: '2026-10-18T12:00:00Z' }));
+}
+
+function summary({ requireChecks = false, checks = [], sketches = [] } = {}) {
+  return summarise({
+    manifest: { ...manifest, requireChecks },
+    users: [USER],
+    progress: progress('unit-1-reading-1', 'unit-1-reading-2', 'unit-1-reading-7'),
+    sketches,
+    checks,
+    now: NOW
+  });
+}
+
+describe('summarise', () => {
+  it('counts every reading marked done when checks are optional', () => {
+    assert.equal(summary().participants[0].completed, 3);
+  });
+
+  it('leaves out readings with an unpassed check when the course requires them', () => {
+    const checks = [
+      { user_id: USER.id, reading_id: 'unit-1-reading-1', passed: true, updated_at: '2026-10-18T12:00:00Z' },
+      { user_id: USER.id, reading_id: 'unit-1-reading-7', passed: false, updated_at: '2026-10-18T12:00:00Z' }
+    ];
+    const [person] = summary({ requireChecks: true, checks }).participants;
+    assert.equal(person.completed, 2);
+    assert.equal(person.units[1], 2);
+    assert.equal(person.checks_passed, 1);
+  });
+
+  it('shows a sketch as submitted once the sketch endpoint has stamped it', () => {
+    const sketches = [{
+      user_id: USER.id,
+      worksheet: { q1: 'Audit trails', q2: '' },
+      updated_at: '2026-10-18T12:00:00Z',
+      submitted_at: '2026-10-18T12:00:00Z'
+    }];
+    const result = summary({ sketches });
+    assert.deepEqual(result.participants[0].sketch, {
+      status: 'submitted',
+      answered: 1,
+      updated_at: '2026-10-18T12:00:00Z',
+      submitted_at: '2026-10-18T12:00:00Z'
+    });
+    const [header, row] = toCsv(result).split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('sketch_status')], 'submitted');
+    assert.equal(row[header.indexOf('sketch_submitted')], '2026-10-18T12:00:00Z');
+  });
+
+  it('keeps an unsubmitted sketch in progress', () => {
+    const sketches = [{ user_id: USER.id, worksheet: { q1: 'Audit trails' }, updated_at: '2026-10-18T12:00:00Z' }];
+    assert.equal(summary({ sketches }).participants[0].sketch.status, 'in progress');
+  });
+});
+
+describe('cohort endpoint', () => {
+  function cohort(token, query = { course: 'verification' }) {
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    return invoke('cohort', { headers, query });
+  }
+
+  it('serves the cohort to staff', async () => {
+    const response = await cohort('staff-token');
+    assert.equal(response.status, 200);
+    assert.equal(response.json.course.id, 'verification');
+  });
+
+  it('turns away people who are not signed in or not staff', async () => {
+    assert.equal((await cohort(null)).status, 401);
+    assert.equal((await cohort('participant-token')).status, 403);
+  });
+
+  it('answers 404, not a crash, for unknown courses and Object property names', async () => {
+    for (const course of ['governance', 'constructor', 'toString', '__proto__']) {
+      assert.equal((await cohort('staff-token', { course })).status, 404, course);
+    }
+  });
+});
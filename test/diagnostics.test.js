@@ -0,0 +1,49 @@
+// Admin diagnostics: only for the CAISH_ADMIN_TOKEN bearer
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+
+let mock;
+before(async () => { mock = await startHarness({ luma: 'multi-page' }); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+function diagnostics(headers = {}, query = {}) {
+  return invoke('diagnostics', { method: 'GET', headers, query });
+}
+
+describe('diagnostics', () => {
+  it('refuses a request without a token', async () => {
+    const response = await diagnostics();
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.json, { error: 'Unauthorized' });
+  });
+
+  it('refuses a wrong token, including one that only starts right', async () => {
+    for (const token of ['not-the-token', 'harness-admin-token-but-longer', 'harness-admin', '']) {
+      const response = await diagnostics({ authorization: `Bearer ${token}` });
+      assert.equal(response.status, 401, token);
+    }
+  });
+
+  it('reports to the admin token', async () => {
+    const response = await diagnostics({ authorization: 'Bearer harness-admin-token' }, { refresh: 'true' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['Cache-Control'], 'no-store');
+    assert.ok(response.json.summary.total > 0);
+    assert.ok(response.json.upstream.calls.length > 0);
+    assert.deepEqual(response.json.failed_extra_event_ids, ['evt-missing']);
+  });
+
+  it('is off when no admin token is configured', async () => {
+    const token = process.env.CAISH_ADMIN_TOKEN;
+    delete process.env.CAISH_ADMIN_TOKEN;
+    try {
+      // An empty bearer must not match an unset token
+      assert.equal((await diagnostics({ authorization: 'Bearer ' })).status, 503);
+    } finally {
+      process.env.CAISH_ADMIN_TOKEN = token;
+    }
+  });
+});
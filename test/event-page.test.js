@@ -0,0 +1,57 @@
+// The /events/<slug> detail pages, rendered from the events snapshot
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startHarness, freshStore, invoke } = require('./helpers');
+const { extractShell } = require('../build-shell');
+
+let mock;
+before(async () => { mock = await startHarness({ luma: 'multi-page' }); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+function page(slug) {
+  return invoke('event-page', { path: `/events/${slug}` });
+}
+
+describe('event-page', () => {
+  it('renders a listed event by its slug', async () => {
+    const { json } = await invoke('events');
+    const social = json.events.find(event => event.name === 'CAISH Social');
+    const response = await page(social.slug);
+    assert.equal(response.status, 200);
+    assert.match(response.headers['Content-Type'], /text\/html/);
+    assert.match(response.body, /CAISH Social/);
+  });
+
+  it('answers 404 for an event the listings leave out', async () => {
+    const response = await page('room-booking');
+    assert.equal(response.status, 404);
+    assert.doesNotMatch(response.body, /Room booking/);
+  });
+
+  it('answers 404 for a slug it does not know', async () => {
+    assert.equal((await page('no-such-event')).status, 404);
+  });
+
+  it('carries the nav, footer and asset versions of events.html', async () => {
+    const eventsHtml = fs.readFileSync(path.join(__dirname, '..', 'events.html'), 'utf8');
+    const shell = extractShell(eventsHtml);
+    const { json } = await invoke('events');
+    for (const body of [(await page(json.events[0].slug)).body, (await page('no-such-event')).body]) {
+      assert.ok(body.includes(shell.header));
+      assert.ok(body.includes(shell.footer));
+      assert.ok(body.includes(shell.styles));
+      assert.ok(body.includes(shell.enhancements));
+      assert.match(body, /MobileNav\.init\(\);/);
+    }
+  });
+
+  it('has lib/site-shell.json up to date with events.html', () => {
+    const eventsHtml = fs.readFileSync(path.join(__dirname, '..', 'events.html'), 'utf8');
+    assert.deepEqual(require('../lib/site-shell.json'), extractShell(eventsHtml),
+      'run node build-shell.js');
+  });
+});
@@ -0,0 +1,83 @@
+// The browser event renderer (events-loader.js): the .ics it builds on click
+// must fold the way the calendar feed (lib/ical.js) does, and on a partner
+// site (through embed.js) it must not touch the page's globals
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const EventsLoader = require('../events-loader.js');
+const { foldLine } = require('../lib/ical');
+
+const LINES = [
+  'SUMMARY:CAISH Social',
+  'DESCRIPTION:' + 'Pizza and talks. '.repeat(12),
+  'SUMMARY:Café discussion — “what would convince you?” with 🍕 '.repeat(3),
+  'LOCATION:' + '中文'.repeat(40),
+  'X:' + 'a'.repeat(72) + '€'
+];
+
+function octets(part) {
+  return Buffer.byteLength(part);
+}
+
+describe('EventsLoader.foldIcsLine', () => {
+  it('folds like lib/ical.js', () => {
+    LINES.forEach(line => assert.equal(EventsLoader.foldIcsLine(line), foldLine(line)));
+  });
+
+  it('keeps every line within 75 octets and every character whole', () => {
+    LINES.forEach(line => {
+      const folded = EventsLoader.foldIcsLine(line).split('\r\n');
+      folded.forEach(part => assert.ok(octets(part) <= 75, `${octets(part)} octets: ${part}`));
+      assert.equal(folded.map((part, index) => (index ? part.slice(1) : part)).join(''), line);
+      assert.ok(!folded.join('').includes('�'));
+    });
+  });
+
+  it('leaves short lines alone', () => {
+    assert.equal(EventsLoader.foldIcsLine('BEGIN:VEVENT'), 'BEGIN:VEVENT');
+  });
+});
+
+describe('EventsLoader.buildIcs', () => {
+  it('writes CRLF lines of at most 75 octets', () => {
+    const ics = EventsLoader.buildIcs({
+      uid: 'evt-social-1@caish.org',
+      title: 'CAISH Social — “Alignment, über alles?” 🍕',
+      start: '2026-10-22T18:30:00.000Z',
+      end: '2026-10-22T21:00:00.000Z',
+      location: 'Cambridge; the usual place, upstairs',
+      url: 'https://lu.ma/caish-social-oct',
+      description: 'Naïve questions welcome. '.repeat(10)
+    });
+    assert.ok(ics.endsWith('\r\n'));
+    ics.slice(0, -2).split('\r\n').forEach(line => assert.ok(octets(line) <= 75, line));
+    assert.ok(ics.includes('LOCATION:Cambridge\\; the usual place\\, upstairs'));
+  });
+});
+
+// Runs events-loader.js as a browser would, as a classic script
+function loadInBrowser(scriptAttributes) {
+  const script = { hasAttribute: name => name in scriptAttributes };
+  const context = vm.createContext({ document: { currentScript: script } });
+  context.window = context;
+  const source = fs.readFileSync(path.join(__dirname, '..', 'events-loader.js'), 'utf8');
+  vm.runInContext(source, context);
+  return { context, script };
+}
+
+describe('events-loader.js in the browser', () => {
+  it('sets window.EventsLoader on caish.org pages', () => {
+    const { context } = loadInBrowser({});
+    assert.equal(vm.runInContext('typeof EventsLoader.renderEventCard', context), 'function');
+  });
+
+  it('leaves no globals on a partner page and hands the renderer to the embed', () => {
+    const { context, script } = loadInBrowser({ 'data-caish-embed': '' });
+    assert.equal(vm.runInContext('typeof EventsLoader', context), 'undefined');
+    assert.deepEqual(Object.keys(context).sort(), ['document', 'window']);
+    assert.equal(typeof script.eventsLoader.renderEventCard, 'function');
+  });
+});
@@ -0,0 +1,130 @@
+// The events function against each Luma fixture (harness/fixtures/luma)
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+function names(response) {
+  return response.json.events.map(event => event.name);
+}
+
+function warningPaths(response) {
+  return (response.json.warnings || []).map(warning => `${warning.path} ${warning.status}`);
+}
+
+describe('events', () => {
+  it('follows cursors across pages and keeps only CAISH events', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const response = await invoke('events');
+    assert.equal(response.status, 200);
+    assert.deepEqual(names(response), [
+      'Speaker talk: evaluating frontier models',
+      'CAISH Social',
+      'CAISH Lunch',
+      'CAISH x Meridian Hackathon'
+    ]);
+    assert.equal(response.json.total, 4);
+    assert.ok(!names(response).includes('Room booking'));
+    assert.deepEqual(warningPaths(response), ['/event/get 404']);
+  });
+
+  it('labels events with their series', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const response = await invoke('events');
+    const series = Object.fromEntries(response.json.events.map(event => [event.name, event.series]));
+    assert.equal(series['CAISH Social'], 'social');
+    assert.equal(series['CAISH Lunch'], 'lunch');
+    assert.equal(series['Speaker talk: evaluating frontier models'], 'talk');
+    assert.equal(series['CAISH x Meridian Hackathon'], null);
+  });
+
+  it('filters by series, search terms and the archive', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    assert.deepEqual(names(await invoke('events', { query: { series: 'lunch' } })), ['CAISH Lunch']);
+    assert.deepEqual(names(await invoke('events', { query: { q: 'frontier' } })), ['Speaker talk: evaluating frontier models']);
+    assert.deepEqual(names(await invoke('events', { query: { past: 'true' } })), [
+      'Speaker talk: evaluating frontier models',
+      'How Do We Solve Alignment #4'
+    ]);
+  });
+
+  it('pages with limit and offset', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const response = await invoke('events', { query: { limit: '2', offset: '1' } });
+    assert.deepEqual(names(response), ['CAISH Social', 'CAISH Lunch']);
+    assert.equal(response.json.has_more, true);
+    assert.equal(response.json.next_offset, 3);
+  });
+
+  it('answers 400 for a query it cannot use', async () => {
+    const unknown = await invoke('events', { query: { series: 'nope' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.json.error, /Unknown series "nope"/);
+    assert.equal((await invoke('events', { query: { from: 'soon' } })).status, 400);
+    assert.equal((await invoke('events', { query: { sort: 'sideways' } })).status, 400);
+  });
+
+  it('stops at has_more without a cursor instead of looping', async () => {
+    mock.setScenario({ luma: 'has-more-without-cursor' });
+    const response = await invoke('events');
+    assert.equal(response.status, 200);
+    assert.deepEqual(names(response), ['CAISH Social']);
+    const listCalls = mock.requests.filter(entry => entry.path === '/luma/calendar/list-events');
+    assert.ok(listCalls.every(entry => !entry.query.includes('pagination_cursor=undefined')));
+  });
+
+  it('returns the first page and a warning when a later page fails', async () => {
+    mock.setScenario({ luma: 'second-page-error' });
+    const response = await invoke('events');
+    assert.equal(response.status, 200);
+    assert.deepEqual(names(response), ['CAISH Social']);
+    assert.ok(warningPaths(response).includes('/calendar/list-events 503'));
+  });
+
+  it('answers 503 when Luma sends a body that is not JSON', async () => {
+    mock.setScenario({ luma: 'malformed-json' });
+    const response = await invoke('events');
+    assert.equal(response.status, 503);
+    assert.match(response.json.error, /Unable to load events/);
+  });
+
+  it('answers 503 when Luma keeps failing and nothing is stored', async () => {
+    mock.setScenario({ luma: 'server-error' });
+    const response = await invoke('events');
+    assert.equal(response.status, 503);
+  });
+
+  it('serves the last good snapshot, flagged stale, when Luma fails', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    await invoke('events');
+    // Age the stored snapshot so the next request refetches
+    const { getStore } = require('../lib/store');
+    const store = getStore('luma');
+    const snapshot = await store.get('events');
+    await store.setJSON('events', { ...snapshot, fetched_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+
+    mock.setScenario({ luma: 'server-error' });
+    const response = await invoke('events');
+    assert.equal(response.status, 200);
+    assert.equal(response.json.stale, true);
+    assert.equal(response.json.total, 4);
+    assert.equal(response.headers['Cache-Control'], 's-maxage=60');
+  });
+
+  it('uses start_time when an event has no start_at', async () => {
+    mock.setScenario({ luma: 'start-time-only' });
+    const response = await invoke('events');
+    assert.equal(response.status, 200);
+    assert.deepEqual(names(response), ['CAISH Social', 'CAISH Lunch']);
+    response.json.events.forEach(event => assert.ok(!Number.isNaN(new Date(event.start_at).getTime())));
+  });
+
+  it('only allows GET', async () => {
+    assert.equal((await invoke('events', { method: 'POST', body: '{}' })).status, 405);
+  });
+});
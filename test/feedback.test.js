@@ -0,0 +1,77 @@
+// Anonymous course feedback: validation, the honeypot and the Airtable append
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, invoke } = require('./helpers');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+
+// No client IP header, so the per-IP rate limit never trips between tests
+function send(payload) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return invoke('feedback', { method: 'POST', body });
+}
+
+function airtableCalls() {
+  return mock.requests.filter(entry => entry.path.startsWith('/airtable/'));
+}
+
+describe('feedback', () => {
+  it('appends feedback and keeps only known options', async () => {
+    const before = airtableCalls().length;
+    const response = await send({ feedback: 'Unit 2 reading 3 is paywalled', where: 'Unit 02', time_taken: 'a week' });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.message, 'Thanks, noted.');
+    const calls = airtableCalls().slice(before);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(JSON.parse(calls[0].body).records[0].fields, {
+      feedback: 'Unit 2 reading 3 is paywalled',
+      where: 'Unit 02'
+    });
+  });
+
+  it('tells bots that fill the honeypot it worked, and stores nothing', async () => {
+    const before = airtableCalls().length;
+    const response = await send({ feedback: 'Buy now', website: 'https://spam.example' });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.message, 'Thanks');
+    assert.equal(airtableCalls().length, before);
+  });
+
+  it('requires some feedback', async () => {
+    const response = await send({ feedback: '   ', where: 'General' });
+    assert.equal(response.status, 400);
+    assert.equal(response.json.message, 'Say what is off before submitting');
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    const response = await send('feedback=hello');
+    assert.equal(response.status, 400);
+    assert.equal(response.json.message, 'Bad request');
+  });
+
+  it('answers 413 for an oversized body before parsing it', async () => {
+    assert.equal((await send('x'.repeat(40001))).status, 413);
+  });
+
+  it('answers 502 when Airtable fails', async () => {
+    mock.setScenario({ airtable: 'error' });
+    try {
+      assert.equal((await send({ feedback: 'Still broken' })).status, 502);
+    } finally {
+      mock.setScenario({ airtable: 'ok' });
+    }
+  });
+
+  it('rate limits one address after five submissions', async () => {
+    const headers = { 'x-nf-client-connection-ip': '203.0.113.9' };
+    const body = JSON.stringify({ feedback: 'Again' });
+    const statuses = [];
+    for (let i = 0; i < 6; i += 1) {
+      statuses.push((await invoke('feedback', { method: 'POST', headers, body })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+  });
+});
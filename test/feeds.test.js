@@ -0,0 +1,78 @@
+// Atom and JSON Feed entries (lib/feeds.js) across snapshot rebuilds: ids
+// never change, and updated only moves when the seen ledger
+// (trackChanges in lib/events-cache.js) sees an event's details change
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { trackChanges } = require('../lib/events-cache');
+const { feedEntries, renderAtom, renderJsonFeed } = require('../lib/feeds');
+
+const FIRST = '2026-10-19T09:00:00.000Z';
+const SECOND = '2026-10-19T09:05:00.000Z';
+const NOW = new Date('2026-10-19T09:06:00.000Z');
+
+const EVENTS = [
+  { api_id: 'evt-social-1', slug: 'caish-social-oct', name: 'CAISH Social', description: 'Pizza', start_at: '2026-10-22T17:30:00.000Z', end_at: '2026-10-22T20:00:00.000Z', url: 'https://lu.ma/caish-social-oct' },
+  { api_id: 'evt-lunch-1', slug: 'caish-lunch-1', name: 'CAISH Lunch', description: 'Sandwiches', start_at: '2026-10-24T12:00:00.000Z', end_at: '2026-10-24T13:00:00.000Z', url: 'https://lu.ma/caish-lunch-1' }
+];
+
+// One rebuild: the ledger from the previous one, then both renderings
+function build(events, previous, fetchedAt) {
+  const seen = trackChanges(previous, events, fetchedAt);
+  const entries = feedEntries(events, seen, fetchedAt, NOW);
+  const render = { title: 'Events', selfUrl: 'https://caish.org/events.atom', entries, fetchedAt };
+  return { seen, atom: renderAtom(render), json: JSON.parse(renderJsonFeed(render)) };
+}
+
+function atomEntries(atom) {
+  return Array.from(atom.matchAll(/<entry>[\s\S]*?<id>(.*?)<\/id>[\s\S]*?<updated>(.*?)<\/updated>/g))
+    .map(([, id, updated]) => ({ id, updated }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function jsonEntries(json) {
+  return json.items
+    .map(item => ({ id: item.id, published: item.date_published, updated: item.date_modified }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+describe('feeds across rebuilds', () => {
+  it('keep the same ids and times when nothing changed', () => {
+    const first = build(EVENTS, null, FIRST);
+    const second = build(EVENTS.map(event => ({ ...event })), first.seen, SECOND);
+    assert.deepEqual(jsonEntries(second.json), jsonEntries(first.json));
+    assert.deepEqual(atomEntries(second.atom), atomEntries(first.atom));
+    assert.deepEqual(jsonEntries(first.json).map(entry => entry.id), [
+      'tag:caish.org,2025:event/evt-lunch-1',
+      'tag:caish.org,2025:event/evt-social-1'
+    ]);
+    assert.ok(jsonEntries(second.json).every(entry => entry.updated === FIRST));
+  });
+
+  it('move updated for the edited event only, keeping its id through a rename', () => {
+    const first = build(EVENTS, null, FIRST);
+    const edited = EVENTS.map(event => (event.api_id === 'evt-social-1'
+      ? { ...event, name: 'CAISH Social: Halloween', slug: 'caish-social-halloween', url: 'https://lu.ma/caish-social-halloween' }
+      : { ...event }));
+    const second = build(edited, first.seen, SECOND);
+
+    assert.deepEqual(jsonEntries(second.json), [
+      { id: 'tag:caish.org,2025:event/evt-lunch-1', published: FIRST, updated: FIRST },
+      { id: 'tag:caish.org,2025:event/evt-social-1', published: FIRST, updated: SECOND }
+    ]);
+    assert.deepEqual(atomEntries(second.atom), [
+      { id: 'tag:caish.org,2025:event/evt-lunch-1', updated: FIRST },
+      { id: 'tag:caish.org,2025:event/evt-social-1', updated: SECOND }
+    ]);
+    // Most recently changed first, and the feed's own updated follows it
+    assert.equal(second.json.items[0].id, 'tag:caish.org,2025:event/evt-social-1');
+    assert.match(second.atom, new RegExp(`<feed[\\s\\S]*?<updated>${SECOND}</updated>`));
+  });
+
+  it('date a new event from the rebuild that first saw it', () => {
+    const first = build(EVENTS.slice(0, 1), null, FIRST);
+    const second = build(EVENTS, first.seen, SECOND);
+    const lunch = jsonEntries(second.json).find(entry => entry.id.endsWith('evt-lunch-1'));
+    assert.deepEqual(lunch, { id: 'tag:caish.org,2025:event/evt-lunch-1', published: SECOND, updated: SECOND });
+  });
+});
@@ -0,0 +1,61 @@
+// Shared setup for the function tests: the mock upstreams and environment
+// from harness/, and a way to call a Netlify function the way Netlify does.
+//
+// Each test file runs in its own process (node --test), so the environment
+// is set once per file, before any function is required.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockUpstreams } = require('../harness/mock-upstreams');
+const { harnessEnv } = require('../harness/environment');
+
+const FUNCTIONS = path.join(__dirname, '..', 'netlify', 'functions');
+
+// The functions log every upstream failure they handle; TEST_VERBOSE=1 shows them
+function quiet() {
+  if (process.env.TEST_VERBOSE) return;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+async function startHarness(options = {}) {
+  quiet();
+  const mock = await startMockUpstreams({ port: 0, ...options });
+  Object.assign(process.env, harnessEnv(mock, options));
+  delete process.env.NETLIFY_PURGE_API_TOKEN;
+  delete process.env.FORM_TOKEN_SECRET;
+  return mock;
+}
+
+// An empty JSON store, so one test's events snapshot does not serve the next
+function freshStore() {
+  process.env.CAISH_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caish-test-'));
+}
+
+// Calls netlify/functions/<name>.js; body is parsed when it is JSON
+async function invoke(name, { method, path: requestPath, query = {}, headers = {}, body = '' } = {}) {
+  const { handler } = require(path.join(FUNCTIONS, `${name}.js`));
+  const response = await handler({
+    httpMethod: method || (body ? 'POST' : 'GET'),
+    path: requestPath || `/.netlify/functions/${name}`,
+    queryStringParameters: query,
+    headers,
+    body,
+    isBase64Encoded: false
+  });
+  let json = null;
+  try {
+    json = JSON.parse(response.body);
+  } catch (error) {
+    // Not JSON
+  }
+  return { status: response.statusCode, headers: response.headers || {}, body: response.body, json };
+}
+
+module.exports = {
+  startHarness,
+  freshStore,
+  invoke
+};
@@ -0,0 +1,178 @@
+// lib/http.js: the same request through netlify() and vercel() must reach the
+// endpoint the same way and come back with the same status, headers and body.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { json, text, redirect, lumaErrorResponse, netlify, vercel } = require('../lib/http');
+const { LumaError, LumaConfigError, LumaResponseError } = require('../lib/luma');
+
+// Echoes what it was given, so the test sees the request each adapter built
+async function echo(request) {
+  return json(200, request, { 'Cache-Control': 'no-store', 'X-Echo': 'yes' });
+}
+
+// What Netlify passes a function
+function netlifyEvent({ method, path, query, headers, body, base64 }) {
+  return {
+    httpMethod: method,
+    path,
+    queryStringParameters: query,
+    headers,
+    body: base64 ? Buffer.from(body).toString('base64') : body,
+    isBase64Encoded: Boolean(base64)
+  };
+}
+
+// What Vercel passes a function: a readable request (the raw bytes) with
+// req.body already parsed from JSON unless the body parser is off
+function vercelRequest({ method, path, query, headers, body }, { bodyParser = true } = {}) {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  const search = new URLSearchParams(query).toString();
+  req.method = method;
+  req.url = path + (search ? '?' + search : '');
+  req.headers = headers;
+  if (bodyParser) {
+    const isJson = /json/.test(headers['content-type'] || '');
+    req.body = body && isJson ? JSON.parse(body) : body || undefined;
+  }
+  return req;
+}
+
+function vercelResponse() {
+  const res = { statusCode: null, headers: {}, body: undefined };
+  res.status = code => { res.statusCode = code; return res; };
+  res.setHeader = (key, value) => { res.headers[key] = value; };
+  res.send = body => { res.body = body; return res; };
+  return res;
+}
+
+async function throughNetlify(endpoint, request) {
+  const response = await netlify(endpoint)(netlifyEvent(request));
+  return { status: response.statusCode, headers: response.headers, body: response.body };
+}
+
+async function throughVercel(endpoint, request, options) {
+  const res = vercelResponse();
+  await vercel(endpoint, options)(vercelRequest(request, { bodyParser: !(options && options.rawBody) }), res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+const REQUESTS = {
+  'a GET with a query': {
+    method: 'GET',
+    path: '/api/events',
+    query: { series: 'social', past: 'true' },
+    headers: { 'Accept': 'application/json', 'X-Forwarded-For': '203.0.113.9' },
+    body: ''
+  },
+  'a JSON POST': {
+    method: 'POST',
+    path: '/api/feedback',
+    query: {},
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"feedback":"Reading 3 is paywalled","where":"Unit 02"}'
+  },
+  'a form POST': {
+    method: 'POST',
+    path: '/api/subscribe',
+    query: {},
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'email=ada%40example.com&interests=events'
+  }
+};
+
+describe('netlify() and vercel()', () => {
+  for (const [name, request] of Object.entries(REQUESTS)) {
+    it(`agree on ${name}`, async () => {
+      const fromNetlify = await throughNetlify(echo, request);
+      const fromVercel = await throughVercel(echo, request);
+      assert.deepEqual(fromVercel, fromNetlify);
+      assert.equal(fromNetlify.status, 200);
+      assert.equal(fromNetlify.headers['X-Echo'], 'yes');
+      const seen = JSON.parse(fromNetlify.body);
+      assert.equal(seen.method, request.method);
+      assert.equal(seen.path, request.path);
+      assert.deepEqual(seen.query, request.query);
+      assert.equal(seen.body, request.body);
+      // Header names reach the endpoint lower-cased on both
+      Object.keys(seen.headers).forEach(key => assert.equal(key, key.toLowerCase()));
+    });
+  }
+
+  it('agree on text, redirect and error responses', async () => {
+    const endpoints = [
+      async () => text(404, 'Unknown event series.', { 'Cache-Control': 's-maxage=3600' }),
+      async () => redirect('https://lu.ma/caish-social-oct', { 'Cache-Control': 's-maxage=3600' }),
+      async () => json(429, { message: 'Too many requests' }, { 'Retry-After': '60' })
+    ];
+    for (const endpoint of endpoints) {
+      const request = REQUESTS['a GET with a query'];
+      assert.deepEqual(await throughVercel(endpoint, request), await throughNetlify(endpoint, request));
+    }
+  });
+
+  it('decode a base64 Netlify body to the bytes Vercel reads', async () => {
+    const request = { ...REQUESTS['a JSON POST'], body: '{"feedback":"naïve — “quoted”"}' };
+    const fromNetlify = await throughNetlify(echo, { ...request, base64: true });
+    const fromVercel = await throughVercel(echo, request);
+    assert.deepEqual(fromVercel, fromNetlify);
+    assert.equal(JSON.parse(fromNetlify.body).body, request.body);
+  });
+
+  it('pass the body byte for byte with { rawBody: true }', async () => {
+    // Spacing and key order a JSON round trip would not keep, as in a signed webhook
+    const body = '{ "type":"event.updated",  "data": {"api_id":"evt-1"} }\n';
+    const request = { ...REQUESTS['a JSON POST'], path: '/api/luma-webhook', body };
+    const fromNetlify = await throughNetlify(echo, request);
+    const fromVercel = await throughVercel(echo, request, { rawBody: true });
+    assert.deepEqual(fromVercel, fromNetlify);
+    assert.equal(JSON.parse(fromVercel.body).body, body);
+  });
+
+  it('give an empty string for a request without a body', async () => {
+    const request = { ...REQUESTS['a GET with a query'], method: 'DELETE' };
+    const fromVercel = await throughVercel(echo, request);
+    assert.deepEqual(fromVercel, await throughNetlify(echo, request));
+    assert.equal(JSON.parse(fromVercel.body).body, '');
+    const raw = await throughVercel(echo, request, { rawBody: true });
+    assert.equal(JSON.parse(raw.body).body, '');
+  });
+});
+
+describe('lumaErrorResponse', () => {
+  const render = (status, message) => text(status, message);
+  const quietly = fn => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      return fn();
+    } finally {
+      console.error = error;
+    }
+  };
+
+  it('answers 500 for a missing API key, since retrying will not help', () => {
+    const response = quietly(() => lumaErrorResponse(new LumaConfigError('LUMA_API_KEY is not set'), render));
+    assert.equal(response.status, 500);
+    assert.equal(response.body, 'API configuration error');
+  });
+
+  it('answers 503 when Luma failed', () => {
+    for (const error of [new LumaResponseError('Luma responded 502', 502, 'Bad gateway'), new LumaError('Luma timed out')]) {
+      const response = quietly(() => lumaErrorResponse(error, render));
+      assert.equal(response.status, 503);
+      assert.equal(response.body, 'Unable to load events at this time. Please try again later.');
+    }
+  });
+
+  it('answers 500 for anything else, with the endpoint\'s message and format', () => {
+    const response = quietly(() => lumaErrorResponse(
+      new TypeError('events is not iterable'),
+      (status, message) => json(status, { error: message }),
+      'Could not refresh events'
+    ));
+    assert.equal(response.status, 500);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Could not refresh events' });
+  });
+});
@@ -0,0 +1,110 @@
+// The calendar feed (lib/ical.js and the calendar endpoint): VEVENT fields,
+// TEXT escaping, 75-octet folding and UTC times
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+const { renderCalendar } = require('../lib/ical');
+
+let mock;
+before(async () => { mock = await startHarness({ luma: 'multi-page' }); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+// A snapshot's worth of events with the awkward cases in it
+const SNAPSHOT = [
+  {
+    api_id: 'evt-social-1',
+    name: 'CAISH Social; pizza, talks & more',
+    description: 'Bring a friend.\nC:\\Users is not a venue',
+    // British Summer Time: 18:30 in Cambridge is 17:30 UTC
+    start_at: '2026-10-22T18:30:00+01:00',
+    end_at: '2026-10-22T21:00:00+01:00',
+    url: 'https://lu.ma/caish-social-oct',
+    geo_address_info: { address: '17 Mill Lane', city: 'Cambridge' }
+  },
+  {
+    api_id: 'evt-talk-1',
+    name: 'Vortrag über Alignment — “Was überzeugt dich?” '.repeat(3).trim(),
+    description: '',
+    // No end: an hour long. Greenwich Mean Time after the clocks go back
+    start_at: '2026-11-05T19:00:00.000Z',
+    url: 'https://lu.ma/caish-talk'
+  },
+  { api_id: 'evt-no-start', name: 'Undated' },
+  { name: 'No id', start_at: '2026-11-06T19:00:00.000Z' }
+];
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+function vevents(ics) {
+  return unfold(ics).split('BEGIN:VEVENT\r\n').slice(1).map(block =>
+    Object.fromEntries(block.split('\r\n').filter(line => line && line !== 'END:VEVENT' && line !== 'END:VCALENDAR')
+      .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])));
+}
+
+describe('renderCalendar', () => {
+  const ics = renderCalendar({ name: 'CAISH, Cambridge', events: SNAPSHOT });
+
+  it('writes one VCALENDAR with a VEVENT per dated event', () => {
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, /\r\nX-WR-CALNAME:CAISH\\, Cambridge\r\n/);
+    assert.equal(vevents(ics).length, 2);
+  });
+
+  it('fills in the VEVENT fields, in UTC', () => {
+    const [social, talk] = vevents(ics);
+    assert.equal(social.UID, 'evt-social-1@caish.org');
+    assert.match(social.DTSTAMP, /^\d{8}T\d{6}Z$/);
+    assert.equal(social.DTSTART, '20261022T173000Z');
+    assert.equal(social.DTEND, '20261022T200000Z');
+    assert.equal(social.URL, 'https://lu.ma/caish-social-oct');
+    assert.equal(talk.DTSTART, '20261105T190000Z');
+    assert.equal(talk.DTEND, '20261105T200000Z');
+    assert.equal(talk.DESCRIPTION, 'https://lu.ma/caish-talk');
+    assert.equal(talk.LOCATION, undefined);
+  });
+
+  it('escapes TEXT values', () => {
+    const [social] = vevents(ics);
+    assert.equal(social.SUMMARY, 'CAISH Social\\; pizza\\, talks & more');
+    assert.equal(social.DESCRIPTION, 'Bring a friend.\\nC:\\\\Users is not a venue\\n\\nhttps://lu.ma/caish-social-oct');
+    assert.equal(social.LOCATION, '17 Mill Lane\\, Cambridge');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    const lines = ics.slice(0, -2).split('\r\n');
+    lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`));
+    assert.ok(lines.some(line => line.startsWith(' ')), 'the long summary is folded');
+    assert.ok(!ics.includes('�'));
+    assert.equal(vevents(ics)[1].SUMMARY, SNAPSHOT[1].name);
+  });
+});
+
+describe('calendar endpoint', () => {
+  it('serves the snapshot as text/calendar', async () => {
+    const response = await invoke('calendar', { method: 'GET' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['Content-Type'], 'text/calendar; charset=utf-8');
+    assert.match(response.headers['Content-Disposition'], /caish-events\.ics/);
+    const uids = vevents(response.body).map(event => event.UID);
+    assert.ok(uids.includes('evt-social-1@caish.org'));
+    assert.ok(uids.includes('evt-lunch-1@caish.org'));
+    // Room bookings are not CAISH events
+    assert.ok(!uids.includes('evt-other-1@caish.org'));
+    response.body.slice(0, -2).split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  });
+
+  it('narrows to one series', async () => {
+    const response = await invoke('calendar', { method: 'GET', query: { series: 'lunch' } });
+    assert.deepEqual(vevents(response.body).map(event => event.UID), ['evt-lunch-1@caish.org']);
+    assert.match(response.headers['Content-Disposition'], /caish-lunch\.ics/);
+  });
+
+  it('answers 400 for an unknown series', async () => {
+    assert.equal((await invoke('calendar', { method: 'GET', query: { series: 'nope' } })).status, 400);
+  });
+});
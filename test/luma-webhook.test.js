@@ -0,0 +1,103 @@
+// Luma webhooks: signature and timestamp checks on the recorded deliveries in
+// harness/fixtures/webhooks, then the events snapshot refresh
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+const { signedWebhook } = require('../harness/environment');
+const { TOLERANCE_SECONDS } = require('../lib/webhooks');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+function deliver({ body, headers }) {
+  return invoke('luma-webhook', { method: 'POST', headers, body });
+}
+
+function lumaCalls() {
+  return mock.requests.filter(entry => entry.path === '/luma/calendar/list-events').length;
+}
+
+async function storedSnapshot() {
+  const { getStore } = require('../lib/store');
+  return getStore('luma').get('events');
+}
+
+describe('luma-webhook', () => {
+  for (const name of ['event-created', 'event-updated', 'event-canceled']) {
+    it(`refreshes the events snapshot on a signed ${name}`, async () => {
+      const before = lumaCalls();
+      assert.equal(await storedSnapshot(), null);
+      const response = await deliver(signedWebhook(name));
+      assert.equal(response.status, 200);
+      assert.equal(response.json.refreshed, true);
+      assert.ok(lumaCalls() > before);
+      const snapshot = await storedSnapshot();
+      assert.ok(snapshot.events.some(event => event.name === 'CAISH Social'));
+      assert.ok(!Number.isNaN(new Date(snapshot.fetched_at).getTime()));
+    });
+  }
+
+  it('rejects a delivery signed with another secret', async () => {
+    const secret = 'whsec_' + Buffer.from('someone-elses-secret').toString('base64');
+    const response = await deliver(signedWebhook('event-updated', { secret }));
+    assert.equal(response.status, 401);
+    assert.equal(response.json.error, 'Invalid signature');
+    assert.equal(await storedSnapshot(), null);
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const delivery = signedWebhook('event-updated');
+    const response = await deliver({ ...delivery, body: delivery.body.replace('Thursday', 'Friday') });
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects a delivery without signature headers', async () => {
+    const { body } = signedWebhook('event-updated');
+    assert.equal((await deliver({ body, headers: {} })).status, 401);
+  });
+
+  it('rejects a replay from outside the timestamp window', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const old = await deliver(signedWebhook('event-updated', { timestamp: now - TOLERANCE_SECONDS - 60 }));
+    assert.equal(old.status, 401);
+    const future = await deliver(signedWebhook('event-updated', { timestamp: now + TOLERANCE_SECONDS + 60 }));
+    assert.equal(future.status, 401);
+  });
+
+  it('acknowledges guest.registered without refreshing', async () => {
+    const before = lumaCalls();
+    const response = await deliver(signedWebhook('guest-registered'));
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.json, { received: true, refreshed: false });
+    assert.equal(lumaCalls(), before);
+  });
+
+  it('answers 400 for a signed body that is not JSON', async () => {
+    const response = await deliver(signedWebhook('event-updated', { body: '{"type":"event.updated"' }));
+    assert.equal(response.status, 400);
+    assert.equal(response.json.error, 'Invalid JSON');
+  });
+
+  it('answers 400 for a signed body of null or a bare value', async () => {
+    for (const body of ['null', '42', '"event.updated"']) {
+      const response = await deliver(signedWebhook('event-updated', { body }));
+      assert.equal(response.status, 400, body);
+    }
+  });
+
+  it('asks Luma to retry when the refresh fails', async () => {
+    mock.setScenario({ luma: 'server-error' });
+    try {
+      assert.equal((await deliver(signedWebhook('event-updated'))).status, 503);
+    } finally {
+      mock.setScenario({ luma: 'multi-page' });
+    }
+  });
+
+  it('only allows POST', async () => {
+    assert.equal((await invoke('luma-webhook', { method: 'GET' })).status, 405);
+  });
+});
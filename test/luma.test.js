@@ -0,0 +1,78 @@
+// The Luma client's retries (lib/luma.js), driven through the mock's Luma
+// scenarios: how often it asks again, how long it waits, and when it stops
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers');
+
+let mock, luma;
+before(async () => {
+  mock = await startHarness();
+  luma = require('../lib/luma');
+});
+after(() => mock.close());
+
+// Calendar page requests made since `since`, optionally for one cursor
+function pageRequests(since, cursor) {
+  return mock.requests
+    .filter(entry => entry.path === '/luma/calendar/list-events' && entry.at >= since)
+    .filter(entry => cursor === undefined || new URLSearchParams(entry.query).get('pagination_cursor') === cursor);
+}
+
+function gaps(requests) {
+  return requests.slice(1).map((entry, index) => entry.at - requests[index].at);
+}
+
+describe('Luma retries', () => {
+  it('retries a 429 twice, each time after the Retry-After it was given', async () => {
+    mock.setScenario({ luma: 'rate-limited' });
+    const since = Date.now();
+    await assert.rejects(luma.fetchEvents(), error => {
+      assert.ok(error instanceof luma.LumaResponseError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfterMs, 2000);
+      return true;
+    });
+    const requests = pageRequests(since);
+    assert.equal(requests.length, 3);
+    // Retry-After: 2, where backoff alone would wait about 250ms then 500ms
+    gaps(requests).forEach(gap => assert.ok(gap >= 1950 && gap < 2500, `waited ${gap}ms`));
+  });
+
+  it('backs off exponentially, with jitter, on server errors', async () => {
+    mock.setScenario({ luma: 'server-error' });
+    const since = Date.now();
+    await assert.rejects(luma.fetchEvents(), { status: 502 });
+    const requests = pageRequests(since);
+    assert.equal(requests.length, 3);
+    const [first, second] = gaps(requests);
+    // 250ms then 500ms, each ±25%
+    assert.ok(first >= 180 && first < 450, `first wait ${first}ms`);
+    assert.ok(second >= 370 && second < 750, `second wait ${second}ms`);
+  });
+
+  it('stops once the time budget is spent and keeps the pages it has', async () => {
+    mock.setScenario({ luma: 'slow-page' });
+    const since = Date.now();
+    const result = await luma.fetchEvents({ timeoutMs: 4000 });
+    const elapsed = Date.now() - since;
+    // One 3s attempt at the hanging page, a short wait, then the budget runs out
+    assert.ok(elapsed >= 3900 && elapsed < 4800, `took ${elapsed}ms`);
+    assert.equal(pageRequests(since, 'page-2').length, 2);
+    assert.deepEqual(result.events.map(event => event.api_id), ['evt-social-1']);
+    const pageWarnings = result.warnings.filter(warning => warning.path === '/calendar/list-events');
+    assert.equal(pageWarnings.length, 1);
+    assert.deepEqual(pageWarnings[0].params, { pagination_cursor: 'page-2' });
+    assert.match(pageWarnings[0].message, /timed out/);
+  });
+
+  it('does not retry a request Luma refused', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const since = Date.now();
+    const { calls } = await luma.fetchEvents();
+    const missing = calls.find(call => call.params.event_api_id === 'evt-missing');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.attempts, 1);
+    assert.equal(mock.requests.filter(entry => entry.at >= since && entry.query.includes('evt-missing')).length, 1);
+  });
+});
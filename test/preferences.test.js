@@ -0,0 +1,102 @@
+// The newsletter preference page's endpoint (lib/endpoints/preferences.js)
+// against the local provider: signed links, topic and frequency changes,
+// unsubscribing and asking for a new link
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+const { signToken } = require('../lib/signed-token');
+
+let mock, newsletter;
+before(async () => {
+  mock = await startHarness();
+  newsletter = require('../lib/newsletter');
+});
+after(() => mock.close());
+
+const EMAIL = 'reader@example.org';
+beforeEach(async () => {
+  freshStore();
+  await newsletter.subscribe({ email: EMAIL, interests: ['events'] });
+});
+
+function post(body) {
+  return invoke('preferences', { method: 'POST', body: JSON.stringify(body) });
+}
+
+function mailTo(email) {
+  return mock.requests.filter(entry => entry.path === '/mail/emails' && JSON.parse(entry.body).to[0] === email);
+}
+
+describe('preferences', () => {
+  it('shows the subscriber their preferences from a signed link', async () => {
+    const response = await invoke('preferences', { method: 'GET', query: { token: newsletter.preferencesToken(EMAIL) } });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.email, EMAIL);
+    assert.deepEqual(response.json.interests, ['events']);
+    assert.equal(response.json.frequency, 'all');
+    assert.equal(response.json.subscribed, true);
+    assert.ok(response.json.topics.some(topic => topic.slug === 'mars'));
+  });
+
+  it('saves topics and frequency, keeping only known values', async () => {
+    const response = await post({
+      action: 'update',
+      token: newsletter.preferencesToken(EMAIL),
+      interests: ['mars', 'nonsense', 'hiring'],
+      frequency: 'monthly'
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await newsletter.getPreferences(EMAIL), {
+      email: EMAIL,
+      interests: ['mars', 'hiring'],
+      frequency: 'monthly',
+      subscribed: true
+    });
+  });
+
+  it('unsubscribes but keeps the choices, and an update resubscribes', async () => {
+    const token = newsletter.preferencesToken(EMAIL);
+    assert.equal((await post({ action: 'unsubscribe', token })).status, 200);
+    assert.deepEqual(await newsletter.getPreferences(EMAIL), {
+      email: EMAIL,
+      interests: ['events'],
+      frequency: 'all',
+      subscribed: false
+    });
+    await post({ action: 'update', token, interests: ['events'], frequency: 'all' });
+    assert.equal((await newsletter.getPreferences(EMAIL)).subscribed, true);
+  });
+
+  it('refuses a forged or confirmation token', async () => {
+    const forged = newsletter.preferencesToken(EMAIL).replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    const confirmation = signToken('newsletter-confirm', { email: EMAIL }, process.env.NEWSLETTER_SECRET);
+    for (const token of [forged, confirmation, undefined]) {
+      const response = await post({ action: 'unsubscribe', token });
+      assert.equal(response.status, 401);
+      assert.equal(response.json.expired, true);
+    }
+    assert.equal((await newsletter.getPreferences(EMAIL)).subscribed, true);
+  });
+
+  it('answers 404 for an address with no subscription', async () => {
+    const response = await invoke('preferences', { method: 'GET', query: { token: newsletter.preferencesToken('nobody@example.org') } });
+    assert.equal(response.status, 404);
+  });
+
+  it('emails a fresh link only to subscribed addresses, answering the same either way', async () => {
+    const known = await post({ action: 'link', email: EMAIL });
+    const unknown = await post({ action: 'link', email: 'stranger@example.org' });
+    assert.equal(known.status, 202);
+    assert.deepEqual(unknown.json, known.json);
+    assert.equal(mailTo('stranger@example.org').length, 0);
+    const { text } = JSON.parse(mailTo(EMAIL).at(-1).body);
+    const token = new URL(text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    assert.equal(newsletter.preferencesEmail(token), EMAIL);
+  });
+
+  it('answers 400 for an unknown action and 405 for other methods', async () => {
+    assert.equal((await post({ action: 'delete', token: newsletter.preferencesToken(EMAIL) })).status, 400);
+    assert.equal((await invoke('preferences', { method: 'DELETE' })).status, 405);
+  });
+});
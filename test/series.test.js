@@ -0,0 +1,81 @@
+// The series redirects (/social, /lunch, /talk, /hdwsa) against the Luma fixtures
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+beforeEach(freshStore);
+
+function series(slug) {
+  return invoke('series', { path: `/.netlify/functions/series/${slug}` });
+}
+
+describe('series', () => {
+  it('redirects each series to its next event', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    // The only talk was two days ago, and talks do not fall back to the past
+    const expected = {
+      social: 'https://lu.ma/caish-social-oct',
+      lunch: 'https://lu.ma/caish-lunch-1',
+      talk: '/events'
+    };
+    for (const [slug, url] of Object.entries(expected)) {
+      const response = await series(slug);
+      assert.equal(response.status, 302, slug);
+      assert.equal(response.headers.Location, url, slug);
+    }
+  });
+
+  it('takes the slug from ?series= as well as the path', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const response = await invoke('series', { query: { series: 'lunch' } });
+    assert.equal(response.headers.Location, 'https://lu.ma/caish-lunch-1');
+  });
+
+  it('falls back to the latest past HDWSA event', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const response = await series('hdwsa');
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.Location, 'https://lu.ma/hdwsa-4');
+  });
+
+  it('sends series with nothing upcoming to /events', async () => {
+    mock.setScenario({ luma: 'empty' });
+    const response = await series('social');
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.Location, '/events');
+  });
+
+  it('answers 404 for HDWSA with no events at all', async () => {
+    mock.setScenario({ luma: 'empty' });
+    const response = await series('hdwsa');
+    assert.equal(response.status, 404);
+    assert.match(response.body, /No upcoming How Do We Solve Alignment events/);
+  });
+
+  it('pins the slug for the per-series Vercel functions', async () => {
+    mock.setScenario({ luma: 'multi-page' });
+    const { default: social } = await import('../api/social.js');
+    const res = { headers: {} };
+    res.status = code => { res.statusCode = code; return res; };
+    res.setHeader = (key, value) => { res.headers[key] = value; };
+    res.send = () => res;
+    await social({ method: 'GET', url: '/api/social?series=lunch', headers: {}, body: undefined }, res);
+    assert.equal(res.statusCode, 302);
+    assert.equal(res.headers.Location, 'https://lu.ma/caish-social-oct');
+  });
+
+  it('answers 404 for an unknown series', async () => {
+    const response = await series('karaoke');
+    assert.equal(response.status, 404);
+    assert.equal(response.body, 'Unknown event series.');
+  });
+
+  it('answers 503 when Luma cannot be read', async () => {
+    mock.setScenario({ luma: 'server-error' });
+    assert.equal((await series('social')).status, 503);
+  });
+});
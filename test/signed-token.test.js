@@ -0,0 +1,47 @@
+// Signed email-link tokens (lib/signed-token.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../lib/signed-token');
+
+const SECRET = 'test-secret';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+describe('signToken and verifyToken', () => {
+  it('round-trip the data', () => {
+    const token = signToken('newsletter-confirm', { email: 'a@example.org', interests: ['events'] }, SECRET, NOW);
+    assert.deepEqual(verifyToken('newsletter-confirm', token, SECRET, DAY_MS, NOW + 1000), {
+      email: 'a@example.org',
+      interests: ['events']
+    });
+  });
+
+  it('refuse a changed payload or signature', () => {
+    const token = signToken('newsletter-confirm', { email: 'a@example.org' }, SECRET, NOW);
+    const [, mac] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ email: 'b@example.org', p: 'newsletter-confirm', iat: NOW })).toString('base64url');
+    assert.equal(verifyToken('newsletter-confirm', `${forged}.${mac}`, SECRET, DAY_MS, NOW), null);
+    assert.equal(verifyToken('newsletter-confirm', token.slice(0, -2), SECRET, DAY_MS, NOW), null);
+    assert.equal(verifyToken('newsletter-confirm', token, 'another-secret', DAY_MS, NOW), null);
+  });
+
+  it('refuse a token made for another purpose', () => {
+    const token = signToken('newsletter-preferences', { email: 'a@example.org' }, SECRET, NOW);
+    assert.equal(verifyToken('newsletter-confirm', token, SECRET, DAY_MS, NOW), null);
+  });
+
+  it('refuse tokens past their age or from the future', () => {
+    const token = signToken('newsletter-confirm', { email: 'a@example.org' }, SECRET, NOW);
+    assert.equal(verifyToken('newsletter-confirm', token, SECRET, DAY_MS, NOW + DAY_MS + 1), null);
+    assert.equal(verifyToken('newsletter-confirm', token, SECRET, DAY_MS, NOW - 5 * 60 * 1000), null);
+  });
+
+  it('refuse junk and need a secret', () => {
+    ['', 'nodot', 'a.b', null, 42].forEach(token => {
+      assert.equal(verifyToken('newsletter-confirm', token, SECRET, DAY_MS, NOW), null);
+    });
+    assert.equal(verifyToken('newsletter-confirm', signToken('x', {}, SECRET, NOW), '', DAY_MS, NOW), null);
+    assert.throws(() => signToken('newsletter-confirm', {}, ''), /No secret/);
+  });
+});
@@ -0,0 +1,121 @@
+// Sketch submissions: the Supabase session check, the Airtable upsert, then
+// the submitted_at stamp the facilitator dashboard reads
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, invoke } = require('./helpers');
+
+let mock;
+before(async () => { mock = await startHarness(); });
+after(() => mock.close());
+
+const SKETCH = JSON.stringify({ answers: { q1: 'A benchmark for verifier honesty', q2: 'Nobody checks' } });
+
+function submit(token, body = SKETCH) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return invoke('sketch', { method: 'POST', headers, body });
+}
+
+function airtableCalls() {
+  return mock.requests.filter(entry => entry.path.startsWith('/airtable/'));
+}
+
+describe('sketch', () => {
+  it('asks for a sign-in without a session token', async () => {
+    const response = await submit(null);
+    assert.equal(response.status, 401);
+    assert.equal(response.json.message, 'Sign in required');
+  });
+
+  it('refuses an expired or forged token', async () => {
+    const response = await submit('expired-token');
+    assert.equal(response.status, 401);
+    assert.equal(response.json.message, 'Session expired. Sign in again.');
+  });
+
+  it('refuses a user without an email', async () => {
+    const response = await submit('no-email-token');
+    assert.equal(response.status, 401);
+    assert.equal(response.json.message, 'Session expired. Sign in again.');
+  });
+
+  it('upserts the sketch under the verified email, not one from the body', async () => {
+    const before = airtableCalls().length;
+    const body = JSON.stringify({ email: 'someone-else@example.org', answers: { q1: 'Verifier honesty' } });
+    const response = await submit('participant-token', body);
+    assert.equal(response.status, 200);
+    const calls = airtableCalls().slice(before);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'PATCH');
+    const { performUpsert, records } = JSON.parse(calls[0].body);
+    assert.deepEqual(performUpsert, { fieldsToMergeOn: ['email'] });
+    assert.equal(records[0].fields.email, 'participant@example.org');
+    assert.equal(records[0].fields.name, 'Pat Participant');
+  });
+
+  it('records the submission where the dashboard can see it', async () => {
+    const body = JSON.stringify({ course: 'verification', answers: { q1: 'Audit trails for evals', q2: 'Logs get lost' } });
+    assert.equal((await submit('second-participant-token', body)).status, 200);
+    const write = mock.requests.filter(entry => entry.method === 'POST' && entry.path.startsWith('/supabase/rest/v1/project_sketches')).at(-1);
+    const row = JSON.parse(write.body);
+    assert.equal(row.user_id, '2c9d7a41-5b6e-4f70-8a91-b2c3d4e5f607');
+    assert.equal(row.course_id, 'verification');
+    assert.equal(row.worksheet.q1, 'Audit trails for evals');
+    assert.ok(row.submitted_at);
+
+    const cohort = await invoke('cohort', { headers: { authorization: 'Bearer staff-token' }, query: { course: 'verification' } });
+    const person = cohort.json.participants.find(participant => participant.id === row.user_id);
+    assert.equal(person.sketch.status, 'submitted');
+    assert.equal(person.sketch.submitted_at, row.submitted_at);
+  });
+
+  it('refuses a course without a project sketch', async () => {
+    for (const course of ['governance', 'constructor', 'toString']) {
+      const body = JSON.stringify({ course, answers: { q1: 'Something' } });
+      assert.equal((await submit('participant-token', body)).status, 404, course);
+    }
+  });
+
+  it('still answers 200 when Airtable has it but Supabase cannot record it', async () => {
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    try {
+      assert.equal((await submit('participant-token')).status, 200);
+    } finally {
+      process.env.SUPABASE_SERVICE_ROLE_KEY = key;
+    }
+  });
+
+  it('requires an answer to the first question', async () => {
+    const response = await submit('participant-token', JSON.stringify({ answers: { q2: 'Only this' } }));
+    assert.equal(response.status, 400);
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    assert.equal((await submit('participant-token', '{nope')).status, 400);
+  });
+
+  it('answers 502 when Airtable fails', async () => {
+    mock.setScenario({ airtable: 'error' });
+    try {
+      assert.equal((await submit('participant-token')).status, 502);
+    } finally {
+      mock.setScenario({ airtable: 'ok' });
+    }
+  });
+
+  it('treats a failing Supabase as a session it cannot trust', async () => {
+    mock.setScenario({ supabase: 'down' });
+    try {
+      const response = await submit('participant-token');
+      // A 500 from Supabase reads as "not a valid session"
+      assert.equal(response.status, 401);
+    } finally {
+      mock.setScenario({ supabase: 'ok' });
+    }
+  });
+
+  it('only allows POST', async () => {
+    assert.equal((await invoke('sketch', { method: 'GET' })).status, 405);
+  });
+});
@@ -0,0 +1,137 @@
+// Newsletter sign-up (lib/endpoints/subscribe.js) against the local provider:
+// when double opt-in applies, what each path sends and stores, and the
+// confirmation link
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, freshStore, invoke } = require('./helpers');
+const { signToken } = require('../lib/signed-token');
+
+let mock, newsletter;
+before(async () => {
+  mock = await startHarness();
+  newsletter = require('../lib/newsletter');
+});
+after(() => mock.close());
+beforeEach(freshStore);
+
+// Each test signs up its own address, so the per-address limit never trips
+let counter = 0;
+function address() {
+  counter += 1;
+  return `reader-${counter}@example.org`;
+}
+
+function signUp(email, extra = {}) {
+  return invoke('subscribe', { method: 'POST', body: JSON.stringify({ email, interests: ['events'], ...extra }) });
+}
+
+function mailTo(email) {
+  return mock.requests.filter(entry => entry.path === '/mail/emails' && JSON.parse(entry.body).to[0] === email);
+}
+
+// Runs fn with process.env changed, then puts it back
+async function withEnv(changes, fn) {
+  const saved = Object.fromEntries(Object.keys(changes).map(key => [key, process.env[key]]));
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+describe('subscribe: double opt-in', () => {
+  it('emails a confirmation link and holds the sign-up once both keys are set', async () => {
+    const email = address();
+    const response = await signUp(email);
+    assert.equal(response.status, 202);
+    assert.equal(response.json.pending, true);
+    assert.equal(mailTo(email).length, 1);
+    assert.equal(await newsletter.getPreferences(email), null);
+  });
+
+  it('subscribes straight away on a deploy without the mail key', async () => {
+    const email = address();
+    const response = await withEnv({ MAIL_API_KEY: undefined }, () => signUp(email));
+    assert.equal(response.status, 200);
+    assert.equal(mailTo(email).length, 0);
+    assert.deepEqual((await newsletter.getPreferences(email)).interests, ['events']);
+  });
+
+  it('subscribes straight away on a deploy without the link secret', async () => {
+    const email = address();
+    const response = await withEnv({ NEWSLETTER_SECRET: undefined }, () => signUp(email));
+    assert.equal(response.status, 200);
+    assert.ok(await newsletter.getPreferences(email));
+  });
+
+  it('can be turned off with NEWSLETTER_DOUBLE_OPT_IN=false', async () => {
+    const email = address();
+    const response = await withEnv({ NEWSLETTER_DOUBLE_OPT_IN: 'false' }, () => signUp(email));
+    assert.equal(response.status, 200);
+    assert.equal(mailTo(email).length, 0);
+  });
+
+  it('answers 503 when double opt-in is required but not configured', async () => {
+    const email = address();
+    const response = await withEnv({ NEWSLETTER_DOUBLE_OPT_IN: 'true', MAIL_API_KEY: undefined }, () => signUp(email));
+    assert.equal(response.status, 503);
+    assert.equal(await newsletter.getPreferences(email), null);
+  });
+});
+
+// The ?token= from the link in the last confirmation email to this address
+function confirmationToken(email) {
+  const { text } = JSON.parse(mailTo(email).at(-1).body);
+  return new URL(text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+}
+
+function confirm(token) {
+  return invoke('subscribe', { method: 'GET', query: { token } });
+}
+
+describe('subscribe: confirmation link', () => {
+  it('adds the subscriber and sends them on to their preference page', async () => {
+    const email = address();
+    await signUp(email, { interests: ['events', 'mars'] });
+    const response = await confirm(confirmationToken(email));
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.Location, 'https://caish.org');
+    assert.equal(location.pathname, '/newsletter/confirmed');
+    assert.equal(location.searchParams.get('status'), 'ok');
+    assert.equal(newsletter.preferencesEmail(location.searchParams.get('token')), email);
+    assert.deepEqual(await newsletter.getPreferences(email), {
+      email,
+      interests: ['events', 'mars'],
+      frequency: 'all',
+      subscribed: true
+    });
+  });
+
+  it('turns away a forged, expired or wrong-purpose token', async () => {
+    const email = address();
+    const secret = process.env.NEWSLETTER_SECRET;
+    const tokens = [
+      signToken('newsletter-confirm', { email, interests: [] }, 'not-our-secret'),
+      signToken('newsletter-confirm', { email, interests: [] }, secret, Date.now() - 8 * 24 * 60 * 60 * 1000),
+      newsletter.preferencesToken(email)
+    ];
+    for (const token of tokens) {
+      const response = await confirm(token);
+      assert.equal(response.headers.Location, '/newsletter/confirmed?status=expired');
+    }
+    assert.equal(await newsletter.getPreferences(email), null);
+  });
+
+  it('hands out a form token and refuses other methods', async () => {
+    assert.equal((await invoke('subscribe', { method: 'GET' })).status, 200);
+    assert.equal((await invoke('subscribe', { method: 'PUT' })).status, 405);
+  });
+});